@@ -0,0 +1,115 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = dirname(fileURLToPath(import.meta.url));
+
+export const DB_FILE = process.env.DB_FILE
+  ? resolve(process.env.DB_FILE)
+  : resolve(here, "data", "db.json");
+
+// Uploaded files sit next to the data file, one per document id
+export const DOCUMENTS_DIR = resolve(dirname(DB_FILE), "documents");
+
+const EMPTY = {
+  users: [],
+  loans: [],
+  invites: [],
+  products: [],
+  drafts: [],
+  documents: [],
+  settings: {},
+};
+
+function load() {
+  if (!existsSync(DB_FILE)) return structuredClone(EMPTY);
+  try {
+    return { ...structuredClone(EMPTY), ...JSON.parse(readFileSync(DB_FILE, "utf8")) };
+  } catch (err) {
+    console.error(`Failed to read ${DB_FILE}, starting empty`, err);
+    return structuredClone(EMPTY);
+  }
+}
+
+const data = load();
+let lastId = 0;
+
+// Write to a temp file first so a crash never leaves half a JSON file behind
+function persist() {
+  mkdirSync(dirname(DB_FILE), { recursive: true });
+  const tmp = `${DB_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data, null, 2));
+  renameSync(tmp, DB_FILE);
+}
+
+// Same id scheme as the browser adapter (timestamps), kept unique per process
+function nextId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+/**
+ * One JSON-backed collection. Mirrors the repository interface used by the
+ * frontend adapters, but synchronous: the server handles one request at a
+ * time, so read-modify-write needs no locking.
+ */
+function collection(name) {
+  if (!Array.isArray(data[name])) data[name] = [];
+
+  return {
+    list() {
+      return data[name];
+    },
+
+    get(id) {
+      return data[name].find((item) => item.id === id) || null;
+    },
+
+    create(item) {
+      const created = { ...item, id: nextId() };
+      data[name].push(created);
+      persist();
+      return created;
+    },
+
+    update(id, changes) {
+      const index = data[name].findIndex((item) => item.id === id);
+      if (index === -1) return null;
+      data[name][index] = { ...data[name][index], ...changes, id };
+      persist();
+      return data[name][index];
+    },
+
+    remove(id) {
+      const before = data[name].length;
+      data[name] = data[name].filter((item) => item.id !== id);
+      if (data[name].length !== before) persist();
+      return data[name].length !== before;
+    },
+  };
+}
+
+// A single record rather than a collection; validation is up to the caller
+const settings = {
+  get() {
+    return data.settings || {};
+  },
+
+  replace(next) {
+    data.settings = next;
+    persist();
+    return data.settings;
+  },
+};
+
+const db = {
+  users: collection("users"),
+  loans: collection("loans"),
+  invites: collection("invites"),
+  products: collection("products"),
+  drafts: collection("drafts"),
+  documents: collection("documents"),
+  settings,
+};
+
+export default db;
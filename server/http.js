@@ -0,0 +1,64 @@
+import db from "./db.js";
+import { endSession, touchSession } from "./sessions.js";
+import { withoutCredentials } from "../src/utils/password.js";
+
+/** Error with an HTTP status; the router turns it into a JSON response. */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// `limit` raises the size cap for routes that take file uploads
+export async function readBody(req, { limit = MAX_BODY_BYTES } = {}) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > limit) throw new HttpError(413, "Request body too large.");
+  }
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "Request body must be valid JSON.");
+  }
+}
+
+/** Users are never sent back with their password or its hash. */
+export const publicUser = withoutCredentials;
+
+/** The session token from an "Authorization: Bearer <token>" header. */
+export function getToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * The user making the request, identified by their session token. Every
+ * authenticated request counts as activity for the idle timeout. Throws 401
+ * when there is no valid session.
+ */
+export function getActor(req) {
+  const { session, error } = touchSession(getToken(req));
+  if (error) throw new HttpError(401, error);
+  const actor = db.users.get(session.userId);
+  if (!actor) {
+    endSession(session.token);
+    throw new HttpError(401, "Please log in first.");
+  }
+  return actor;
+}
+
+export function requireRole(actor, ...roles) {
+  if (!roles.includes(actor.role)) {
+    throw new HttpError(403, `Only ${roles.join(" or ")} users can do this.`);
+  }
+}
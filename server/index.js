@@ -0,0 +1,112 @@
+import { createServer } from "node:http";
+import db, { DB_FILE } from "./db.js";
+import { HttpError, sendJSON } from "./http.js";
+import { attachRealtime } from "./realtime.js";
+import { touchSession } from "./sessions.js";
+import authRoutes from "./routes/auth.js";
+import documentRoutes from "./routes/documents.js";
+import draftRoutes from "./routes/drafts.js";
+import inviteRoutes from "./routes/invites.js";
+import loanRoutes from "./routes/loans.js";
+import productRoutes from "./routes/products.js";
+import settingsRoutes from "./routes/settings.js";
+import userRoutes from "./routes/users.js";
+import { seedAdmin } from "./seed.js";
+
+/**
+ * Reference implementation of the loan API the frontend talks to when
+ * VITE_STORAGE_BACKEND=api. Plain node:http plus socket.io for live loan
+ * events; data is kept in a JSON file (server/data/db.json unless DB_FILE
+ * is set).
+ */
+
+const PORT = Number(process.env.PORT) || 5000;
+const PREFIX = "/api";
+
+// "/loans/:id" -> { method, regex, keys, handler }; ids are numeric
+const routes = [
+  ...authRoutes,
+  ...userRoutes,
+  ...inviteRoutes,
+  ...loanRoutes,
+  ...productRoutes,
+  ...draftRoutes,
+  ...documentRoutes,
+  ...settingsRoutes,
+].map(
+  ([method, path, handler]) => {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "(\\d+)";
+    });
+    return { method, regex: new RegExp(`^${pattern}$`), keys, handler };
+  }
+);
+
+function match(method, pathname) {
+  let pathMatched = false;
+  for (const route of routes) {
+    const found = route.regex.exec(pathname);
+    if (!found) continue;
+    pathMatched = true;
+    if (route.method !== method) continue;
+    const params = Object.fromEntries(
+      route.keys.map((key, i) => [key, Number(found[i + 1])])
+    );
+    return { route, params };
+  }
+  if (pathMatched) throw new HttpError(405, "Method not allowed.");
+  throw new HttpError(404, "Not found.");
+}
+
+const server = createServer(async (req, res) => {
+  // The Vite dev server runs on another port
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    "GET,POST,PUT,PATCH,DELETE,OPTIONS"
+  );
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (!pathname.startsWith(PREFIX)) throw new HttpError(404, "Not found.");
+    const path = pathname.slice(PREFIX.length).replace(/\/$/, "") || "/";
+
+    if (req.method === "GET" && path === "/health") {
+      sendJSON(res, 200, { status: "ok" });
+      return;
+    }
+
+    const { route, params } = match(req.method, path);
+    await route.handler(req, res, params);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      sendJSON(res, err.status, { message: err.message });
+    } else {
+      console.error(`${req.method} ${req.url} failed`, err);
+      sendJSON(res, 500, { message: "Something went wrong on the server." });
+    }
+  }
+});
+
+await seedAdmin();
+
+// Sockets log in with the same session token as HTTP requests
+attachRealtime(server, {
+  authenticate: (handshake) => {
+    const { session } = touchSession(handshake.auth?.token);
+    return session ? db.users.get(session.userId) : null;
+  },
+});
+
+server.listen(PORT, () => {
+  console.log(`Loan API listening on http://localhost:${PORT}${PREFIX}`);
+  console.log(`Data file: ${DB_FILE}`);
+});
@@ -0,0 +1,67 @@
+import { Server } from "socket.io";
+import {
+  LOAN_EVENT,
+  buildLoanEvent,
+  deriveLoanEvents,
+  loanEventRooms,
+} from "../src/utils/loanEvents.js";
+import { maskKycFields } from "../src/utils/kyc.js";
+
+let io = null;
+
+/**
+ * Sends a loan event from `sender` (the server or a relaying socket) to
+ * the loan's rooms. Only admins and the borrower get the borrower's KYC;
+ * the lender and analysts get it masked.
+ */
+function emitLoanEvent(sender, event) {
+  const kycRooms = ["role:admin", `user:${event.loan.borrowerId}`];
+  const maskedRooms = loanEventRooms(event.loan).filter(
+    (room) => !kycRooms.includes(room)
+  );
+  sender.to(kycRooms).emit(LOAN_EVENT, event);
+  sender
+    .to(maskedRooms)
+    .except(kycRooms)
+    .emit(LOAN_EVENT, { ...event, loan: maskKycFields(event.loan) });
+}
+
+/**
+ * Attaches socket.io to an HTTP server. `authenticate(handshake)` returns
+ * the connecting user (or null to refuse); each socket joins a room for
+ * its role and one for the user, which is how events are targeted.
+ * With `relay`, events sent by clients are forwarded to the loan's rooms
+ * (used by the stand-in server, where browsers are their own backend).
+ */
+export function attachRealtime(httpServer, { authenticate, relay = false }) {
+  io = new Server(httpServer, { cors: { origin: "*" } });
+
+  io.use((socket, next) => {
+    const user = authenticate(socket.handshake);
+    if (!user) return next(new Error("Please log in first."));
+    socket.data.user = user;
+    next();
+  });
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+    socket.join([`role:${user.role}`, `user:${user.id}`]);
+
+    if (relay) {
+      socket.on(LOAN_EVENT, (event) => {
+        if (!event?.loan) return;
+        emitLoanEvent(socket, event);
+      });
+    }
+  });
+
+  return io;
+}
+
+/** Broadcasts the events for a loan write made by `actor`. */
+export function publishLoanChange(before, after, actor) {
+  if (!io) return;
+  for (const type of deriveLoanEvents(before, after)) {
+    emitLoanEvent(io, buildLoanEvent(type, after, actor));
+  }
+}
@@ -0,0 +1,63 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getToken,
+  publicUser,
+  readBody,
+  sendJSON,
+} from "../http.js";
+import { endSession, startSession, touchSession } from "../sessions.js";
+import { redemptionPatch, resolveSignupRole } from "../../src/utils/invites.js";
+import { hashPassword, verifyPassword } from "../../src/utils/password.js";
+import { createUser } from "./users.js";
+
+async function login(req, res) {
+  const { email, password } = await readBody(req);
+  const normalized = String(email || "").trim().toLowerCase();
+  const found = db.users.list().find((u) => u.email === normalized);
+  const { ok, needsRehash } = await verifyPassword(password, found);
+  if (!ok) throw new HttpError(401, "Invalid email or password.");
+
+  // Accounts stored before hashing are upgraded on their first login
+  if (needsRehash) {
+    db.users.update(found.id, {
+      password: undefined,
+      passwordHash: await hashPassword(password),
+    });
+  }
+  const session = startSession(found.id);
+  sendJSON(res, 200, { user: publicUser(found), session });
+}
+
+// Keeps the session alive while the user is active in the UI
+async function refresh(req, res) {
+  const { session, error } = touchSession(getToken(req));
+  if (error) throw new HttpError(401, error);
+  sendJSON(res, 200, session);
+}
+
+async function logout(req, res) {
+  endSession(getToken(req));
+  sendJSON(res, 204);
+}
+
+// Public sign-up: the role comes from the invitation code, never the body
+async function register(req, res) {
+  const { inviteCode, ...data } = await readBody(req);
+  const { role, invite, error } = resolveSignupRole(
+    inviteCode,
+    db.invites.list()
+  );
+  if (error) throw new HttpError(400, error);
+
+  const created = await createUser({ ...data, role });
+  if (invite) db.invites.update(invite.id, redemptionPatch(created));
+  sendJSON(res, 201, publicUser(created));
+}
+
+export default [
+  ["POST", "/auth/login", login],
+  ["POST", "/auth/register", register],
+  ["POST", "/auth/refresh", refresh],
+  ["POST", "/auth/logout", logout],
+];
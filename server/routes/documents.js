@@ -0,0 +1,101 @@
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import db, { DOCUMENTS_DIR } from "../db.js";
+import {
+  HttpError,
+  getActor,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import {
+  MAX_DOCUMENT_BYTES,
+  checkDocumentFile,
+} from "../../src/utils/documents.js";
+import { DOCUMENT_TYPES } from "../../src/utils/products.js";
+
+// Files arrive base64-encoded inside the JSON body
+const UPLOAD_BODY_BYTES = Math.ceil((MAX_DOCUMENT_BYTES * 4) / 3) + 64 * 1024;
+
+const filePath = (id) => join(DOCUMENTS_DIR, String(id));
+
+// Borrowers see their own uploads, admins every upload
+function findDocument(id, actor) {
+  const document = db.documents.get(id);
+  const allowed =
+    actor.role === "admin" ||
+    (actor.role === "borrower" && document?.borrowerId === actor.id);
+  if (!document || !allowed) throw new HttpError(404, "Document not found.");
+  return document;
+}
+
+// `{ type, fileName, mimeType, content }`; the file goes to disk, the
+// metadata into the database
+async function uploadDocument(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  const { type, fileName, mimeType, content } = await readBody(req, {
+    limit: UPLOAD_BODY_BYTES,
+  });
+  if (!DOCUMENT_TYPES.some((t) => t.id === type)) {
+    throw new HttpError(400, "Unknown document type.");
+  }
+  if (!String(fileName || "").trim()) {
+    throw new HttpError(400, "The file needs a name.");
+  }
+  const bytes = Buffer.from(String(content || ""), "base64");
+  const error = checkDocumentFile({ size: bytes.length, mimeType });
+  if (error) throw new HttpError(400, error);
+
+  const created = db.documents.create({
+    borrowerId: actor.id,
+    type,
+    fileName: String(fileName).trim(),
+    size: bytes.length,
+    mimeType,
+    uploadedAt: new Date().toISOString(),
+  });
+  mkdirSync(DOCUMENTS_DIR, { recursive: true });
+  writeFileSync(filePath(created.id), bytes);
+  sendJSON(res, 201, created);
+}
+
+async function getDocument(req, res, { id }) {
+  sendJSON(res, 200, findDocument(id, getActor(req)));
+}
+
+async function downloadDocument(req, res, { id }) {
+  const document = findDocument(id, getActor(req));
+  let bytes;
+  try {
+    bytes = readFileSync(filePath(id));
+  } catch {
+    throw new HttpError(404, "The file is missing.");
+  }
+  res.writeHead(200, {
+    "Content-Type": document.mimeType,
+    "Content-Length": bytes.length,
+  });
+  res.end(bytes);
+}
+
+// Only uploads no loan refers to, e.g. a file replaced in a draft
+async function deleteDocument(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  findDocument(id, actor);
+  const inUse = db.loans
+    .list()
+    .some((loan) => (loan.documents || []).some((d) => d.documentId === id));
+  if (inUse) throw new HttpError(409, "This document belongs to a loan.");
+  db.documents.remove(id);
+  rmSync(filePath(id), { force: true });
+  sendJSON(res, 204);
+}
+
+export default [
+  ["POST", "/documents", uploadDocument],
+  ["GET", "/documents/:id", getDocument],
+  ["GET", "/documents/:id/file", downloadDocument],
+  ["DELETE", "/documents/:id", deleteDocument],
+];
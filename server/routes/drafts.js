@@ -0,0 +1,44 @@
+import db from "../db.js";
+import { getActor, readBody, requireRole, sendJSON } from "../http.js";
+
+// Each borrower has at most one unfinished application
+function findDraft(actor) {
+  return db.drafts.list().find((d) => d.borrowerId === actor.id) || null;
+}
+
+async function getDraft(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  sendJSON(res, 200, findDraft(actor));
+}
+
+async function saveDraft(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  const { id: _id, borrowerId: _owner, ...draft } = await readBody(req);
+  const record = {
+    ...draft,
+    borrowerId: actor.id,
+    updatedAt: new Date().toISOString(),
+  };
+  const existing = findDraft(actor);
+  sendJSON(
+    res,
+    200,
+    existing ? db.drafts.update(existing.id, record) : db.drafts.create(record)
+  );
+}
+
+async function deleteDraft(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  const existing = findDraft(actor);
+  if (existing) db.drafts.remove(existing.id);
+  sendJSON(res, 204);
+}
+
+export default [
+  ["GET", "/application-draft", getDraft],
+  ["PUT", "/application-draft", saveDraft],
+  ["DELETE", "/application-draft", deleteDraft],
+];
@@ -0,0 +1,40 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getActor,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import { buildInvite } from "../../src/utils/invites.js";
+
+async function listInvites(req, res) {
+  requireRole(getActor(req), "admin");
+  sendJSON(res, 200, db.invites.list());
+}
+
+async function createInvite(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "admin");
+  const { invite, error } = buildInvite(await readBody(req), actor);
+  if (error) throw new HttpError(400, error);
+  sendJSON(res, 201, db.invites.create(invite));
+}
+
+// Revoking only makes sense while the code is unused
+async function revokeInvite(req, res, { id }) {
+  requireRole(getActor(req), "admin");
+  const invite = db.invites.get(id);
+  if (!invite) throw new HttpError(404, "Invite not found.");
+  if (invite.redeemedAt) {
+    throw new HttpError(409, "A redeemed invite cannot be revoked.");
+  }
+  db.invites.remove(id);
+  sendJSON(res, 204);
+}
+
+export default [
+  ["GET", "/invites", listInvites],
+  ["POST", "/invites", createInvite],
+  ["DELETE", "/invites/:id", revokeInvite],
+];
@@ -0,0 +1,553 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getActor,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import { publishLoanChange } from "../realtime.js";
+import { ensureSchedule } from "../../src/utils/amortization.js";
+import { DEFAULT_INTEREST_RATE } from "../../src/utils/constants.js";
+import {
+  checkDocumentChanges,
+  checkDocumentEntries,
+  newDocumentEntry,
+} from "../../src/utils/documents.js";
+import { withDueDates } from "../../src/utils/dueDates.js";
+import {
+  buildApproval,
+  getApprovalAction,
+  recordEdit,
+} from "../../src/utils/approvals.js";
+import {
+  canViewKyc,
+  maskKycFields,
+  validateKyc,
+} from "../../src/utils/kyc.js";
+import {
+  applyForeclosure,
+  getForeclosureQuote,
+} from "../../src/utils/foreclosure.js";
+import {
+  declineMoratorium,
+  grantMoratorium,
+  requestMoratorium,
+} from "../../src/utils/moratorium.js";
+import { applyPayment, getDueThrough } from "../../src/utils/payments.js";
+import {
+  buildProductTerms,
+  checkProductEdit,
+} from "../../src/utils/products.js";
+import {
+  buildAppeal,
+  buildRejection,
+  rejectionPatch,
+} from "../../src/utils/rejection.js";
+import { restructureLoan } from "../../src/utils/restructure.js";
+import { withDefaultSettings } from "../../src/utils/settings.js";
+import {
+  answerOffer,
+  isOfferedTo,
+  makeOffer,
+} from "../../src/utils/lenderOffers.js";
+import {
+  LOAN_ACTIONS,
+  LOAN_STATUS,
+  applyTransition,
+  checkTransition,
+} from "../../src/utils/loanLifecycle.js";
+import { applyTermsEdit } from "../../src/utils/termsEdit.js";
+
+// Borrowers see their own loans, lenders the ones assigned or offered to
+// them
+function canView(loan, actor) {
+  if (actor.role === "borrower") return loan.borrowerId === actor.id;
+  if (actor.role === "lender") {
+    return loan.lenderId === actor.id || isOfferedTo(loan, actor.id);
+  }
+  return true;
+}
+
+// Lenders and analysts get the borrower's KYC masked
+function visibleLoan(loan, actor) {
+  return canViewKyc(actor, loan.borrowerId) ? loan : maskKycFields(loan);
+}
+
+function findLoan(id, actor) {
+  const loan = db.loans.get(id);
+  if (!loan || !canView(loan, actor)) throw new HttpError(404, "Loan not found.");
+  return loan;
+}
+
+// The vault upload behind a loan document entry; it must be the borrower's
+function findUpload(entry, borrowerId) {
+  const upload = db.documents.get(Number(entry?.documentId));
+  if (!upload || upload.borrowerId !== borrowerId) {
+    throw new HttpError(400, "Upload the document before attaching it.");
+  }
+  return upload;
+}
+
+function schedulePatch(loan) {
+  const { interestRate, repayments } = ensureSchedule(loan);
+  return { interestRate, repayments };
+}
+
+/**
+ * Runs a lifecycle action and saves the result. Refusals map to 403 when
+ * the role is wrong and 409 when the loan is not in a state that allows it.
+ */
+function runAction(loan, action, actor, options) {
+  if (!LOAN_ACTIONS[action].roles.includes(actor.role)) {
+    throw new HttpError(403, checkTransition(loan, action, actor));
+  }
+  const outcome = applyTransition(loan, action, actor, options);
+  if (outcome.error) throw new HttpError(409, outcome.error);
+  const saved = db.loans.update(loan.id, outcome.loan);
+  publishLoanChange(loan, saved, actor);
+  return saved;
+}
+
+async function listLoans(req, res) {
+  const actor = getActor(req);
+  sendJSON(
+    res,
+    200,
+    db.loans
+      .list()
+      .filter((loan) => canView(loan, actor))
+      .map((loan) => visibleLoan(loan, actor))
+  );
+}
+
+async function getLoan(req, res, { id }) {
+  const actor = getActor(req);
+  sendJSON(res, 200, visibleLoan(findLoan(id, actor), actor));
+}
+
+// Borrowers apply for themselves; the server decides status and ownership,
+// and only the application's own answers are taken from the request
+async function createLoan(req, res) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+
+  const body = await readBody(req);
+  const amount = Number(body.amount);
+  const duration = Number(body.duration);
+  if (!(amount > 0) || !(duration > 0)) {
+    throw new HttpError(400, "Amount and duration must be positive.");
+  }
+
+  // While products are on offer every application is for one of them, on
+  // the product's terms rather than whatever the client sent
+  let productTerms = {};
+  if (
+    body.productId !== undefined ||
+    db.products.list().some((product) => product.active)
+  ) {
+    const product = db.products.get(Number(body.productId));
+    const { terms, error } = buildProductTerms(product, { amount, duration });
+    if (error) throw new HttpError(400, error);
+    productTerms = terms;
+  }
+
+  // KYC sent with the application replaces the profile's; without any, the
+  // profile's is used
+  let kyc = actor.kyc;
+  if (body.aadhar !== undefined || body.pan !== undefined || !kyc) {
+    const checked = validateKyc(body);
+    if (checked.error) throw new HttpError(400, checked.error);
+    kyc = checked.kyc;
+    db.users.update(actor.id, { kyc });
+  }
+
+  const created = db.loans.create({
+    amount,
+    duration,
+    purpose: String(body.purpose ?? "").trim(),
+    employment: body.employment,
+    // The rate, fee and required documents are the product's; without one
+    // the loan starts at the default rate and an admin may adjust it
+    interestRate: DEFAULT_INTEREST_RATE,
+    ...productTerms,
+    aadhar: kyc.aadhar,
+    pan: kyc.pan,
+    address: kyc.address,
+    // Every document starts out waiting for review
+    documents: (Array.isArray(body.documents) ? body.documents : []).map(
+      (entry) => {
+        const upload = findUpload(entry, actor.id);
+        return newDocumentEntry(upload.type, upload);
+      }
+    ),
+    borrowerId: actor.id,
+    borrowerName: actor.name,
+    status: LOAN_STATUS.PENDING,
+    repayments: [],
+    history: [],
+    createdAt: new Date().toISOString(),
+  });
+  publishLoanChange(null, created, actor);
+  sendJSON(res, 201, created);
+}
+
+// What each role may change through the generic edit; everything else
+// changes through the loan's action endpoints below
+const EDITABLE_FIELDS = {
+  admin: ["amount", "duration", "interestRate", "purpose", "documents"],
+  borrower: ["documents"],
+};
+
+/**
+ * Generic edit used by the dashboards: admins correct a loan's terms and
+ * review its documents, borrowers add documents to their applications.
+ * Fields sent back unchanged are ignored.
+ */
+async function updateLoan(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, ...Object.keys(EDITABLE_FIELDS));
+  const current = findLoan(id, actor);
+  const body = await readBody(req);
+  const changes = {};
+  for (const [field, value] of Object.entries(body)) {
+    if (JSON.stringify(value) === JSON.stringify(current[field])) continue;
+    if (!EDITABLE_FIELDS[actor.role].includes(field)) {
+      throw new HttpError(403, `You cannot change ${field} on this loan.`);
+    }
+    changes[field] = value;
+  }
+
+  // Edited terms are checked as an application's are, and a product loan
+  // stays within its product
+  if (
+    ("amount" in changes && !(Number(changes.amount) > 0)) ||
+    ("duration" in changes && !(Number(changes.duration) > 0))
+  ) {
+    throw new HttpError(400, "Amount and duration must be positive.");
+  }
+  if ("interestRate" in changes && !(Number(changes.interestRate) >= 0)) {
+    throw new HttpError(400, "Interest rate cannot be negative.");
+  }
+  const outside = checkProductEdit(
+    current,
+    { ...current, ...changes },
+    db.products.get(current.productId)
+  );
+  if (outside) throw new HttpError(409, outside);
+
+  // Maker-checker (utils/approvals): whoever edits the terms is recorded
+  // and cannot approve them
+  const edited = recordEdit(current, { ...current, ...changes }, actor);
+  if (edited.editedBy !== current.editedBy) {
+    changes.editedBy = edited.editedBy;
+    changes.approvals = edited.approvals;
+  }
+
+  // Edited terms get a fresh schedule while nothing is paid against it
+  const rescheduled = applyTermsEdit(current, { ...current, ...changes });
+  if (rescheduled.error) throw new HttpError(409, rescheduled.error);
+  if (rescheduled.loan.repayments !== current.repayments) {
+    changes.repayments = rescheduled.loan.repayments;
+  }
+
+  if (changes.documents !== undefined) {
+    const malformed = checkDocumentEntries(changes.documents);
+    if (malformed) throw new HttpError(400, malformed);
+    const refused = checkDocumentChanges(
+      current,
+      { ...current, ...changes },
+      actor
+    );
+    if (refused) throw new HttpError(403, refused);
+    const known = (current.documents || []).map((d) => d.documentId);
+    changes.documents
+      .filter((d) => !known.includes(d.documentId))
+      .forEach((d) => findUpload(d, current.borrowerId));
+  }
+
+  const saved = db.loans.update(id, changes);
+  publishLoanChange(current, saved, actor);
+  sendJSON(res, 200, visibleLoan(saved, actor));
+}
+
+async function deleteLoan(req, res, { id }) {
+  requireRole(getActor(req), "admin");
+  if (!db.loans.remove(id)) throw new HttpError(404, "Loan not found.");
+  sendJSON(res, 204);
+}
+
+// -------- Lifecycle actions --------
+
+// Adds the caller's approval, `{ comment }`; the last one the loan's
+// amount tier needs approves it (see utils/approvals)
+async function approveLoan(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { comment } = await readBody(req);
+  const approvalPolicy = withDefaultSettings(db.settings.get()).approvals;
+  const action = getApprovalAction(loan, approvalPolicy);
+  const approval = buildApproval(comment, actor);
+  const saved = runAction(loan, action, actor, {
+    patch: (current) => ({
+      ...(action === "approve" ? schedulePatch(current) : {}),
+      approvals: [...(current.approvals || []), approval],
+    }),
+    context: { approval, approvalPolicy },
+  });
+  sendJSON(res, 200, saved);
+}
+
+// `{ code, note }`: the reason the borrower sees (see utils/rejection)
+async function rejectLoan(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { code, note } = await readBody(req);
+  const { rejection } = buildRejection({ code, note }, actor);
+  sendJSON(
+    res,
+    200,
+    runAction(loan, "reject", actor, {
+      patch: rejectionPatch(rejection),
+      context: { rejection: rejection || { code, note } },
+    })
+  );
+}
+
+// Borrowers send a rejected application back to review once, `{ message }`
+async function appealLoan(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { message } = await readBody(req);
+  const { appeal } = buildAppeal(loan, { message }, actor);
+  sendJSON(
+    res,
+    200,
+    runAction(loan, "appeal", actor, {
+      patch: { appeal },
+      context: { appeal: appeal || { message } },
+    })
+  );
+}
+
+async function assignLender(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { lenderId } = await readBody(req);
+  const lender = db.users.get(Number(lenderId));
+
+  // The lender still has to accept
+  const saved = runAction(loan, "assignLender", actor, {
+    patch: (current) => makeOffer(current, lender, actor),
+    context: { lender },
+  });
+  sendJSON(res, 200, saved);
+}
+
+// The offered lender accepts and becomes the loan's lender
+async function acceptOffer(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const saved = runAction(loan, "acceptOffer", actor, {
+    patch: (current) => answerOffer(current, true, actor),
+  });
+  sendJSON(res, 200, visibleLoan(saved, actor));
+}
+
+// Or declines with an optional `{ note }`; the loan goes back to the admins
+async function declineOffer(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { note } = await readBody(req);
+  const saved = runAction(loan, "declineOffer", actor, {
+    patch: (current) => answerOffer(current, false, actor, note),
+  });
+  sendJSON(res, 200, visibleLoan(saved, actor));
+}
+
+async function disburseLoan(req, res, { id }) {
+  const actor = getActor(req);
+  const saved = runAction(findLoan(id, actor), "disburse", actor, {
+    // EMI due dates count from the disbursement date; the late-payment and
+    // foreclosure terms in force now stay with the loan
+    patch: (current) => {
+      const { interestRate, repayments, disbursedAt } = withDueDates({
+        ...ensureSchedule(current),
+        disbursedAt: new Date().toISOString(),
+      });
+      const { penalties, foreclosure } = withDefaultSettings(db.settings.get());
+      return {
+        interestRate,
+        repayments,
+        disbursedAt,
+        penaltyPolicy: penalties,
+        foreclosurePolicy: foreclosure,
+      };
+    },
+  });
+  sendJSON(res, 200, visibleLoan(saved, actor));
+}
+
+/**
+ * Records a payment of `amount`, allocated through the waterfall in
+ * utils/payments. Without an amount, `installment` (1-based, default: the
+ * next unpaid EMI) is settled together with anything older still owed.
+ * The loan is completed automatically once every EMI is paid.
+ */
+async function recordPayment(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const { amount, installment } = await readBody(req);
+
+  const refused = checkTransition(loan, "repay", actor);
+  if (refused) throw new HttpError(409, refused);
+
+  let value = amount;
+  if (value === undefined) {
+    const index = installment
+      ? Number(installment) - 1
+      : loan.repayments.findIndex((r) => !r.paid);
+    const row = loan.repayments[index];
+    if (!row) throw new HttpError(400, "No such installment.");
+    if (row.paid) throw new HttpError(409, "This EMI is already paid.");
+    value = getDueThrough(loan, index);
+  }
+
+  const outcome = applyPayment(loan, value, { actor });
+  if (outcome.error) throw new HttpError(400, outcome.error);
+
+  let saved = runAction(loan, "repay", actor, {
+    patch: {
+      repayments: outcome.loan.repayments,
+      payments: outcome.loan.payments,
+    },
+  });
+  if (!checkTransition(saved, "complete", actor)) {
+    saved = runAction(saved, "complete", actor);
+  }
+  sendJSON(res, 200, saved);
+}
+
+// Admins close a disbursed loan whose EMIs are all paid; the last payment
+// normally does this on its own
+async function completeLoan(req, res, { id }) {
+  const actor = getActor(req);
+  sendJSON(res, 200, runAction(findLoan(id, actor), "complete", actor));
+}
+
+// Payoff quote for `?date=YYYY-MM-DD` (default: today)
+async function getForeclosure(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+  const date = new URL(req.url, "http://localhost").searchParams.get("date");
+  const quote = getForeclosureQuote(loan, date || new Date());
+  if (quote.error) throw new HttpError(409, quote.error);
+  sendJSON(res, 200, quote);
+}
+
+// Settles the loan at today's quote and completes it
+async function forecloseLoan(req, res, { id }) {
+  const actor = getActor(req);
+  const loan = findLoan(id, actor);
+
+  const refused = checkTransition(loan, "repay", actor);
+  if (refused) throw new HttpError(409, refused);
+  const outcome = applyForeclosure(loan, { actor });
+  if (outcome.error) throw new HttpError(409, outcome.error);
+
+  const saved = runAction(loan, "repay", actor, {
+    patch: {
+      repayments: outcome.loan.repayments,
+      payments: outcome.loan.payments,
+      foreclosure: outcome.loan.foreclosure,
+    },
+  });
+  sendJSON(res, 200, runAction(saved, "complete", actor));
+}
+
+// Admins replace the unpaid schedule; the old one is kept as a version
+async function restructure(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "admin");
+  const loan = findLoan(id, actor);
+
+  const { reason, ...terms } = await readBody(req);
+  if (!reason?.trim()) {
+    throw new HttpError(400, "Give a reason for the restructure.");
+  }
+  const outcome = restructureLoan(loan, terms, { reason, actor });
+  if (outcome.error) throw new HttpError(409, outcome.error);
+
+  const saved = db.loans.update(id, outcome.loan);
+  publishLoanChange(loan, saved, actor);
+  sendJSON(res, 200, saved);
+}
+
+// Saves the result of a repayment holiday step; refusals are 409s
+function saveHoliday(loan, outcome, actor) {
+  if (outcome.error) throw new HttpError(409, outcome.error);
+  const saved = db.loans.update(loan.id, outcome.loan);
+  publishLoanChange(loan, saved, actor);
+  return saved;
+}
+
+// Borrowers ask for a pause of `{ months }` upcoming EMIs with a `reason`
+async function requestHoliday(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "borrower");
+  const loan = findLoan(id, actor);
+  const body = await readBody(req);
+  sendJSON(
+    res,
+    200,
+    saveHoliday(loan, requestMoratorium(loan, body, { actor }), actor)
+  );
+}
+
+// Admins grant `{ months, interestTreatment }`, with or without a request
+async function grantHoliday(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "admin");
+  const loan = findLoan(id, actor);
+  const body = await readBody(req);
+  sendJSON(
+    res,
+    200,
+    saveHoliday(loan, grantMoratorium(loan, body, { actor }), actor)
+  );
+}
+
+async function declineHoliday(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "admin");
+  const loan = findLoan(id, actor);
+  const { note = "" } = await readBody(req);
+  sendJSON(
+    res,
+    200,
+    saveHoliday(loan, declineMoratorium(loan, { note, actor }), actor)
+  );
+}
+
+export default [
+  ["GET", "/loans", listLoans],
+  ["POST", "/loans", createLoan],
+  ["GET", "/loans/:id", getLoan],
+  ["PATCH", "/loans/:id", updateLoan],
+  ["DELETE", "/loans/:id", deleteLoan],
+  ["POST", "/loans/:id/approve", approveLoan],
+  ["POST", "/loans/:id/reject", rejectLoan],
+  ["POST", "/loans/:id/appeal", appealLoan],
+  ["POST", "/loans/:id/assign", assignLender],
+  ["POST", "/loans/:id/offer/accept", acceptOffer],
+  ["POST", "/loans/:id/offer/decline", declineOffer],
+  ["POST", "/loans/:id/disburse", disburseLoan],
+  ["POST", "/loans/:id/complete", completeLoan],
+  ["POST", "/loans/:id/repayments", recordPayment],
+  ["GET", "/loans/:id/foreclosure", getForeclosure],
+  ["POST", "/loans/:id/foreclosure", forecloseLoan],
+  ["POST", "/loans/:id/restructure", restructure],
+  ["POST", "/loans/:id/holiday/request", requestHoliday],
+  ["POST", "/loans/:id/holiday", grantHoliday],
+  ["POST", "/loans/:id/holiday/decline", declineHoliday],
+];
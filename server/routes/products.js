@@ -0,0 +1,65 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getActor,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import { validateProduct } from "../../src/utils/products.js";
+
+function findProduct(id) {
+  const product = db.products.get(id);
+  if (!product) throw new HttpError(404, "Product not found.");
+  return product;
+}
+
+// Borrowers pick from the catalog, so every role can read it
+async function listProducts(req, res) {
+  getActor(req);
+  sendJSON(res, 200, db.products.list());
+}
+
+async function getProduct(req, res, { id }) {
+  getActor(req);
+  sendJSON(res, 200, findProduct(id));
+}
+
+async function createProduct(req, res) {
+  requireRole(getActor(req), "admin");
+  const { product, error } = validateProduct(await readBody(req));
+  if (error) throw new HttpError(400, error);
+  sendJSON(
+    res,
+    201,
+    db.products.create({ ...product, createdAt: new Date().toISOString() })
+  );
+}
+
+// Changes are validated against the whole product, not just the patch
+async function updateProduct(req, res, { id }) {
+  requireRole(getActor(req), "admin");
+  const current = findProduct(id);
+  const { product, error } = validateProduct({
+    ...current,
+    ...(await readBody(req)),
+  });
+  if (error) throw new HttpError(400, error);
+  sendJSON(res, 200, db.products.update(id, product));
+}
+
+// Loans keep a copy of their product's terms, so removing one is safe
+async function deleteProduct(req, res, { id }) {
+  requireRole(getActor(req), "admin");
+  findProduct(id);
+  db.products.remove(id);
+  sendJSON(res, 204);
+}
+
+export default [
+  ["GET", "/products", listProducts],
+  ["POST", "/products", createProduct],
+  ["GET", "/products/:id", getProduct],
+  ["PATCH", "/products/:id", updateProduct],
+  ["DELETE", "/products/:id", deleteProduct],
+];
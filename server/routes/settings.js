@@ -0,0 +1,33 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getActor,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import {
+  mergeSettings,
+  withDefaultSettings,
+} from "../../src/utils/settings.js";
+
+// Every dashboard reads the settings; only admins change them
+async function getSettings(req, res) {
+  getActor(req);
+  sendJSON(res, 200, withDefaultSettings(db.settings.get()));
+}
+
+async function updateSettings(req, res) {
+  requireRole(getActor(req), "admin");
+  const { settings, error } = mergeSettings(
+    db.settings.get(),
+    await readBody(req)
+  );
+  if (error) throw new HttpError(400, error);
+  sendJSON(res, 200, db.settings.replace(settings));
+}
+
+export default [
+  ["GET", "/settings", getSettings],
+  ["PATCH", "/settings", updateSettings],
+];
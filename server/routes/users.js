@@ -0,0 +1,118 @@
+import db from "../db.js";
+import {
+  HttpError,
+  getActor,
+  publicUser,
+  readBody,
+  requireRole,
+  sendJSON,
+} from "../http.js";
+import { endSessionsForUser } from "../sessions.js";
+import { validateKyc } from "../../src/utils/kyc.js";
+import { hashPassword } from "../../src/utils/password.js";
+
+const VALID_ROLES = ["admin", "lender", "borrower", "analyst"];
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function assertEmailFree(email, exceptId) {
+  if (db.users.list().some((u) => u.id !== exceptId && u.email === email)) {
+    throw new HttpError(409, "User already exists with this email.");
+  }
+}
+
+/** Shared by admin user creation and public registration. */
+export async function createUser({ name, email, password, role }) {
+  const normalized = normalizeEmail(email);
+  if (!String(name || "").trim() || !normalized || !password) {
+    throw new HttpError(400, "Name, email and password are required.");
+  }
+  assertEmailFree(normalized);
+  return db.users.create({
+    name: String(name).trim(),
+    email: normalized,
+    passwordHash: await hashPassword(password),
+    role: VALID_ROLES.includes(role) ? role : "borrower",
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function findUser(id) {
+  const user = db.users.get(id);
+  if (!user) throw new HttpError(404, "User not found.");
+  return user;
+}
+
+// Admins see everyone; other users only their own record
+async function listUsers(req, res) {
+  const actor = getActor(req);
+  const users = actor.role === "admin" ? db.users.list() : [actor];
+  sendJSON(res, 200, users.map(publicUser));
+}
+
+async function getUser(req, res, { id }) {
+  const actor = getActor(req);
+  if (actor.role !== "admin" && actor.id !== id) {
+    throw new HttpError(404, "User not found.");
+  }
+  sendJSON(res, 200, publicUser(findUser(id)));
+}
+
+async function addUser(req, res) {
+  requireRole(getActor(req), "admin");
+  sendJSON(res, 201, publicUser(await createUser(await readBody(req))));
+}
+
+// Admins can edit anyone; other users only their own name, email, password
+// and KYC
+async function updateUser(req, res, { id }) {
+  const actor = getActor(req);
+  if (actor.role !== "admin" && actor.id !== id) {
+    throw new HttpError(403, "You can only edit your own profile.");
+  }
+  findUser(id);
+
+  const { name, email, password, role, kyc } = await readBody(req);
+  const changes = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new HttpError(400, "Name cannot be empty.");
+    changes.name = String(name).trim();
+  }
+  if (email !== undefined) {
+    changes.email = normalizeEmail(email);
+    if (!changes.email) throw new HttpError(400, "Email cannot be empty.");
+    assertEmailFree(changes.email, id);
+  }
+  if (password) changes.passwordHash = await hashPassword(password);
+  if (kyc !== undefined) {
+    const { kyc: checked, error } = validateKyc(kyc);
+    if (error) throw new HttpError(400, error);
+    changes.kyc = checked;
+  }
+  if (role !== undefined) {
+    requireRole(actor, "admin");
+    if (!VALID_ROLES.includes(role)) throw new HttpError(400, "Unknown role.");
+    changes.role = role;
+  }
+
+  sendJSON(res, 200, publicUser(db.users.update(id, changes)));
+}
+
+async function deleteUser(req, res, { id }) {
+  const actor = getActor(req);
+  requireRole(actor, "admin");
+  if (actor.id === id) throw new HttpError(400, "You cannot delete your own admin account.");
+  if (!db.users.remove(id)) throw new HttpError(404, "User not found.");
+  endSessionsForUser(id);
+  sendJSON(res, 204);
+}
+
+export default [
+  ["GET", "/users", listUsers],
+  ["POST", "/users", addUser],
+  ["GET", "/users/:id", getUser],
+  ["PATCH", "/users/:id", updateUser],
+  ["DELETE", "/users/:id", deleteUser],
+];
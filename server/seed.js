@@ -0,0 +1,28 @@
+import db from "./db.js";
+import { createUser } from "./routes/users.js";
+
+/**
+ * Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD (and optional
+ * ADMIN_NAME) when the data file has none. Public sign-up only ever makes
+ * borrowers, so this is how a fresh install gets someone to issue invites.
+ */
+export async function seedAdmin(env = process.env) {
+  if (db.users.list().some((u) => u.role === "admin")) return null;
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn(
+      "No admin account yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create one."
+    );
+    return null;
+  }
+
+  const admin = await createUser({
+    name: ADMIN_NAME || "Administrator",
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    role: "admin",
+  });
+  console.log(`Created admin account ${admin.email}`);
+  return admin;
+}
@@ -0,0 +1,52 @@
+import {
+  SESSION_END_MESSAGES,
+  createSession,
+  sessionEndReason,
+} from "../src/utils/session.js";
+
+/**
+ * Active sessions, keyed by token. Kept in memory only: restarting the
+ * server logs everyone out, which is fine for a reference server.
+ */
+const sessions = new Map();
+
+function prune(now = Date.now()) {
+  for (const [token, session] of sessions) {
+    if (sessionEndReason(session, now)) sessions.delete(token);
+  }
+}
+
+export function startSession(userId) {
+  prune();
+  const session = createSession(userId);
+  sessions.set(session.token, session);
+  return session;
+}
+
+/**
+ * Looks up a token and records the request as activity.
+ * Returns `{ session }`, or `{ error }` when the token is unknown or the
+ * session has timed out.
+ */
+export function touchSession(token) {
+  const session = token ? sessions.get(token) : null;
+  if (!session) return { error: "Please log in first." };
+
+  const reason = sessionEndReason(session);
+  if (reason) {
+    sessions.delete(token);
+    return { error: SESSION_END_MESSAGES[reason] };
+  }
+  session.lastActivityAt = Date.now();
+  return { session };
+}
+
+export function endSession(token) {
+  sessions.delete(token);
+}
+
+export function endSessionsForUser(userId) {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId) sessions.delete(token);
+  }
+}
@@ -0,0 +1,28 @@
+import { createServer } from "node:http";
+import { attachRealtime } from "./realtime.js";
+
+/**
+ * Stand-in socket.io server for development with the localStorage backend.
+ * There is no API to watch, so browsers announce their own loan changes and
+ * this server relays them to the other dashboards. It trusts the user each
+ * browser says it is; never expose it beyond your machine.
+ */
+
+const PORT = Number(process.env.SOCKET_PORT) || 5001;
+
+const server = createServer((req, res) => {
+  res.writeHead(404);
+  res.end();
+});
+
+attachRealtime(server, {
+  relay: true,
+  authenticate: (handshake) => {
+    const user = handshake.auth?.user;
+    return user?.id && user?.role ? user : null;
+  },
+});
+
+server.listen(PORT, () => {
+  console.log(`Socket stand-in listening on http://localhost:${PORT}`);
+});
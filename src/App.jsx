@@ -1,22 +1,65 @@
 import React from "react";
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
+import { Toaster } from "react-hot-toast";
 import Login from "./pages/Auth/Login";
 import AdminDashboard from "./pages/Admin/AdminDashboard";
 import BorrowerDashboard from "./pages/Borrower/BorrowerDashboard";
 import LenderDashboard from "./pages/Lender/LenderDashboard";
 import AnalystDashboard from "./pages/Analyst/AnalystDashboard";
+import ProtectedRoute from "./components/ProtectedRoute";
+import SessionTimeoutModal from "./components/SessionTimeoutModal";
+import { AuthProvider } from "./contexts/AuthContext";
+import { LoanProvider } from "./contexts/LoanContext";
+import { SocketProvider } from "./contexts/SocketContext";
 import "./index.css"; // Global CSS
 
 function App() {
   return (
     <BrowserRouter basename="/lloansys">
-      <Routes>
-        <Route path="/" element={<Login />} />
-        <Route path="/admin" element={<AdminDashboard />} />
-        <Route path="/borrower" element={<BorrowerDashboard />} />
-        <Route path="/lender" element={<LenderDashboard />} />
-        <Route path="/analyst" element={<AnalystDashboard />} />
-      </Routes>
+      <Toaster position="top-right" />
+      <AuthProvider>
+        <SessionTimeoutModal />
+        <SocketProvider>
+          <LoanProvider>
+            <Routes>
+              <Route path="/" element={<Login />} />
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute roles={["admin"]}>
+                    <AdminDashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/borrower"
+                element={
+                  <ProtectedRoute roles={["borrower"]}>
+                    <BorrowerDashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/lender"
+                element={
+                  <ProtectedRoute roles={["lender"]}>
+                    <LenderDashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/analyst"
+                element={
+                  <ProtectedRoute roles={["analyst"]}>
+                    <AnalystDashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </LoanProvider>
+        </SocketProvider>
+      </AuthProvider>
     </BrowserRouter>
   );
 }
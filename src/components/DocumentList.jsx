@@ -0,0 +1,79 @@
+import React from "react";
+import { DOCUMENT_STATUS, getLoanDocument } from "../utils/documents";
+import { getDocumentLabel } from "../utils/products";
+import DocumentViewButton from "./DocumentViewButton";
+
+const STATUS_STYLES = {
+  [DOCUMENT_STATUS.PENDING]: "text-amber-300",
+  [DOCUMENT_STATUS.VERIFIED]: "text-emerald-400",
+  [DOCUMENT_STATUS.REJECTED]: "text-red-400",
+};
+
+const STATUS_LABELS = {
+  [DOCUMENT_STATUS.PENDING]: "Awaiting review",
+  [DOCUMENT_STATUS.VERIFIED]: "Verified",
+  [DOCUMENT_STATUS.REJECTED]: "Rejected",
+};
+
+/**
+ * DocumentList Component
+ * A loan's documents with their review status and the reviewer's comment.
+ * Every document the loan requires is listed, uploaded or not.
+ * Props:
+ * - loan: the loan whose documents to show
+ * - renderActions: optional (type, entry) => node for extra buttons;
+ *   `entry` is null when nothing was uploaded for `type`
+ */
+export default function DocumentList({ loan, renderActions }) {
+  const types = [
+    ...new Set([
+      ...(loan.requiredDocuments || []),
+      ...(loan.documents || []).map((d) => d.type),
+    ]),
+  ];
+  if (types.length === 0) return null;
+
+  return (
+    <ul className="space-y-1.5 text-[11px]">
+      {types.map((type) => {
+        const entry = getLoanDocument(loan, type);
+        // Entries from before reviews existed have no status yet
+        const status = entry ? entry.status || DOCUMENT_STATUS.PENDING : null;
+        return (
+          <li
+            key={type}
+            className="rounded-lg border border-slate-800 bg-slate-950/60 px-3 py-2"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="text-slate-200">
+                {getDocumentLabel(type)}
+                {entry && (
+                  <span className="ml-2 text-slate-500">{entry.fileName}</span>
+                )}
+              </span>
+              <span className="flex items-center gap-3">
+                <span
+                  className={`font-semibold ${
+                    status ? STATUS_STYLES[status] : "text-slate-500"
+                  }`}
+                >
+                  {status ? STATUS_LABELS[status] : "Not uploaded"}
+                </span>
+                {entry?.documentId && (
+                  <DocumentViewButton documentId={entry.documentId} />
+                )}
+                {renderActions?.(type, entry)}
+              </span>
+            </div>
+            {entry?.comment && (
+              <p className="mt-1 text-slate-400">
+                {entry.reviewedByName ? `${entry.reviewedByName}: ` : ""}
+                {entry.comment}
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+import toast from "react-hot-toast";
+import { checkDocumentFile } from "../utils/documents";
+
+/**
+ * DocumentPicker Component
+ * "Choose file" button for a document upload. Files the vault would refuse
+ * (wrong type, too large) are reported here and never passed on.
+ * Props:
+ * - label: button text
+ * - onSelect: (file) => void, called with an acceptable file
+ * - disabled: while an upload is in progress
+ */
+export default function DocumentPicker({ label, onSelect, disabled = false }) {
+  const handleChange = (e) => {
+    const file = e.target.files[0];
+    // Lets the same file be picked again after a failed upload
+    e.target.value = "";
+    if (!file) return;
+    const error = checkDocumentFile({ size: file.size, mimeType: file.type });
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    onSelect(file);
+  };
+
+  return (
+    <label
+      className={`rounded-full border border-slate-700 px-3 py-1 text-slate-300 ${
+        disabled ? "opacity-50" : "cursor-pointer hover:bg-slate-800"
+      }`}
+    >
+      {label}
+      <input
+        type="file"
+        accept="application/pdf,image/jpeg,image/png"
+        className="hidden"
+        disabled={disabled}
+        onChange={handleChange}
+      />
+    </label>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../services/repository";
+
+// Long enough for the new tab to load the file
+const REVOKE_AFTER_MS = 60 * 1000;
+
+/**
+ * DocumentViewButton Component
+ * Fetches an uploaded document from the vault and opens it in a new tab.
+ * Props:
+ * - documentId: id of the upload in repository.documents
+ */
+export default function DocumentViewButton({ documentId }) {
+  const [isOpening, setIsOpening] = useState(false);
+
+  const handleView = async () => {
+    // Opened before the download so popup blockers allow it
+    const tab = window.open("", "_blank");
+    setIsOpening(true);
+    try {
+      const blob = await repository.documents.download(documentId);
+      const url = URL.createObjectURL(blob);
+      if (tab) tab.location.href = url;
+      else window.open(url, "_blank");
+      setTimeout(() => URL.revokeObjectURL(url), REVOKE_AFTER_MS);
+    } catch (err) {
+      tab?.close();
+      toast.error(`Could not open the document: ${err.message}`);
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleView}
+      disabled={isOpening || !documentId}
+      className="text-sky-300 hover:text-sky-200 disabled:opacity-50"
+    >
+      {isOpening ? "Opening..." : "View"}
+    </button>
+  );
+}
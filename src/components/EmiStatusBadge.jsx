@@ -0,0 +1,36 @@
+import React from "react";
+import { EMI_STATUS, getDaysPastDue, getEmiStatus } from "../utils/dueDates";
+
+const STYLES = {
+  [EMI_STATUS.PAID]: "text-emerald-400",
+  [EMI_STATUS.OVERDUE]: "text-red-400",
+  [EMI_STATUS.DUE_SOON]: "text-amber-300",
+  [EMI_STATUS.UPCOMING]: "text-sky-300",
+  [EMI_STATUS.UNSCHEDULED]: "text-amber-400",
+};
+
+/**
+ * EmiStatusBadge Component
+ * Status of one EMI row: Paid, Overdue (with days past due), Due soon,
+ * Upcoming, or Pending while the loan has not been disbursed.
+ * Props:
+ * - loan: the loan the EMI belongs to
+ * - index: position of the EMI in loan.repayments
+ */
+export default function EmiStatusBadge({ loan, index }) {
+  const status = getEmiStatus(loan, index);
+
+  const label = {
+    [EMI_STATUS.PAID]: "Paid",
+    [EMI_STATUS.OVERDUE]: `Overdue · ${getDaysPastDue(loan, index)}d`,
+    [EMI_STATUS.DUE_SOON]: "Due soon",
+    [EMI_STATUS.UPCOMING]: "Upcoming",
+    [EMI_STATUS.UNSCHEDULED]: "Pending",
+  }[status];
+
+  return (
+    <span className={`font-semibold text-xs whitespace-nowrap ${STYLES[status]}`}>
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,61 @@
+import React from "react";
+import {
+  describePenaltyPolicy,
+  getPenaltyPolicy,
+  getPenaltySummary,
+} from "../utils/penalties";
+
+const money = (value) => `₹${value.toFixed(2)}`;
+
+/**
+ * LateChargesSummary Component
+ * Late fee and penal interest on a loan as separate line items: what is
+ * outstanding on unpaid EMIs and what was collected with paid ones, plus
+ * the loan's penalty terms. Renders nothing before disbursement.
+ * Props:
+ * - loan: the loan to summarise
+ * - className: spacing around the box (defaults to a top margin)
+ */
+export default function LateChargesSummary({ loan, className = "mt-3" }) {
+  if (!loan?.disbursedAt) return null;
+  const { outstanding, collected } = getPenaltySummary(loan);
+
+  return (
+    <div
+      className={`${className} rounded-xl border border-slate-800 bg-slate-900/60 p-3 text-[11px]`}
+    >
+      <div className="grid grid-cols-3 gap-2 text-slate-400">
+        <span className="uppercase tracking-[0.14em]">Late charges</span>
+        <span className="text-right">Outstanding</span>
+        <span className="text-right">Collected</span>
+
+        <span>Late fee</span>
+        <span
+          className={`text-right ${
+            outstanding.lateFee ? "text-red-300" : "text-slate-300"
+          }`}
+        >
+          {money(outstanding.lateFee)}
+        </span>
+        <span className="text-right text-slate-300">
+          {money(collected.lateFee)}
+        </span>
+
+        <span>Penal interest</span>
+        <span
+          className={`text-right ${
+            outstanding.penalInterest ? "text-red-300" : "text-slate-300"
+          }`}
+        >
+          {money(outstanding.penalInterest)}
+        </span>
+        <span className="text-right text-slate-300">
+          {money(collected.penalInterest)}
+        </span>
+      </div>
+      <p className="mt-2 text-[10px] text-slate-500">
+        Terms: {describePenaltyPolicy(getPenaltyPolicy(loan))}.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+import useSocket from "../hooks/useSocket";
+
+/**
+ * LiveStatus Component
+ * Small header pill showing whether loan updates arrive live. Renders
+ * nothing when live events are not configured.
+ */
+export default function LiveStatus() {
+  const { socket, connected } = useSocket();
+  if (!socket) return null;
+
+  return (
+    <span
+      title={
+        connected
+          ? "Loan changes appear as they happen."
+          : "Live updates are unavailable; data refreshes periodically."
+      }
+      className={`inline-flex items-center gap-1.5 rounded-full border px-2 py-[2px] text-[10px] font-medium ${
+        connected
+          ? "border-emerald-400/40 bg-emerald-500/10 text-emerald-200"
+          : "border-amber-400/40 bg-amber-500/10 text-amber-200"
+      }`}
+    >
+      <span
+        className={`h-1.5 w-1.5 rounded-full ${
+          connected ? "bg-emerald-400 animate-pulse" : "bg-amber-400"
+        }`}
+      />
+      {connected ? "Live" : "Offline"}
+    </span>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import formatDate from "../utils/formatDate";
+import {
+  INTEREST_TREATMENTS,
+  getPausedMonthsBefore,
+} from "../utils/moratorium";
+
+/**
+ * PausedMonthRows Component
+ * Schedule table rows for the months a repayment holiday skipped, shown
+ * just before the EMI the schedule resumes with. Renders nothing when no
+ * holiday starts at that EMI.
+ * Props:
+ * - loan: the loan whose schedule is being listed
+ * - index: position of the EMI the rows go before
+ * - colSpan: number of columns in the table
+ */
+export default function PausedMonthRows({ loan, index, colSpan }) {
+  return getPausedMonthsBefore(loan, index).map(({ dueDate, moratorium }) => (
+    <tr
+      key={`${moratorium.id}-${dueDate}`}
+      className="border-t border-slate-800 bg-violet-500/5"
+    >
+      <td className="p-2 text-violet-200 whitespace-nowrap">Paused</td>
+      <td className="p-2 text-violet-200/80 whitespace-nowrap">
+        {formatDate(dueDate)}
+      </td>
+      <td colSpan={colSpan - 2} className="p-2 text-[11px] text-violet-200/70">
+        Repayment holiday · no EMI due · interest{" "}
+        {moratorium.interestTreatment === INTEREST_TREATMENTS.CAPITALIZE
+          ? "added to the principal"
+          : "collected with later EMIs"}
+      </td>
+    </tr>
+  ));
+}
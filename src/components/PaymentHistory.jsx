@@ -0,0 +1,77 @@
+import React from "react";
+import formatDate from "../utils/formatDate";
+import { summarizeAllocations } from "../utils/payments";
+
+const money = (value) => (value ? `₹${value.toFixed(2)}` : "-");
+
+// "EMI 2", "EMI 2-4"
+function describeInstallments(allocations) {
+  if (!allocations?.length) return "-";
+  const first = allocations[0].installment;
+  const last = allocations[allocations.length - 1].installment;
+  return first === last ? `EMI ${first}` : `EMI ${first}-${last}`;
+}
+
+/**
+ * PaymentHistory Component
+ * The loan's payment transactions, newest first, each split into what went
+ * to charges (late charges, plus the foreclosure charge when the loan was
+ * closed early), interest and principal and which EMIs it covered.
+ * Renders nothing until a payment has been recorded.
+ * Props:
+ * - loan: the loan whose `payments` to list
+ */
+export default function PaymentHistory({ loan }) {
+  const payments = [...(loan?.payments || [])].reverse();
+  if (payments.length === 0) return null;
+
+  return (
+    <div className="mt-3 rounded-xl border border-slate-800 bg-slate-900/60 p-3 text-[11px]">
+      <p className="mb-2 uppercase tracking-[0.14em] text-slate-400">
+        Payments ({payments.length})
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="text-slate-500">
+              <th className="p-1.5 text-left font-medium">Date</th>
+              <th className="p-1.5 text-left font-medium">Amount</th>
+              <th className="p-1.5 text-left font-medium">Charges</th>
+              <th className="p-1.5 text-left font-medium">Interest</th>
+              <th className="p-1.5 text-left font-medium">Principal</th>
+              <th className="p-1.5 text-left font-medium">Applied To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map((payment) => {
+              const split = summarizeAllocations(payment);
+              return (
+                <tr key={payment.id} className="border-t border-slate-800">
+                  <td className="p-1.5 text-slate-300 whitespace-nowrap">
+                    {formatDate(payment.paidAt)}
+                  </td>
+                  <td className="p-1.5 text-emerald-300">
+                    ₹{Number(payment.amount).toFixed(2)}
+                  </td>
+                  <td className="p-1.5 text-slate-300">
+                    {money(split.fees + Number(payment.charge || 0))}
+                  </td>
+                  <td className="p-1.5 text-slate-300">
+                    {money(split.interest)}
+                  </td>
+                  <td className="p-1.5 text-slate-300">
+                    {money(split.principal)}
+                  </td>
+                  <td className="p-1.5 text-slate-400 whitespace-nowrap">
+                    {payment.type === "foreclosure" && "Early closure · "}
+                    {describeInstallments(payment.allocations)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
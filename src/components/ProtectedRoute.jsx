@@ -0,0 +1,36 @@
+import React, { useEffect } from "react";
+import { Navigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import useAuth from "../hooks/useAuth";
+import { ROLE_HOME } from "../utils/constants";
+
+/**
+ * ProtectedRoute Component
+ * Props:
+ * - roles: array of roles allowed to see the route
+ * - children: the page to render when access is granted
+ *
+ * Visitors without a session go back to login (told why if their session
+ * timed out); users with the wrong role are sent to their own dashboard.
+ */
+export default function ProtectedRoute({ roles, children }) {
+  const { user, sessionEndedMessage } = useAuth();
+  const allowed = !!user && (!roles || roles.includes(user.role));
+
+  useEffect(() => {
+    // Fixed id keeps StrictMode's double effect run from stacking toasts
+    if (!user) {
+      toast.error(sessionEndedMessage || "Please login to continue.", {
+        id: "auth-guard",
+      });
+    } else if (!allowed) {
+      toast.error("You are not authorized to view that page.", {
+        id: "auth-guard",
+      });
+    }
+  }, [user, allowed, sessionEndedMessage]);
+
+  if (!user) return <Navigate to="/" replace />;
+  if (!allowed) return <Navigate to={ROLE_HOME[user.role] || "/"} replace />;
+  return children;
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import formatDate from "../utils/formatDate";
+import { getRejectionLabel } from "../utils/rejection";
+
+/**
+ * RejectionDetails Component
+ * A loan's rejection reason and note, and the borrower's appeal with the
+ * rejection it answered. Renders nothing for loans never rejected.
+ * Props:
+ * - loan: the loan to describe
+ */
+export default function RejectionDetails({ loan }) {
+  const { rejection, appeal } = loan;
+  // The rejection the appeal answered, then the one after it, if any
+  const original = appeal ? appeal.rejection : null;
+  const current =
+    loan.status === "Rejected" && rejection?.at !== original?.at
+      ? rejection
+      : null;
+  if (!original && !appeal && !current) return null;
+
+  return (
+    <ol className="space-y-1.5 text-[11px]">
+      {original && <RejectionEntry rejection={original} />}
+      {appeal && (
+        <li className="rounded-lg border border-sky-500/30 bg-sky-500/10 px-3 py-2">
+          <p className="text-sky-200 font-medium">
+            Appealed {formatDate(appeal.at)}
+            {loan.status === "Pending" && " · under review"}
+          </p>
+          <p className="mt-0.5 text-slate-300 whitespace-pre-line">
+            {appeal.message}
+          </p>
+        </li>
+      )}
+      {current && <RejectionEntry rejection={current} final={!!appeal} />}
+    </ol>
+  );
+}
+
+function RejectionEntry({ rejection, final = false }) {
+  return (
+    <li className="rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-2">
+      <p className="text-red-200 font-medium">
+        Rejected {formatDate(rejection.at)}
+        {rejection.byName ? ` by ${rejection.byName}` : ""}
+        {final && " · final"}: {getRejectionLabel(rejection.code)}
+      </p>
+      {rejection.note && (
+        <p className="mt-0.5 text-slate-300 whitespace-pre-line">
+          {rejection.note}
+        </p>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import Button from "./Button";
+import useAuth from "../hooks/useAuth";
+
+/**
+ * SessionTimeoutModal Component
+ * Counts down to an automatic logout announced by AuthProvider.
+ * - idle: the user can stay signed in, which resets the idle timer
+ * - expired: the session has reached its maximum length and cannot be
+ *   extended; the user can only acknowledge or log out now
+ */
+export default function SessionTimeoutModal() {
+  const { sessionWarning, extendSession, logout } = useAuth();
+  const [now, setNow] = useState(() => Date.now());
+  const [dismissedAt, setDismissedAt] = useState(null);
+
+  useEffect(() => {
+    if (!sessionWarning) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [sessionWarning]);
+
+  const isIdle = sessionWarning?.reason === "idle";
+  const isOpen = !!sessionWarning && dismissedAt !== sessionWarning.endsAt;
+  const secondsLeft = sessionWarning
+    ? Math.max(0, Math.ceil((sessionWarning.endsAt - now) / 1000))
+    : 0;
+
+  const handleClose = () => {
+    if (isIdle) extendSession();
+    else setDismissedAt(sessionWarning.endsAt);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={isIdle ? "Are you still there?" : "Your session is ending"}
+      footer={
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" onClick={logout}>
+            Log out now
+          </Button>
+          <Button onClick={handleClose}>
+            {isIdle ? "Stay signed in" : "OK"}
+          </Button>
+        </div>
+      }
+    >
+      <p className="text-sm text-gray-700">
+        {isIdle
+          ? "You have been inactive for a while. For your security you will be logged out in "
+          : "Your session has reached its maximum length. You will be logged out in "}
+        <span className="font-semibold">{secondsLeft}s</span>.
+      </p>
+      {!isIdle && (
+        <p className="mt-2 text-xs text-gray-500">
+          Save anything you are working on; you will need to log in again.
+        </p>
+      )}
+    </Modal>
+  );
+}
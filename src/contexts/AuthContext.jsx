@@ -0,0 +1,264 @@
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import repository from "../services/repository";
+import { UNAUTHORIZED_EVENT } from "../services/api";
+import {
+  SESSION_END_MESSAGES,
+  SESSION_STORAGE_KEY,
+  SESSION_TIMEOUTS,
+  sessionEndReason,
+  sessionEndsAt,
+} from "../utils/session";
+import { safeParseJSON, saveJSON } from "../utils/storage";
+import { AuthContext } from "./auth";
+
+// Sessions from before tokens existed; they never expire, so they are dropped
+const LEGACY_SESSION_KEY = "user";
+
+const ACTIVITY_EVENTS = [
+  "mousedown",
+  "mousemove",
+  "keydown",
+  "scroll",
+  "touchstart",
+];
+// Activity is written to storage (and the server) at most this often
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+
+// The only user fields kept in the session; credentials never go in here
+function toSessionUser({ id, name, email, role }) {
+  return { id, name, email, role };
+}
+
+function loadSession() {
+  localStorage.removeItem(LEGACY_SESSION_KEY);
+  const stored = safeParseJSON(SESSION_STORAGE_KEY, null);
+  if (!stored?.user || sessionEndReason(stored)) {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return null;
+  }
+  return stored;
+}
+
+// The stored session, unless this tab cannot carry it on: with the local
+// backend PII keys are unlocked in memory only, so after a reload a
+// borrower or admin has to log in again rather than work with sealed data
+function restoreSession() {
+  const stored = loadSession();
+  if (!stored || repository.auth.canResume(stored.user)) {
+    return { session: stored, message: null };
+  }
+  return { session: null, message: SESSION_END_MESSAGES.locked };
+}
+
+/**
+ * AuthProvider
+ * Owns the logged-in user and their session. A login yields a session token
+ * with an absolute and an idle timeout (utils/session); the session lives in
+ * localStorage "session" without any credentials.
+ * - User activity keeps the session alive; shortly before an automatic
+ *   logout `sessionWarning` is set so the UI can ask the user to stay.
+ * - Logging in or out in one tab is picked up by every other tab through
+ *   the storage event.
+ * login/register resolve to `{ user }` on success or `{ error }` with a
+ * message to show.
+ */
+export function AuthProvider({ children }) {
+  // Timestamps change on every bit of activity, so they live in a ref;
+  // only the user and the warning drive re-renders
+  const [restored] = useState(restoreSession);
+  const sessionRef = useRef(restored.session);
+  const [user, setUser] = useState(restored.session?.user ?? null);
+  const [sessionWarning, setSessionWarning] = useState(null);
+  const [sessionEndedMessage, setSessionEndedMessage] = useState(
+    restored.message
+  );
+
+  const storeSession = useCallback((session) => {
+    sessionRef.current = session;
+    saveJSON(SESSION_STORAGE_KEY, session);
+  }, []);
+
+  // Forgets the session in this tab only (another tab already cleared storage)
+  const dropSession = useCallback((message) => {
+    sessionRef.current = null;
+    repository.auth.lock();
+    setUser(null);
+    setSessionWarning(null);
+    setSessionEndedMessage(message);
+  }, []);
+
+  const endSession = useCallback(
+    (message = null) => {
+      const session = sessionRef.current;
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      if (session) repository.auth.logout(session).catch(() => {});
+      dropSession(message);
+    },
+    [dropSession]
+  );
+
+  const login = useCallback(
+    async (email, password) => {
+      try {
+        const { user: found, session } = await repository.auth.login(
+          email,
+          password
+        );
+        const sessionUser = toSessionUser(found);
+        storeSession({ ...session, user: sessionUser });
+        setUser(sessionUser);
+        setSessionEndedMessage(null);
+        return { user: sessionUser };
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+    [storeSession]
+  );
+
+  // The account's role is decided by the backend from `inviteCode`
+  const register = useCallback(async ({ name, email, password, inviteCode }) => {
+    try {
+      const created = await repository.auth.register({
+        name: name.trim(),
+        email,
+        password,
+        inviteCode,
+      });
+      return { user: created };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, []);
+
+  const logout = useCallback(() => endSession(), [endSession]);
+
+  const recordActivity = useCallback(
+    (force = false) => {
+      const session = sessionRef.current;
+      if (!session) return;
+      const now = Date.now();
+      if (!force && now - session.lastActivityAt < ACTIVITY_THROTTLE_MS) {
+        return;
+      }
+
+      storeSession({ ...session, lastActivityAt: now });
+      // A rejected token surfaces through UNAUTHORIZED_EVENT
+      repository.auth.refresh(session).catch(() => {});
+    },
+    [storeSession]
+  );
+
+  const extendSession = useCallback(() => {
+    recordActivity(true);
+    setSessionWarning(null);
+  }, [recordActivity]);
+
+  // Activity resets the idle timer, except while the warning is up: then
+  // only an explicit "stay signed in" counts
+  useEffect(() => {
+    if (!user || sessionWarning) return;
+    const handleActivity = () => recordActivity();
+    ACTIVITY_EVENTS.forEach((name) =>
+      window.addEventListener(name, handleActivity, { passive: true })
+    );
+    return () =>
+      ACTIVITY_EVENTS.forEach((name) =>
+        window.removeEventListener(name, handleActivity)
+      );
+  }, [user, sessionWarning, recordActivity]);
+
+  // Timeout check: warn shortly before the end, log out when it is reached
+  useEffect(() => {
+    if (!user) return;
+    const check = () => {
+      const session = sessionRef.current;
+      if (!session) return;
+      const reason = sessionEndReason(session);
+      if (reason) {
+        endSession(SESSION_END_MESSAGES[reason]);
+        return;
+      }
+      const endsAt = sessionEndsAt(session);
+      if (endsAt - Date.now() > SESSION_TIMEOUTS.warningMs) {
+        setSessionWarning(null);
+        return;
+      }
+      const reasonSoon = endsAt === session.expiresAt ? "expired" : "idle";
+      setSessionWarning((prev) =>
+        prev?.endsAt === endsAt ? prev : { endsAt, reason: reasonSoon }
+      );
+    };
+    check();
+    const timer = setInterval(check, 1000);
+    return () => clearInterval(timer);
+  }, [user, endSession]);
+
+  // Other tabs: logout, login and activity all arrive as storage events
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== SESSION_STORAGE_KEY && e.key !== null) return;
+      const next =
+        e.key === null ? null : safeParseJSON(SESSION_STORAGE_KEY, null);
+      if (!next?.user) {
+        if (sessionRef.current) {
+          dropSession("You were logged out in another tab.");
+        }
+        return;
+      }
+      // A login as someone else elsewhere only carries over if this tab
+      // can unlock their keys, which it never can for the local backend
+      const switched = sessionRef.current?.user.id !== next.user.id;
+      if (switched && !repository.auth.canResume(next.user)) {
+        if (sessionRef.current) dropSession(SESSION_END_MESSAGES.locked);
+        return;
+      }
+      sessionRef.current = next;
+      setUser((prev) => (prev?.id === next.user.id ? prev : next.user));
+      setSessionEndedMessage(null);
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [dropSession]);
+
+  // The API server rejected the token (expired, revoked or restarted)
+  useEffect(() => {
+    const handleUnauthorized = (e) => {
+      if (sessionRef.current) {
+        endSession(e.detail || SESSION_END_MESSAGES.expired);
+      }
+    };
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () =>
+      window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, [endSession]);
+
+  const value = useMemo(
+    () => ({
+      user,
+      login,
+      register,
+      logout,
+      sessionWarning,
+      sessionEndedMessage,
+      extendSession,
+    }),
+    [
+      user,
+      login,
+      register,
+      logout,
+      sessionWarning,
+      sessionEndedMessage,
+      extendSession,
+    ]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -0,0 +1,275 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import useAuth from "../hooks/useAuth";
+import useSocket from "../hooks/useSocket";
+import repository, { STORAGE_BACKEND } from "../services/repository";
+import { ANNOUNCES_OWN_EVENTS } from "../services/socket";
+import {
+  LOAN_EVENT,
+  buildLoanEvent,
+  deriveLoanEvents,
+  describeLoanEvent,
+} from "../utils/loanEvents";
+import { applyTransition } from "../utils/loanLifecycle";
+import { LoanContext } from "./loan";
+
+// Server endpoints (POST /loans/:id/<path>) behind the lifecycle actions
+const ACTION_PATHS = {
+  approve: "approve",
+  addApproval: "approve",
+  reject: "reject",
+  appeal: "appeal",
+  assignLender: "assign",
+  acceptOffer: "offer/accept",
+  declineOffer: "offer/decline",
+  disburse: "disburse",
+  complete: "complete",
+};
+
+// How often to re-fetch from the API while live events are unavailable
+const POLL_INTERVAL_MS = 20 * 1000;
+
+/**
+ * LoanProvider
+ * Single owner of the loan list. Every mutation re-reads the stored copy of
+ * the loan it changes before writing, so a dashboard only ever changes the
+ * loans it touches and never overwrites writes made elsewhere (another
+ * dashboard, browser tab or API client).
+ * Mutations are async and resolve to `{ loan }` or `{ error }`.
+ * Changes made elsewhere arrive as live loan events (utils/loanEvents) over
+ * the socket; while it is disconnected the API is polled instead.
+ */
+export function LoanProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const { socket, connected } = useSocket();
+  const [loans, setLoans] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    try {
+      setLoans(await repository.loans.list());
+    } catch (err) {
+      console.error("Failed to load loans", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // The API only returns the loans the logged-in user may see, so reload
+  // whenever someone else logs in
+  useEffect(() => {
+    if (!userId) {
+      setLoans([]);
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    reload();
+  }, [reload, userId]);
+
+  // Keep in sync with writes from other tabs (localStorage backend)
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === "loans" || e.key === null) reload();
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [reload]);
+
+  // localStorage changes from other tabs already arrive as storage events
+  useEffect(() => {
+    if (!userId || connected || STORAGE_BACKEND !== "api") return;
+    const timer = setInterval(reload, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [userId, connected, reload]);
+
+  const replaceInState = useCallback(
+    (loan) =>
+      setLoans((prev) => prev.map((l) => (l.id === loan.id ? loan : l))),
+    []
+  );
+
+  const upsertInState = useCallback(
+    (loan) =>
+      setLoans((prev) =>
+        prev.some((l) => l.id === loan.id)
+          ? prev.map((l) => (l.id === loan.id ? loan : l))
+          : [...prev, loan]
+      ),
+    []
+  );
+
+  // Live events: apply the loan as sent and tell the user what happened,
+  // unless they made the change themselves
+  useEffect(() => {
+    if (!socket) return;
+    const handleEvent = (event) => {
+      if (!event?.loan) return;
+      upsertInState(event.loan);
+      const message = describeLoanEvent(event);
+      if (message && event.actor?.id !== userId) {
+        toast(message, { icon: "🔔" });
+      }
+    };
+    socket.on(LOAN_EVENT, handleEvent);
+    return () => socket.off(LOAN_EVENT, handleEvent);
+  }, [socket, userId, upsertInState]);
+
+  // With the localStorage backend this browser reports its own changes
+  const announce = useCallback(
+    (before, after) => {
+      if (!ANNOUNCES_OWN_EVENTS || !socket?.connected) return;
+      for (const type of deriveLoanEvents(before, after)) {
+        socket.emit(LOAN_EVENT, buildLoanEvent(type, after, user));
+      }
+    },
+    [socket, user]
+  );
+
+  // -------- Mutations --------
+
+  const addLoan = useCallback(async (loan) => {
+    try {
+      const created = await repository.loans.create(loan);
+      setLoans((prev) => [...prev, created]);
+      announce(null, created);
+      return { loan: created };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [announce]);
+
+  // `changes` may be a patch object or a function (loan) => updatedLoan
+  const updateLoan = useCallback(async (id, changes) => {
+    try {
+      const current = await repository.loans.get(id);
+      if (!current) return { error: "Loan not found." };
+      const next =
+        typeof changes === "function"
+          ? changes(current)
+          : { ...current, ...changes };
+      // Only the fields that changed, which are all the server checks
+      const patch = Object.fromEntries(
+        Object.entries(next).filter(
+          ([key, value]) =>
+            JSON.stringify(value) !== JSON.stringify(current[key])
+        )
+      );
+      const saved = await repository.loans.update(id, patch);
+      replaceInState(saved);
+      announce(current, saved);
+      return { loan: saved };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [replaceInState, announce]);
+
+  const deleteLoan = useCallback(async (id) => {
+    try {
+      await repository.loans.remove(id);
+      setLoans((prev) => prev.filter((loan) => loan.id !== id));
+      return {};
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, []);
+
+  /**
+   * Changes the server works out for itself: payments, term edits and
+   * lifecycle moves. With the API backend only `request` is sent
+   * (`{ path, body }` posts to /loans/:id/<path>, a bare `{ body }` is a
+   * PATCH of the loan) and the loan the server returns is kept. With
+   * localStorage there is no server, so `local`, a function
+   * (loan) => updatedLoan, computes the result here.
+   */
+  const runLoanAction = useCallback(
+    async (id, { path, body }, local) => {
+      if (STORAGE_BACKEND !== "api") return updateLoan(id, local);
+      try {
+        const saved = path
+          ? await repository.loans.act(id, path, body)
+          : await repository.loans.update(id, body);
+        replaceInState(saved);
+        return { loan: saved };
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+    [updateLoan, replaceInState]
+  );
+
+  /**
+   * Runs a lifecycle action (see utils/loanLifecycle) against the latest
+   * stored copy of the loan. `options.body` is what the action's endpoint
+   * takes, e.g. `{ lenderId }` for an assignment.
+   */
+  const transitionLoan = useCallback(
+    (id, action, actor, options = {}) =>
+      runLoanAction(
+        id,
+        { path: ACTION_PATHS[action], body: options.body },
+        (current) => {
+          const outcome = applyTransition(current, action, actor, options);
+          if (outcome.error) throw new Error(outcome.error);
+          return outcome.loan;
+        }
+      ),
+    [runLoanAction]
+  );
+
+  // -------- Queries --------
+
+  const getLoan = useCallback(
+    (id) => loans.find((loan) => loan.id === id) || null,
+    [loans]
+  );
+
+  const loansByBorrower = useCallback(
+    (borrowerId) => loans.filter((loan) => loan.borrowerId === borrowerId),
+    [loans]
+  );
+
+  const loansByLender = useCallback(
+    (lenderId) => loans.filter((loan) => loan.lenderId === lenderId),
+    [loans]
+  );
+
+  const loansByStatus = useCallback(
+    (...statuses) => loans.filter((loan) => statuses.includes(loan.status)),
+    [loans]
+  );
+
+  const value = useMemo(
+    () => ({
+      loans,
+      isLoading,
+      reload,
+      addLoan,
+      updateLoan,
+      deleteLoan,
+      runLoanAction,
+      transitionLoan,
+      getLoan,
+      loansByBorrower,
+      loansByLender,
+      loansByStatus,
+    }),
+    [
+      loans,
+      isLoading,
+      reload,
+      addLoan,
+      updateLoan,
+      deleteLoan,
+      runLoanAction,
+      transitionLoan,
+      getLoan,
+      loansByBorrower,
+      loansByLender,
+      loansByStatus,
+    ]
+  );
+
+  return <LoanContext.Provider value={value}>{children}</LoanContext.Provider>;
+}
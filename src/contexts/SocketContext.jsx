@@ -1,23 +1,44 @@
-import { createContext, useEffect, useState } from "react";
-import { socket } from "../services/socket";
+import React, { useEffect, useMemo, useState } from "react";
+import useAuth from "../hooks/useAuth";
+import { createSocket } from "../services/socket";
+import { SocketContext } from "./socket";
 
-export const SocketContext = createContext();
-
-export const SocketProvider = ({ children }) => {
+/**
+ * SocketProvider
+ * One socket.io connection per tab, opened while someone is logged in and
+ * reopened when a different user logs in. `socket` is null when live
+ * events are not configured; `connected` tells consumers whether they can
+ * rely on events or need to fall back to polling.
+ */
+export function SocketProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [socket] = useState(createSocket);
   const [connected, setConnected] = useState(false);
 
   useEffect(() => {
-    socket.on("connect", () => setConnected(true));
-    socket.on("disconnect", () => setConnected(false));
+    if (!socket) return;
+    const handleConnect = () => setConnected(true);
+    const handleDisconnect = () => setConnected(false);
+    socket.on("connect", handleConnect);
+    socket.on("disconnect", handleDisconnect);
+    socket.on("connect_error", handleDisconnect);
     return () => {
-      socket.off("connect");
-      socket.off("disconnect");
+      socket.off("connect", handleConnect);
+      socket.off("disconnect", handleDisconnect);
+      socket.off("connect_error", handleDisconnect);
     };
-  }, []);
+  }, [socket]);
+
+  useEffect(() => {
+    if (!socket || !userId) return;
+    socket.connect();
+    return () => socket.disconnect();
+  }, [socket, userId]);
+
+  const value = useMemo(() => ({ socket, connected }), [socket, connected]);
 
   return (
-    <SocketContext.Provider value={{ socket, connected }}>
-      {children}
-    </SocketContext.Provider>
+    <SocketContext.Provider value={value}>{children}</SocketContext.Provider>
   );
-};
+}
@@ -0,0 +1,4 @@
+import { createContext } from "react";
+
+// Filled by AuthProvider (contexts/AuthContext), read through useAuth
+export const AuthContext = createContext(null);
@@ -0,0 +1,4 @@
+import { createContext } from "react";
+
+// Filled by LoanProvider (contexts/LoanContext), read through useLoans
+export const LoanContext = createContext(null);
@@ -0,0 +1,4 @@
+import { createContext } from "react";
+
+// Filled by SocketProvider (contexts/SocketContext), read through useSocket
+export const SocketContext = createContext(null);
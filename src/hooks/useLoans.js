@@ -0,0 +1,8 @@
+import { useContext } from "react";
+import { LoanContext } from "../contexts/loan";
+
+export default function useLoans() {
+  const context = useContext(LoanContext);
+  if (!context) throw new Error("useLoans must be used within a LoanProvider");
+  return context;
+}
@@ -1,12 +1,8 @@
-import { useContext } from 'react'
-import { SocketContext } from '../contexts/SocketContext'
-
-export default function useSocket() {
-  return useContext(SocketContext)
-}
 import { useContext } from "react";
-import { SocketContext } from "../contexts/SocketContext";
+import { SocketContext } from "../contexts/socket";
 
-export function useSocket() {
-  return useContext(SocketContext);
+export default function useSocket() {
+  const context = useContext(SocketContext);
+  if (!context) throw new Error("useSocket must be used within a SocketProvider");
+  return context;
 }
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
-import { NavLink, Outlet, useNavigate } from "react-router-dom";
+import { Navigate, NavLink, Outlet, useNavigate } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
 
 /**
  * DashboardLayout Component (Tailwind v4 compatible)
@@ -9,17 +10,14 @@ import { NavLink, Outlet, useNavigate } from "react-router-dom";
  */
 export default function DashboardLayout() {
   const navigate = useNavigate();
-  const user = JSON.parse(localStorage.getItem("user"));
+  const { user, logout } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   // Redirect if no user session
-  if (!user) {
-    navigate("/");
-    return null;
-  }
+  if (!user) return <Navigate to="/" replace />;
 
   const handleLogout = () => {
-    localStorage.removeItem("user");
+    logout();
     navigate("/");
   };
 
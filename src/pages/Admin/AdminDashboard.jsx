@@ -1,31 +1,83 @@
 import React, { useEffect, useMemo, useState } from "react";
 import toast from "react-hot-toast";
 import { useNavigate } from "react-router-dom";
-
-/**
- * Safe JSON parser for localStorage values.
- */
-function safeParseJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    const data = JSON.parse(raw);
-    return data ?? fallback;
-  } catch (err) {
-    console.error(`Failed to parse ${key} from localStorage`, err);
-    return fallback;
-  }
-}
+import DocumentList from "../../components/DocumentList";
+import LateChargesSummary from "../../components/LateChargesSummary";
+import LiveStatus from "../../components/LiveStatus";
+import RejectionDetails from "../../components/RejectionDetails";
+import useAuth from "../../hooks/useAuth";
+import useLoans from "../../hooks/useLoans";
+import repository, { STORAGE_BACKEND } from "../../services/repository";
+import {
+  ensureSchedule,
+  getInterestTotal,
+  getLoanRate,
+} from "../../utils/amortization";
+import {
+  LOAN_ACTIONS,
+  findActionForStatus,
+  reachableStatuses,
+} from "../../utils/loanLifecycle";
+import { applyTermsEdit } from "../../utils/termsEdit";
+import { getDelinquency, getNextDueEmi } from "../../utils/dueDates";
+import {
+  DEFAULT_APPROVAL_POLICY,
+  buildApproval,
+  getApprovalAction,
+  getApprovalProgress,
+  recordEdit,
+} from "../../utils/approvals";
+import {
+  DEFAULT_SCORING_POLICY,
+  scoreApplication,
+} from "../../utils/creditScore";
+import {
+  DOCUMENT_STATUS,
+  getUnverifiedDocuments,
+  reviewDocument,
+} from "../../utils/documents";
+import formatDate from "../../utils/formatDate";
+import { hasClearKyc, maskKycFields } from "../../utils/kyc";
+import {
+  OFFER_STATUS,
+  OFFER_VALID_HOURS,
+  getLatestOffer,
+  getOfferStatus,
+  getOpenOffer,
+  makeOffer,
+} from "../../utils/lenderOffers";
+import { declineMoratorium, grantMoratorium } from "../../utils/moratorium";
+import { checkProductEdit } from "../../utils/products";
+import { buildRejection, rejectionPatch } from "../../utils/rejection";
+import { checkRestructure, restructureLoan } from "../../utils/restructure";
+import ApprovalTiersPanel from "./ApprovalTiersPanel";
+import ApproveModal from "./ApproveModal";
+import CreditScoreBreakdown, { CreditScoreBadge } from "./CreditScore";
+import CreditScoringPanel from "./CreditScoringPanel";
+import DocumentReviewQueue from "./DocumentReviewQueue";
+import InvitesPanel from "./InvitesPanel";
+import LendingSettingsPanel from "./LendingSettingsPanel";
+import MoratoriumSection from "./MoratoriumSection";
+import ProductsPanel from "./ProductsPanel";
+import RejectModal from "./RejectModal";
+import RestructureModal, { RestructureComparison } from "./RestructureModal";
 
 /**
  * AdminDashboard
  * Handles loan approvals, lender assignments, and full CRUD for users & loans.
- * Frontend-only using localStorage (no backend required).
+ * Data goes through the configured repository (localStorage or REST API).
  */
 export default function AdminDashboard() {
   const navigate = useNavigate();
-  const [currentUser, setCurrentUser] = useState(null);
-  const [loans, setLoans] = useState([]);
+  const { user: currentUser, logout } = useAuth();
+  const {
+    loans,
+    isLoading,
+    updateLoan,
+    deleteLoan,
+    runLoanAction,
+    transitionLoan,
+  } = useLoans();
   const [users, setUsers] = useState([]);
   const [selectedLenders, setSelectedLenders] = useState({});
   const [showUserForm, setShowUserForm] = useState(false);
@@ -36,7 +88,6 @@ export default function AdminDashboard() {
     role: "borrower",
   });
   const [filterStatus, setFilterStatus] = useState("all");
-  const [isLoading, setIsLoading] = useState(true);
 
   // editing state for Users
   const [editingUserId, setEditingUserId] = useState(null);
@@ -51,46 +102,54 @@ export default function AdminDashboard() {
   const [editingLoan, setEditingLoan] = useState({
     amount: "",
     duration: "",
+    interestRate: "",
     purpose: "",
     status: "",
   });
 
-  // side panel selected loan
-  const [selectedLoan, setSelectedLoan] = useState(null);
-
-  // -------- Initial load & admin guard --------
+  // side panel selected loan (looked up in the store so it stays current)
+  const [selectedLoanId, setSelectedLoanId] = useState(null);
+  const selectedLoan = loans.find((l) => l.id === selectedLoanId) || null;
+  const [restructuringLoanId, setRestructuringLoanId] = useState(null);
+  const restructuringLoan =
+    loans.find((l) => l.id === restructuringLoanId) || null;
+  const [rejectingLoanId, setRejectingLoanId] = useState(null);
+  const rejectingLoan = loans.find((l) => l.id === rejectingLoanId) || null;
+  const [approvingLoanId, setApprovingLoanId] = useState(null);
+  const approvingLoan = loans.find((l) => l.id === approvingLoanId) || null;
+  const [scoringPolicy, setScoringPolicy] = useState(DEFAULT_SCORING_POLICY);
+  const [approvalPolicy, setApprovalPolicy] = useState(DEFAULT_APPROVAL_POLICY);
+
+  // -------- Initial load (route guard lives in App) --------
   useEffect(() => {
-    const logged = safeParseJSON("user", null);
-
-    if (!logged || logged.role !== "admin") {
-      toast.error("Unauthorized. Please login as admin.");
-      navigate("/");
-      return;
-    }
-
-    setCurrentUser(logged);
-
-    const storedLoans = safeParseJSON("loans", []);
-    const storedUsers = safeParseJSON("users", []);
-
-    setLoans(storedLoans);
-    setUsers(storedUsers);
-    setIsLoading(false);
-  }, [navigate]);
+    repository.users
+      .list()
+      .then(setUsers)
+      .catch((err) => toast.error(`Failed to load users: ${err.message}`));
+  }, []);
 
-  // Helper to persist loan updates
-  const updateLoans = (updated) => {
-    setLoans(updated);
-    localStorage.setItem("loans", JSON.stringify(updated));
-  };
-
-  // Helper to persist user updates
-  const updateUsers = (updated) => {
-    setUsers(updated);
-    localStorage.setItem("users", JSON.stringify(updated));
-  };
+  useEffect(() => {
+    repository.settings
+      .get()
+      .then((settings) => {
+        setScoringPolicy(settings.scoring);
+        setApprovalPolicy(settings.approvals);
+      })
+      .catch((err) => toast.error(`Failed to load settings: ${err.message}`));
+  }, []);
 
   // -------- Derived values --------
+  // Credit score of every pending application, by loan id
+  const creditScores = useMemo(
+    () =>
+      Object.fromEntries(
+        loans
+          .filter((l) => (l.status || "Pending") === "Pending")
+          .map((l) => [l.id, scoreApplication(l, loans, scoringPolicy)])
+      ),
+    [loans, scoringPolicy]
+  );
+
   const lenders = useMemo(
     () => users.filter((u) => u.role === "lender"),
     [users]
@@ -111,6 +170,9 @@ export default function AdminDashboard() {
     const completedCount = loans.filter(
       (l) => l.status === "Completed"
     ).length;
+    const holidayRequestCount = loans.filter(
+      (l) => l.moratoriumRequest?.status === "pending"
+    ).length;
 
     return {
       totalLoans,
@@ -120,6 +182,7 @@ export default function AdminDashboard() {
       rejectedCount,
       disbursedCount,
       completedCount,
+      holidayRequestCount,
     };
   }, [loans]);
 
@@ -138,6 +201,12 @@ export default function AdminDashboard() {
     if (filterStatus === "rejected") {
       return loans.filter((l) => l.status === "Rejected");
     }
+    // Approved loans without a lender or an open offer to one
+    if (filterStatus === "unassigned") {
+      return loans.filter(
+        (l) => l.status === "Approved" && !l.lenderId && !getOpenOffer(l)
+      );
+    }
     if (filterStatus === "active") {
       return loans.filter((l) =>
         ["Approved", "Funds Disbursed", "Assigned"].includes(l.status)
@@ -149,47 +218,90 @@ export default function AdminDashboard() {
 
   // -------- Loan Actions --------
 
-  const handleApprove = (id) => {
-    const updated = loans.map((loan) =>
-      loan.id === id ? { ...loan, status: "Approved" } : loan
+  // Runs a lifecycle action on one loan; resolves false (with a toast) if refused
+  const runTransition = async (loanId, action, options) => {
+    const { error } = await transitionLoan(
+      loanId,
+      action,
+      currentUser,
+      options
     );
-    updateLoans(updated);
-    toast.success("✅ Loan approved!");
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    return true;
   };
 
-  const handleReject = (id) => {
-    const updated = loans.map((loan) =>
-      loan.id === id ? { ...loan, status: "Rejected" } : loan
-    );
-    updateLoans(updated);
-    toast.error("❌ Loan rejected!");
+  // Approved loans get their amortization schedule straight away
+  const schedulePatch = (loan) => {
+    const scheduled = ensureSchedule(loan);
+    return {
+      interestRate: scheduled.interestRate,
+      repayments: scheduled.repayments,
+    };
+  };
+
+  // Records the admin's approval; the last one the loan's tier needs
+  // approves it
+  const handleApprove = async ({ comment }) => {
+    const action = getApprovalAction(approvingLoan, approvalPolicy);
+    const approval = buildApproval(comment, currentUser);
+    const approved = await runTransition(approvingLoanId, action, {
+      patch: (loan) => ({
+        ...(action === "approve" ? schedulePatch(loan) : {}),
+        approvals: [...(loan.approvals || []), approval],
+      }),
+      context: { approval, approvalPolicy },
+      body: { comment },
+    });
+    if (!approved) return false;
+    if (action === "approve") {
+      toast.success("✅ Loan approved!");
+    } else {
+      const { given, required } = getApprovalProgress(
+        approvingLoan,
+        approvalPolicy
+      );
+      toast.success(`Approval ${given + 1} of ${required} recorded.`);
+    }
+    return true;
+  };
+
+  // The borrower sees the reason and may appeal once
+  const handleReject = async ({ code, note }) => {
+    const { rejection, error } = buildRejection({ code, note }, currentUser);
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    const rejected = await runTransition(rejectingLoanId, "reject", {
+      patch: rejectionPatch(rejection),
+      context: { rejection },
+      body: { code, note },
+    });
+    if (rejected) toast.error("❌ Loan rejected!");
+    return rejected;
   };
 
-  const handleAssignLender = (loanId) => {
+  const handleAssignLender = async (loanId) => {
     const lenderId = selectedLenders[loanId];
     if (!lenderId) return toast.error("Please select a lender!");
 
     const lender = users.find((u) => u.id === Number(lenderId));
     if (!lender) return toast.error("Invalid lender!");
 
-    const updated = loans.map((loan) => {
-      if (loan.id !== loanId) return loan;
-
-      const newStatus =
-        loan.status === "Pending" || loan.status === "Assigned"
-          ? "Approved"
-          : loan.status;
-
-      return {
-        ...loan,
-        lenderId: lender.id,
-        lenderName: lender.name,
-        status: newStatus,
-      };
+    // The lender becomes the loan's lender once they accept
+    const offered = await runTransition(loanId, "assignLender", {
+      patch: (loan) => makeOffer(loan, lender, currentUser),
+      context: { lender },
+      body: { lenderId: lender.id },
     });
-
-    updateLoans(updated);
-    toast.success(`Lender ${lender.name} assigned successfully!`);
+    if (offered) {
+      toast.success(
+        `Offer sent to ${lender.name}. They have ${OFFER_VALID_HOURS} hours to accept.`
+      );
+    }
   };
 
   const startEditLoan = (loan) => {
@@ -197,66 +309,181 @@ export default function AdminDashboard() {
     setEditingLoan({
       amount: loan.amount.toString(),
       duration: loan.duration.toString(),
+      interestRate: getLoanRate(loan).toString(),
       purpose: loan.purpose,
       status: loan.status || "Pending",
     });
   };
 
-  const handleSaveLoan = (loanId) => {
+  const handleSaveLoan = async (loanId) => {
     const amountNum = Number(editingLoan.amount);
     const durationNum = Number(editingLoan.duration);
+    const rateNum = Number(editingLoan.interestRate);
 
     if (amountNum <= 0 || durationNum <= 0) {
       toast.error("Amount and duration must be positive.");
       return;
     }
+    if (!Number.isFinite(rateNum) || rateNum < 0) {
+      toast.error("Interest rate cannot be negative.");
+      return;
+    }
+
+    const loan = loans.find((l) => l.id === loanId);
+    if (!loan) return;
+    const terms = {
+      amount: amountNum,
+      duration: durationNum,
+      interestRate: rateNum,
+      purpose: editingLoan.purpose.trim(),
+    };
 
-    const updated = loans.map((loan) =>
-      loan.id === loanId
-        ? {
-            ...loan,
-            amount: amountNum,
-            duration: durationNum,
-            purpose: editingLoan.purpose.trim(),
-            status: editingLoan.status || loan.status,
-          }
-        : loan
+    // Product loans stay within their product as it is offered now
+    const product = loan.productId
+      ? await repository.products.get(loan.productId).catch(() => null)
+      : null;
+    const outside = checkProductEdit(loan, { ...loan, ...terms }, product);
+    if (outside) {
+      toast.error(outside);
+      return;
+    }
+
+    // Status edits must still follow the lifecycle
+    const targetStatus = editingLoan.status || loan.status;
+    const action =
+      targetStatus !== loan.status &&
+      findActionForStatus(loan, targetStatus, currentUser);
+    if (targetStatus !== loan.status && !action) {
+      toast.error(`Cannot move a loan from ${loan.status} to ${targetStatus}.`);
+      return;
+    }
+
+    // The server rebuilds the schedule and records the edit itself
+    const { error } = await runLoanAction(
+      loanId,
+      { body: terms },
+      (current) => {
+        // Rebuild the schedule while nothing has been paid against it yet
+        const edited = applyTermsEdit(current, { ...current, ...terms });
+        if (edited.error) throw new Error(edited.error);
+        // Whoever edits the terms cannot approve them (maker-checker)
+        return recordEdit(current, edited.loan, currentUser);
+      }
     );
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    if (action && !(await runTransition(loanId, action))) return;
 
-    updateLoans(updated);
     setEditingLoanId(null);
     toast.success("✅ Loan updated successfully.");
   };
 
-  const handleDeleteLoan = (loanId) => {
-    const updated = loans.filter((l) => l.id !== loanId);
-    updateLoans(updated);
+  const handleRestructure = async (terms, reason) => {
+    const { error } = await runLoanAction(
+      restructuringLoanId,
+      { path: "restructure", body: { ...terms, reason } },
+      (current) => {
+        const result = restructureLoan(current, terms, {
+          reason,
+          actor: currentUser,
+        });
+        if (result.error) throw new Error(result.error);
+        return result.loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success("🔁 Loan restructured.");
+    return true;
+  };
+
+  // Repayment holidays: grant (closing any pending request) or decline
+  const handleGrantHoliday = async (loanId, terms) => {
+    const { loan: paused, error } = await runLoanAction(
+      loanId,
+      { path: "holiday", body: terms },
+      (current) => {
+        const result = grantMoratorium(current, terms, { actor: currentUser });
+        if (result.error) throw new Error(result.error);
+        return result.loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    const moratorium = paused.moratoria[paused.moratoria.length - 1];
+    toast.success(`⏸ ${moratorium.months} EMI(s) paused.`);
+    return true;
+  };
+
+  const handleDeclineHoliday = async (loanId, note) => {
+    const { error } = await runLoanAction(
+      loanId,
+      { path: "holiday/decline", body: { note } },
+      (current) => {
+        const result = declineMoratorium(current, { note, actor: currentUser });
+        if (result.error) throw new Error(result.error);
+        return result.loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success("Holiday request declined.");
+    return true;
+  };
+
+  // Verifies a borrower's document, or rejects it with a comment
+  const handleReviewDocument = async (loanId, type, verdict) => {
+    const { error } = await updateLoan(loanId, (current) => {
+      const result = reviewDocument(current, type, verdict, currentUser);
+      if (result.error) throw new Error(result.error);
+      return result.loan;
+    });
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success(
+      verdict.status === DOCUMENT_STATUS.VERIFIED
+        ? "Document verified."
+        : "Document rejected."
+    );
+    return true;
+  };
+
+  const handleDeleteLoan = async (loanId) => {
+    const { error } = await deleteLoan(loanId);
+    if (error) {
+      toast.error(error);
+      return;
+    }
     toast.success("🗑 Loan deleted.");
     if (editingLoanId === loanId) setEditingLoanId(null);
-    if (selectedLoan && selectedLoan.id === loanId) setSelectedLoan(null);
+    if (selectedLoanId === loanId) setSelectedLoanId(null);
   };
 
   // -------- User Actions --------
 
-  const handleAddUser = (e) => {
+  const handleAddUser = async (e) => {
     e.preventDefault();
 
-    const existing = safeParseJSON("users", []);
-    if (
-      existing.find(
-        (u) => u.email === newUser.email.trim().toLowerCase()
-      )
-    ) {
-      toast.error("User already exists!");
+    try {
+      const user = await repository.users.create({
+        ...newUser,
+        name: newUser.name.trim(),
+      });
+      setUsers((prev) => [...prev, user]);
+    } catch (err) {
+      toast.error(err.message);
       return;
     }
-    const user = {
-      ...newUser,
-      id: Date.now(),
-      email: newUser.email.trim().toLowerCase(),
-    };
-    const updatedUsers = [...existing, user];
-    updateUsers(updatedUsers);
     toast.success("User added successfully!");
     setShowUserForm(false);
     setNewUser({ name: "", email: "", password: "", role: "borrower" });
@@ -271,7 +498,7 @@ export default function AdminDashboard() {
     });
   };
 
-  const handleSaveUser = (userId) => {
+  const handleSaveUser = async (userId) => {
     const emailTrimmed = editingUser.email.trim().toLowerCase();
 
     if (!editingUser.name.trim()) {
@@ -291,36 +518,40 @@ export default function AdminDashboard() {
       return;
     }
 
-    const updated = users.map((u) =>
-      u.id === userId
-        ? {
-            ...u,
-            name: editingUser.name.trim(),
-            email: emailTrimmed,
-            role: editingUser.role,
-          }
-        : u
-    );
-
-    updateUsers(updated);
+    try {
+      const updated = await repository.users.update(userId, {
+        name: editingUser.name.trim(),
+        email: emailTrimmed,
+        role: editingUser.role,
+      });
+      setUsers((prev) => prev.map((u) => (u.id === userId ? updated : u)));
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
     setEditingUserId(null);
     toast.success("✅ User updated successfully.");
   };
 
-  const handleDeleteUser = (userId) => {
+  const handleDeleteUser = async (userId) => {
     if (currentUser && currentUser.id === userId) {
       toast.error("You cannot delete your own admin account.");
       return;
     }
 
-    const updated = users.filter((u) => u.id !== userId);
-    updateUsers(updated);
+    try {
+      await repository.users.remove(userId);
+      setUsers((prev) => prev.filter((u) => u.id !== userId));
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
     toast.success("🗑 User deleted.");
     if (editingUserId === userId) setEditingUserId(null);
   };
 
   const handleLogout = () => {
-    localStorage.removeItem("user");
+    logout();
     navigate("/");
   };
 
@@ -351,7 +582,7 @@ export default function AdminDashboard() {
       {selectedLoan && (
         <div
           className="fixed inset-0 z-30 bg-slate-950/60 backdrop-blur-sm md:hidden"
-          onClick={() => setSelectedLoan(null)}
+          onClick={() => setSelectedLoanId(null)}
         />
       )}
 
@@ -388,8 +619,12 @@ export default function AdminDashboard() {
           </div>
 
           <div className="flex items-center gap-3">
+            <LiveStatus />
             <div className="hidden md:flex flex-col items-end text-[10px] text-slate-500">
-              <span>Environment: Demo (localStorage)</span>
+              <span>
+                Environment:{" "}
+                {STORAGE_BACKEND === "api" ? "REST API" : "Demo (localStorage)"}
+              </span>
               <span>Role: Admin</span>
             </div>
             <button
@@ -413,7 +648,11 @@ export default function AdminDashboard() {
           <StatCard
             label="Pending"
             value={stats.pendingCount.toString()}
-            sub="Awaiting approval"
+            sub={
+              stats.holidayRequestCount
+                ? `Awaiting approval · ${stats.holidayRequestCount} holiday request(s)`
+                : "Awaiting approval"
+            }
             accent="from-amber-400 to-orange-500"
             badge="Queue"
           />
@@ -464,6 +703,7 @@ export default function AdminDashboard() {
                     {[
                       { id: "all", label: "All" },
                       { id: "pending", label: "Pending" },
+                      { id: "unassigned", label: "Needs Lender" },
                       { id: "active", label: "Active" },
                       { id: "completed", label: "Completed" },
                       { id: "rejected", label: "Rejected" },
@@ -501,6 +741,7 @@ export default function AdminDashboard() {
                         <th className="p-3 text-left">Borrower</th>
                         <th className="p-3 text-left">Amount</th>
                         <th className="p-3 text-left">Duration</th>
+                        <th className="p-3 text-left">Rate</th>
                         <th className="p-3 text-left">Status</th>
                         <th className="p-3 text-left">Lender</th>
                         <th className="p-3 text-left">Actions</th>
@@ -510,6 +751,20 @@ export default function AdminDashboard() {
                       {filteredLoans.map((loan, idx) => {
                         const isEditing = editingLoanId === loan.id;
                         const isStriped = idx % 2 === 1;
+                        const openOffer = getOpenOffer(loan);
+                        const canAssign =
+                          !loan.lenderId &&
+                          !openOffer &&
+                          LOAN_ACTIONS.assignLender.from.includes(
+                            loan.status || "Pending"
+                          );
+                        // Approve and Reject ask for a comment or reason
+                        const canApprove = LOAN_ACTIONS.approve.from.includes(
+                          loan.status || "Pending"
+                        );
+                        const canReject = LOAN_ACTIONS.reject.from.includes(
+                          loan.status || "Pending"
+                        );
 
                         return (
                           <tr
@@ -573,6 +828,31 @@ export default function AdminDashboard() {
                                 <>{loan.duration} months</>
                               )}
                             </td>
+                            <td className="p-3 text-slate-200">
+                              {isEditing ? (
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={editingLoan.interestRate}
+                                  disabled={Boolean(loan.productId)}
+                                  title={
+                                    loan.productId
+                                      ? "Product loans keep the product's rate"
+                                      : undefined
+                                  }
+                                  onChange={(e) =>
+                                    setEditingLoan((prev) => ({
+                                      ...prev,
+                                      interestRate: e.target.value,
+                                    }))
+                                  }
+                                  className="w-20 rounded-md border border-slate-700 bg-slate-900/80 px-2 py-1 text-xs text-slate-100 focus:outline-none focus:ring-1 focus:ring-sky-500"
+                                />
+                              ) : (
+                                <>{getLoanRate(loan)}% p.a.</>
+                              )}
+                            </td>
                             <td className="p-3">
                               {isEditing ? (
                                 <select
@@ -585,24 +865,53 @@ export default function AdminDashboard() {
                                   }
                                   className="rounded-md border border-slate-700 bg-slate-900/80 px-2 py-1 text-xs text-slate-100 focus:outline-none focus:ring-1 focus:ring-sky-500"
                                 >
-                                  <option value="Pending">Pending</option>
-                                  <option value="Approved">Approved</option>
-                                  <option value="Funds Disbursed">
-                                    Funds Disbursed
-                                  </option>
-                                  <option value="Completed">Completed</option>
-                                  <option value="Rejected">Rejected</option>
-                                  <option value="Assigned">Assigned</option>
+                                  {[
+                                    loan.status || "Pending",
+                                    ...reachableStatuses(loan, currentUser),
+                                  ].map((status) => (
+                                    <option key={status} value={status}>
+                                      {status}
+                                    </option>
+                                  ))}
                                 </select>
                               ) : (
                                 <LoanStatusPill status={loan.status} />
                               )}
+                              {creditScores[loan.id] && (
+                                <div className="mt-1">
+                                  <CreditScoreBadge
+                                    result={creditScores[loan.id]}
+                                  />
+                                </div>
+                              )}
+                              {canApprove && (
+                                <ApprovalProgress
+                                  loan={loan}
+                                  policy={approvalPolicy}
+                                />
+                              )}
+                              {loan.appeal && loan.status === "Pending" && (
+                                <p className="mt-1 text-[10px] text-sky-300">
+                                  Appealed
+                                </p>
+                              )}
+                              {loan.moratoriumRequest?.status === "pending" && (
+                                <p className="mt-1 text-[10px] text-amber-300">
+                                  Holiday requested
+                                </p>
+                              )}
                             </td>
                             <td className="p-3">
                               {loan.lenderName ? (
                                 <span className="text-sm text-slate-100">
                                   {loan.lenderName}
                                 </span>
+                              ) : openOffer ? (
+                                <LenderOfferNote loan={loan} />
+                              ) : !canAssign ? (
+                                <span className="text-[11px] text-slate-500">
+                                  -
+                                </span>
                               ) : lenders.length === 0 ? (
                                 <span className="text-[11px] text-slate-500">
                                   No lenders available
@@ -626,49 +935,57 @@ export default function AdminDashboard() {
                                   ))}
                                 </select>
                               )}
+                              {canAssign && <LenderOfferNote loan={loan} />}
                             </td>
                             <td className="p-3 space-x-1 md:space-x-2 whitespace-nowrap">
                               {/* See User Profile (opens side panel with KYC) */}
                               <button
-                                onClick={() => setSelectedLoan(loan)}
+                                onClick={() => setSelectedLoanId(loan.id)}
                                 className="bg-slate-900/80 hover:bg-slate-700 text-sky-200 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium border border-slate-700/80"
                               >
                                 See User Profile
                               </button>
 
                               {/* Approve/Reject (only when not editing) */}
-                              {!isEditing && loan.status === "Pending" && (
-                                <>
-                                  <button
-                                    onClick={() => handleApprove(loan.id)}
-                                    className="bg-emerald-500/90 hover:bg-emerald-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
-                                  >
-                                    Approve
-                                  </button>
-                                  <button
-                                    onClick={() => handleReject(loan.id)}
-                                    className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
-                                  >
-                                    Reject
-                                  </button>
-                                </>
+                              {!isEditing && canApprove && (
+                                <button
+                                  onClick={() => setApprovingLoanId(loan.id)}
+                                  className="bg-emerald-500/90 hover:bg-emerald-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                                >
+                                  Approve
+                                </button>
                               )}
-
-                              {/* Assign Lender (only when not editing) */}
+                              {!isEditing && canReject && (
+                                <button
+                                  onClick={() => setRejectingLoanId(loan.id)}
+                                  className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                                >
+                                  Reject
+                                </button>
+                              )}
+                              {/* Approval waits for the required documents */}
                               {!isEditing &&
-                                loan.status !== "Rejected" &&
-                                !loan.lenderName &&
-                                (loan.status === "Approved" ||
-                                  loan.status === "Pending" ||
-                                  loan.status === "Assigned") && (
+                                loan.status === "Pending" &&
+                                getUnverifiedDocuments(loan).length > 0 && (
                                   <button
-                                    onClick={() => handleAssignLender(loan.id)}
-                                    className="bg-sky-500/90 hover:bg-sky-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                                    onClick={() => setSelectedLoanId(loan.id)}
+                                    className="border border-amber-400/50 bg-amber-500/10 text-amber-200 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
                                   >
-                                    Assign
+                                    {getUnverifiedDocuments(loan).length} doc(s)
+                                    to verify
                                   </button>
                                 )}
 
+                              {/* Assign Lender (only when not editing) */}
+                              {!isEditing && canAssign && (
+                                <button
+                                  onClick={() => handleAssignLender(loan.id)}
+                                  className="bg-sky-500/90 hover:bg-sky-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                                >
+                                  Assign
+                                </button>
+                              )}
+
                               {/* Edit / Save / Cancel */}
                               {isEditing ? (
                                 <>
@@ -711,6 +1028,13 @@ export default function AdminDashboard() {
               )}
             </section>
 
+            {/* Uploaded documents waiting for an admin */}
+            <DocumentReviewQueue
+              loans={loans}
+              onReview={handleReviewDocument}
+              onOpenLoan={setSelectedLoanId}
+            />
+
             {/* User Management Section */}
             <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
               <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
@@ -790,7 +1114,9 @@ export default function AdminDashboard() {
 
                   <div className="md:col-span-2 flex items-center justify-between text-[10px] text-slate-500">
                     <span>
-                      Users are stored in browser localStorage for demo only.
+                      {STORAGE_BACKEND === "api"
+                        ? "Users are stored on the API server."
+                        : "Users are stored in browser localStorage for demo only."}
                     </span>
                     <button
                       type="submit"
@@ -934,15 +1260,77 @@ export default function AdminDashboard() {
                 </table>
               </div>
             </section>
+
+            {/* Invitation codes for privileged sign-up */}
+            <InvitesPanel currentUser={currentUser} />
+
+            {/* Late-payment and foreclosure terms for new loans */}
+            <LendingSettingsPanel />
+
+            {/* Loan products borrowers apply for */}
+            <ProductsPanel />
+
+            {/* Rules behind the credit score on pending applications */}
+            <CreditScoringPanel
+              policy={scoringPolicy}
+              onSaved={setScoringPolicy}
+            />
+
+            {/* How many admins must approve a loan, by amount */}
+            <ApprovalTiersPanel
+              policy={approvalPolicy}
+              onSaved={setApprovalPolicy}
+            />
           </div>
 
           {/* SIDE PANEL: Loan + User Profile Details */}
           <LoanDetailsPanel
             loan={selectedLoan}
-            onClose={() => setSelectedLoan(null)}
+            creditScore={selectedLoan && creditScores[selectedLoan.id]}
+            approvalPolicy={approvalPolicy}
+            onClose={() => setSelectedLoanId(null)}
+            onRestructure={() => setRestructuringLoanId(selectedLoan.id)}
+            onGrantHoliday={(terms) =>
+              handleGrantHoliday(selectedLoan.id, terms)
+            }
+            onDeclineHoliday={(note) =>
+              handleDeclineHoliday(selectedLoan.id, note)
+            }
+            onReviewDocument={(type, verdict) =>
+              handleReviewDocument(selectedLoan.id, type, verdict)
+            }
           />
         </div>
       </div>
+
+      {approvingLoan && (
+        <ApproveModal
+          key={approvingLoan.id}
+          loan={approvingLoan}
+          user={currentUser}
+          policy={approvalPolicy}
+          onClose={() => setApprovingLoanId(null)}
+          onConfirm={handleApprove}
+        />
+      )}
+
+      {rejectingLoan && (
+        <RejectModal
+          key={rejectingLoan.id}
+          loan={rejectingLoan}
+          onClose={() => setRejectingLoanId(null)}
+          onConfirm={handleReject}
+        />
+      )}
+
+      {restructuringLoan && (
+        <RestructureModal
+          key={restructuringLoan.id}
+          loan={restructuringLoan}
+          onClose={() => setRestructuringLoanId(null)}
+          onConfirm={handleRestructure}
+        />
+      )}
     </div>
   );
 }
@@ -1003,21 +1391,89 @@ function LoanStatusPill({ status }) {
   );
 }
 
+// The offer waiting on a lender, or how the last one came back
+function LenderOfferNote({ loan }) {
+  const offer = getLatestOffer(loan);
+  if (!offer || loan.lenderId) return null;
+  const status = getOfferStatus(offer);
+  if (status === OFFER_STATUS.PENDING) {
+    return (
+      <p className="text-[11px] text-sky-200">
+        Offered to {offer.lenderName}
+        <span className="block text-[10px] text-slate-500">
+          Answer due {new Date(offer.expiresAt).toLocaleString()}
+        </span>
+      </p>
+    );
+  }
+  return (
+    <p className="mt-1 text-[10px] text-amber-300">
+      {status === OFFER_STATUS.DECLINED
+        ? `Declined by ${offer.lenderName}${offer.note ? `: ${offer.note}` : ""}`
+        : `Offer to ${offer.lenderName} expired`}
+    </p>
+  );
+}
+
+// Approvals given so far, on loans that need more than one
+function ApprovalProgress({ loan, policy }) {
+  const { given, required } = getApprovalProgress(loan, policy);
+  if (required < 2) return null;
+  return (
+    <p className="mt-1 text-[10px] text-emerald-300">
+      Approvals {given}/{required}
+    </p>
+  );
+}
+
 /* ---------- Loan Details Side Panel (with User Profile) ---------- */
 
-function LoanDetailsPanel({ loan, onClose }) {
+function LoanDetailsPanel({
+  loan,
+  creditScore,
+  approvalPolicy,
+  onClose,
+  onRestructure,
+  onGrantHoliday,
+  onDeclineHoliday,
+  onReviewDocument,
+}) {
   if (!loan) return null;
 
   const status = loan.status || "Pending";
+  // Each approval given, for loans that need more than one or have some
+  const { required } = getApprovalProgress(loan, approvalPolicy);
+  const approvalSteps = (loan.approvals || []).map((approval, index) => ({
+    key: `approval-${index}`,
+    label: `Approval ${index + 1} of ${required} by ${approval.byName}`,
+    active: true,
+    done: true,
+    at: approval.at,
+    note: approval.comment,
+  }));
+  // Offers to lenders, answered or not
+  const offerSteps = (loan.offers || []).map((offer, index) => {
+    const offerStatus = getOfferStatus(offer);
+    return {
+      key: `offer-${index}`,
+      label: `Offered to ${offer.lenderName} · ${offerStatus}`,
+      active: true,
+      done: offerStatus === OFFER_STATUS.ACCEPTED,
+      at: offer.respondedAt || offer.at,
+      note: offer.note,
+    };
+  });
 
   const steps =
     status === "Rejected"
       ? [
           { key: "created", label: "Request Created", active: true, done: true },
+          ...approvalSteps,
           { key: "rejected", label: "Rejected by Admin", active: true, done: true },
         ]
       : [
           { key: "created", label: "Request Created", active: true, done: true },
+          ...approvalSteps,
           {
             key: "approved",
             label: "Approved by Admin",
@@ -1028,11 +1484,16 @@ function LoanDetailsPanel({ loan, onClose }) {
               status
             ),
           },
+          ...offerSteps,
           {
             key: "assigned",
             label: "Lender Assigned",
-            active: ["Assigned", "Funds Disbursed", "Completed"].includes(status),
-            done: ["Assigned", "Funds Disbursed", "Completed"].includes(status),
+            active:
+              !!loan.lenderId ||
+              ["Assigned", "Funds Disbursed", "Completed"].includes(status),
+            done:
+              !!loan.lenderId ||
+              ["Assigned", "Funds Disbursed", "Completed"].includes(status),
           },
           {
             key: "disbursed",
@@ -1059,6 +1520,12 @@ function LoanDetailsPanel({ loan, onClose }) {
   const paidEmis = loan.repayments?.filter((r) => r.paid).length || 0;
   const emiAmount =
     totalEmis > 0 ? Number(loan.repayments?.[0]?.amount || 0) : null;
+  const totalInterest = getInterestTotal(loan);
+  const delinquency = getDelinquency(loan);
+  const nextDue = getNextDueEmi(loan);
+  const lastPayment = loan.payments?.[loan.payments.length - 1];
+  const canRestructure = !checkRestructure(loan);
+  const versions = [...(loan.scheduleVersions || [])].reverse();
 
   return (
     <aside
@@ -1108,6 +1575,16 @@ function LoanDetailsPanel({ loan, onClose }) {
             </div>
             <div className="text-right text-[11px] text-slate-400">
               <p>Duration: {loan.duration} months</p>
+              <p>Rate: {getLoanRate(loan)}% p.a.</p>
+              {loan.productName && (
+                <p>
+                  Product:{" "}
+                  <span className="text-slate-200">{loan.productName}</span>
+                </p>
+              )}
+              {loan.processingFee > 0 && (
+                <p>Processing fee: ₹{loan.processingFee.toFixed(2)}</p>
+              )}
               <p className="truncate">
                 Purpose:{" "}
                 <span className="text-slate-200">{loan.purpose || "-"}</span>
@@ -1121,31 +1598,23 @@ function LoanDetailsPanel({ loan, onClose }) {
         </div>
 
         {/* 🔹 Borrower Profile (Aadhar, PAN, Address) */}
-        <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
-          <p className="text-slate-400 uppercase tracking-[0.16em]">
-            Borrower Profile
-          </p>
-          <div className="mt-1 space-y-1">
-            <div className="flex justify-between gap-2">
-              <span className="text-slate-500">Aadhar Number</span>
-              <span className="text-slate-100 font-mono">
-                {loan.aadhar || "Not provided"}
-              </span>
-            </div>
-            <div className="flex justify-between gap-2">
-              <span className="text-slate-500">PAN Number</span>
-              <span className="text-slate-100 font-mono uppercase">
-                {loan.pan || "Not provided"}
-              </span>
-            </div>
-            <div className="mt-2">
-              <span className="text-slate-500 block mb-1">Address</span>
-              <p className="text-slate-100 text-[11px] whitespace-pre-line max-h-24 overflow-y-auto scrollbar-thin scrollbar-thumb-slate-700 scrollbar-track-slate-900/50">
-                {loan.address || "Not provided"}
-              </p>
-            </div>
+        <BorrowerProfile key={loan.id} loan={loan} />
+
+        {/* Risk signal for the approval decision */}
+        {creditScore && <CreditScoreBreakdown result={creditScore} />}
+
+        {/* Why it was rejected, and the borrower's appeal */}
+        {(loan.rejection || loan.appeal) && (
+          <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+            <p className="text-slate-400 uppercase tracking-[0.16em]">
+              Rejection &amp; Appeal
+            </p>
+            <RejectionDetails loan={loan} />
           </div>
-        </div>
+        )}
+
+        {/* Uploaded documents and their review */}
+        <LoanDocuments loan={loan} onReview={onReviewDocument} />
 
         {/* EMI summary */}
         <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 flex items-center justify-between text-[11px]">
@@ -1156,6 +1625,39 @@ function LoanDetailsPanel({ loan, onClose }) {
             <p className="text-slate-200 mt-1">
               {paidEmis} / {totalEmis || 0} EMIs paid
             </p>
+            {totalInterest > 0 && (
+              <p className="text-slate-500 mt-0.5">
+                Total interest: ₹{totalInterest.toFixed(2)}
+              </p>
+            )}
+            {nextDue && (
+              <p className="text-slate-500 mt-0.5">
+                Next due: {formatDate(nextDue.dueDate)} (EMI{" "}
+                {nextDue.index + 1})
+              </p>
+            )}
+            {lastPayment && (
+              <p className="text-slate-500 mt-0.5">
+                {loan.payments.length} payment
+                {loan.payments.length > 1 ? "s" : ""} · last ₹
+                {Number(lastPayment.amount).toFixed(2)} on{" "}
+                {formatDate(lastPayment.paidAt)}
+              </p>
+            )}
+            {loan.foreclosure && (
+              <p className="text-indigo-200 mt-0.5">
+                Closed early on {formatDate(loan.foreclosure.settledAt)} for ₹
+                {Number(loan.foreclosure.total).toFixed(2)} (charge ₹
+                {Number(loan.foreclosure.charge).toFixed(2)})
+              </p>
+            )}
+            {delinquency.overdueCount > 0 && (
+              <p className="text-red-300 mt-0.5">
+                {delinquency.overdueCount} overdue · ₹
+                {delinquency.overdueAmount.toFixed(2)} ·{" "}
+                {delinquency.daysPastDue} days past due
+              </p>
+            )}
           </div>
           <div className="text-right">
             <p className="text-slate-400 uppercase tracking-[0.16em]">
@@ -1167,6 +1669,61 @@ function LoanDetailsPanel({ loan, onClose }) {
           </div>
         </div>
 
+        {/* Late fee and penal interest */}
+        <LateChargesSummary loan={loan} className="" />
+
+        {/* Repayment holiday requests and grants */}
+        <MoratoriumSection
+          key={`${loan.id}-${loan.moratoriumRequest?.requestedAt}`}
+          loan={loan}
+          onGrant={onGrantHoliday}
+          onDecline={onDeclineHoliday}
+        />
+
+        {/* Restructuring and earlier schedule versions */}
+        {(canRestructure || versions.length > 0) && (
+          <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-slate-400 uppercase tracking-[0.16em]">
+                Schedule
+                {versions.length > 0 && ` · v${versions.length + 1}`}
+              </p>
+              {canRestructure && (
+                <button
+                  onClick={onRestructure}
+                  className="rounded-full border border-sky-500/60 bg-sky-500/10 px-3 py-1 text-[11px] text-sky-200 hover:bg-sky-500/20"
+                >
+                  Restructure
+                </button>
+              )}
+            </div>
+            {versions.map((version) => (
+              <div
+                key={version.version}
+                className="rounded-xl border border-slate-800 bg-slate-950/60 p-2 space-y-1"
+              >
+                <p className="text-slate-300">
+                  v{version.version} → v{version.version + 1} on{" "}
+                  {formatDate(version.replacedAt)}
+                  {version.byName && ` by ${version.byName}`}
+                </p>
+                <p className="text-slate-500 italic">“{version.reason}”</p>
+                <RestructureComparison
+                  before={version.before}
+                  after={version.after}
+                  dark
+                />
+                {version.capitalized > 0 && (
+                  <p className="text-slate-500">
+                    ₹{Number(version.capitalized).toFixed(2)} of overdue charges
+                    capitalised
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Lender info */}
         <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-1">
           <p className="text-slate-400 uppercase tracking-[0.16em]">
@@ -1183,7 +1740,10 @@ function LoanDetailsPanel({ loan, onClose }) {
               </p>
             </>
           ) : (
-            <p className="text-slate-500">No lender assigned yet.</p>
+            <>
+              <p className="text-slate-500">No lender assigned yet.</p>
+              <LenderOfferNote loan={loan} />
+            </>
           )}
           <div className="mt-1">
             <span className="text-slate-400 mr-1">Status:</span>
@@ -1229,6 +1789,12 @@ function LoanDetailsPanel({ loan, onClose }) {
                 {step.key === "disbursed" && disbursedAt && (
                   <p className="text-[10px] text-slate-500">{disbursedAt}</p>
                 )}
+                {step.at && (
+                  <p className="text-[10px] text-slate-500">
+                    {new Date(step.at).toLocaleString()}
+                    {step.note && ` · ${step.note}`}
+                  </p>
+                )}
               </li>
             ))}
           </ol>
@@ -1246,11 +1812,140 @@ function LoanDetailsPanel({ loan, onClose }) {
             </span>
           </p>
           <p className="text-slate-500 mt-1">
-            This panel is read-only for now. Use the table actions to update
-            status, assign lenders, or edit the core loan fields.
+            Use the table actions to update status, assign lenders, or edit the
+            core loan fields. Once EMIs have been paid, change the terms with
+            Restructure above.
           </p>
         </div>
       </div>
     </aside>
   );
 }
+
+// KYC is masked until the admin asks to see it; the values are only
+// readable when this browser could decrypt them (see services/repository)
+function BorrowerProfile({ loan }) {
+  const [isRevealed, setIsRevealed] = useState(false);
+  const canReveal = hasClearKyc(loan);
+  const shown = isRevealed ? loan : maskKycFields(loan);
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-slate-400 uppercase tracking-[0.16em]">
+          Borrower Profile
+        </p>
+        {canReveal && (
+          <button
+            type="button"
+            onClick={() => setIsRevealed((prev) => !prev)}
+            className="text-sky-300 hover:text-sky-200"
+          >
+            {isRevealed ? "Hide" : "Reveal"}
+          </button>
+        )}
+      </div>
+      <div className="mt-1 space-y-1">
+        <div className="flex justify-between gap-2">
+          <span className="text-slate-500">Aadhaar Number</span>
+          <span className="text-slate-100 font-mono">
+            {shown.aadhar || "Not provided"}
+          </span>
+        </div>
+        <div className="flex justify-between gap-2">
+          <span className="text-slate-500">PAN Number</span>
+          <span className="text-slate-100 font-mono uppercase">
+            {shown.pan || "Not provided"}
+          </span>
+        </div>
+        <div className="mt-2">
+          <span className="text-slate-500 block mb-1">Address</span>
+          <p className="text-slate-100 text-[11px] whitespace-pre-line max-h-24 overflow-y-auto scrollbar-thin scrollbar-thumb-slate-700 scrollbar-track-slate-900/50">
+            {shown.address || "Not provided"}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// The loan's documents in the side panel; while the loan is pending each
+// can be verified or rejected from here as well as from the queue
+function LoanDocuments({ loan, onReview }) {
+  const [rejectingType, setRejectingType] = useState(null);
+  const [comment, setComment] = useState("");
+  if (!loan.requiredDocuments?.length && !loan.documents?.length) return null;
+  const canReview = loan.status === "Pending";
+
+  const review = async (type, verdict) => {
+    if (await onReview(type, verdict)) {
+      setRejectingType(null);
+      setComment("");
+    }
+  };
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+      <p className="text-slate-400 uppercase tracking-[0.16em]">Documents</p>
+      <DocumentList
+        loan={loan}
+        renderActions={(type, entry) =>
+          canReview &&
+          entry && (
+            <>
+              {entry.status !== DOCUMENT_STATUS.VERIFIED && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    review(type, { status: DOCUMENT_STATUS.VERIFIED })
+                  }
+                  className="text-emerald-300 hover:text-emerald-200"
+                >
+                  Verify
+                </button>
+              )}
+              {entry.status !== DOCUMENT_STATUS.REJECTED && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setRejectingType(rejectingType === type ? null : type);
+                    setComment("");
+                  }}
+                  className="text-red-300 hover:text-red-200"
+                >
+                  Reject
+                </button>
+              )}
+            </>
+          )
+        }
+      />
+      {rejectingType && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            review(rejectingType, {
+              status: DOCUMENT_STATUS.REJECTED,
+              comment,
+            });
+          }}
+          className="flex gap-2"
+        >
+          <input
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Reason the borrower will see"
+            required
+            className="flex-1 border border-slate-700 rounded-lg bg-slate-950/80 px-2 py-1.5 text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full font-medium"
+          >
+            Reject
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../../services/repository";
+import { validateApprovalPolicy } from "../../utils/approvals";
+
+const inputClass =
+  "mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+/**
+ * ApprovalTiersPanel
+ * Edits how many admins must approve a loan, by amount: each tier applies
+ * to loans above its amount, up to the next tier. The first tier starts
+ * at ₹0.
+ * Props:
+ * - policy: the approval tiers in force
+ * - onSaved: (policy) => void, called with the tiers once saved
+ */
+export default function ApprovalTiersPanel({ policy, onSaved }) {
+  const [tiers, setTiers] = useState(policy.tiers);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => setTiers(policy.tiers), [policy]);
+
+  const changeTier = (index, field, value) =>
+    setTiers((prev) =>
+      prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { policy: next, error } = validateApprovalPolicy({ tiers });
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const settings = await repository.settings.update({ approvals: next });
+      onSaved(settings.approvals);
+      toast.success("Approval tiers updated.");
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-emerald-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Approvals
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Approval Tiers
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Loans above a tier's amount need that many admins to approve them. An
+          admin who edited a loan's terms cannot approve it.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-slate-950/60 border border-slate-800 rounded-2xl p-4 space-y-4"
+      >
+        {tiers.map((tier, index) => (
+          <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-4">
+            <label className="text-[11px] text-slate-400">
+              Loans above (₹)
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={tier.above}
+                onChange={(e) => changeTier(index, "above", e.target.value)}
+                required
+                className={inputClass}
+              />
+            </label>
+            <label className="text-[11px] text-slate-400">
+              Approvers needed
+              <input
+                type="number"
+                min="1"
+                max="5"
+                step="1"
+                value={tier.approvers}
+                onChange={(e) => changeTier(index, "approvers", e.target.value)}
+                required
+                className={inputClass}
+              />
+            </label>
+            <button
+              type="button"
+              disabled={tiers.length === 1}
+              onClick={() =>
+                setTiers((prev) => prev.filter((_, i) => i !== index))
+              }
+              className="self-end mb-2 text-[11px] text-red-300 hover:text-red-200 disabled:opacity-40"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={() =>
+              setTiers((prev) => [...prev, { above: "", approvers: 2 }])
+            }
+            className="text-[11px] text-sky-300 hover:text-sky-200"
+          >
+            + Add tier
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center justify-center bg-emerald-500/90 hover:bg-emerald-400 disabled:opacity-60 text-slate-950 px-4 py-2 rounded-full text-[11px] md:text-xs font-semibold shadow-[0_0_18px_rgba(52,211,153,0.6)]"
+          >
+            {isSaving ? "Saving..." : "Save Tiers"}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import Button from "../../components/Button";
+import Modal from "../../components/Modal";
+import {
+  buildApproval,
+  getApprovalAction,
+  getApprovalProgress,
+} from "../../utils/approvals";
+import formatDate from "../../utils/formatDate";
+import { checkTransition } from "../../utils/loanLifecycle";
+
+/**
+ * ApproveModal
+ * Records the admin's approval with an optional comment. Loans above an
+ * approval tier need several admins; the last approval approves the loan.
+ * Admins who edited the loan or already approved it are refused up front.
+ * Props:
+ * - loan: the loan to approve (modal is closed when null)
+ * - user: the admin approving
+ * - policy: the approval tiers in force
+ * - onClose: dismisses without changes
+ * - onConfirm: async ({ comment }) => boolean, true once recorded
+ */
+export default function ApproveModal({
+  loan,
+  user,
+  policy,
+  onClose,
+  onConfirm,
+}) {
+  const [comment, setComment] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!loan) return null;
+
+  const { given, required } = getApprovalProgress(loan, policy);
+  const action = getApprovalAction(loan, policy);
+  const error = checkTransition(loan, action, user, {
+    approval: buildApproval(comment, user),
+    approvalPolicy: policy,
+  });
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    const saved = await onConfirm({ comment });
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Approve loan of ${loan.borrowerName}`}
+      footer={
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="success"
+            onClick={handleConfirm}
+            disabled={isSaving || !!error}
+          >
+            {isSaving
+              ? "Saving..."
+              : action === "approve"
+                ? "Approve loan"
+                : "Add approval"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-4 text-sm text-gray-700">
+        <p className="text-xs text-gray-500">
+          ₹{loan.amount} over {loan.duration} months. This is approval{" "}
+          {given + 1} of {required}
+          {action === "approve"
+            ? "; the loan is approved once you confirm."
+            : "; another admin has to approve it too."}
+        </p>
+        {given > 0 && (
+          <ul className="space-y-1 text-xs text-gray-600">
+            {loan.approvals.map((approval) => (
+              <li key={approval.at}>
+                Approved by {approval.byName} on {formatDate(approval.at)}
+                {approval.comment && `: ${approval.comment}`}
+              </li>
+            ))}
+          </ul>
+        )}
+        <label className="block text-xs text-gray-600">
+          Comment (optional)
+          <textarea
+            rows={3}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+        </label>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </div>
+    </Modal>
+  );
+}
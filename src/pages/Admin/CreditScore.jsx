@@ -0,0 +1,62 @@
+import React from "react";
+
+const GRADE_STYLES = {
+  A: "border-emerald-400/40 bg-emerald-500/15 text-emerald-200",
+  B: "border-sky-400/40 bg-sky-500/15 text-sky-200",
+  C: "border-amber-400/40 bg-amber-500/15 text-amber-200",
+  D: "border-red-400/40 bg-red-500/15 text-red-200",
+};
+
+/** Score and risk grade pill; `result` comes from scoreApplication. */
+export function CreditScoreBadge({ result }) {
+  return (
+    <span
+      title={result.label}
+      className={`inline-flex items-center gap-1 rounded-full border px-2 py-[2px] text-[10px] font-semibold ${GRADE_STYLES[result.grade]}`}
+    >
+      {result.score}/100 · {result.grade}
+    </span>
+  );
+}
+
+/**
+ * CreditScoreBreakdown
+ * The application's credit score in the loan panel, with the points each
+ * factor earned and why.
+ * Props:
+ * - result: `scoreApplication(...)` for the loan
+ */
+export default function CreditScoreBreakdown({ result }) {
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-slate-400 uppercase tracking-[0.16em]">
+          Credit Score
+        </p>
+        <CreditScoreBadge result={result} />
+      </div>
+      <p className="text-slate-300">{result.label}</p>
+      <ul className="space-y-1">
+        {result.factors.map((factor) => (
+          <li key={factor.id}>
+            <div className="flex justify-between text-slate-300">
+              <span>{factor.label}</span>
+              <span>
+                {factor.points} / {factor.max}
+              </span>
+            </div>
+            <div className="mt-0.5 h-1 rounded-full bg-slate-800">
+              <div
+                className="h-1 rounded-full bg-sky-400/80"
+                style={{
+                  width: `${factor.max ? (factor.points / factor.max) * 100 : 0}%`,
+                }}
+              />
+            </div>
+            <p className="mt-0.5 text-slate-500">{factor.detail}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../../services/repository";
+import { validateScoringPolicy } from "../../utils/creditScore";
+
+const inputClass =
+  "mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+// [name, label, step] per form field, grouped as shown
+const FIELD_GROUPS = [
+  [
+    ["incomeWeight", "Income weight", "1"],
+    ["dtiWeight", "Debt-to-income weight", "1"],
+    ["historyWeight", "Repayment history weight", "1"],
+    ["sizeWeight", "Size vs history weight", "1"],
+  ],
+  [
+    ["incomeCoverage", "Full income points at (x EMI)", "0.1"],
+    ["targetDti", "Full DTI points up to (%)", "1"],
+    ["maxDti", "No DTI points from (%)", "1"],
+    ["maxSizeMultiple", "No size points from (x largest loan)", "0.1"],
+  ],
+  [
+    ["gradeA", "Grade A from", "1"],
+    ["gradeB", "Grade B from", "1"],
+    ["gradeC", "Grade C from", "1"],
+  ],
+];
+
+/**
+ * CreditScoringPanel
+ * Edits the rules behind the credit score shown on pending applications:
+ * how many points each factor is worth (out of 100), the thresholds that
+ * earn them, and the score each risk grade starts at.
+ * Props:
+ * - policy: the scoring rules in force
+ * - onSaved: (policy) => void, called with the rules once saved
+ */
+export default function CreditScoringPanel({ policy, onSaved }) {
+  const [form, setForm] = useState(policy);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => setForm(policy), [policy]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { policy: next, error } = validateScoringPolicy(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const settings = await repository.settings.update({ scoring: next });
+      onSaved(settings.scoring);
+      toast.success("Credit scoring rules updated.");
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-sky-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Risk
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Credit Scoring Rules
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Pending applications are scored out of 100 on declared income,
+          debt-to-income, the borrower's repayment record and the loan's size
+          against their earlier loans. The weights must add up to 100.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-slate-950/60 border border-slate-800 rounded-2xl p-4 space-y-4"
+      >
+        {FIELD_GROUPS.map((fields, index) => (
+          <div key={index} className="grid md:grid-cols-4 gap-4">
+            {fields.map(([name, label, step]) => (
+              <label key={name} className="text-[11px] text-slate-400">
+                {label}
+                <input
+                  type="number"
+                  name={name}
+                  min="0"
+                  step={step}
+                  value={form[name]}
+                  onChange={handleChange}
+                  required
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="inline-flex items-center justify-center bg-emerald-500/90 hover:bg-emerald-400 disabled:opacity-60 text-slate-950 px-4 py-2 rounded-full text-[11px] md:text-xs font-semibold shadow-[0_0_18px_rgba(52,211,153,0.6)]"
+        >
+          {isSaving ? "Saving..." : "Save Rules"}
+        </button>
+      </form>
+    </section>
+  );
+}
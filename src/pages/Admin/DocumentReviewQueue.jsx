@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from "react";
+import DocumentViewButton from "../../components/DocumentViewButton";
+import { DOCUMENT_STATUS, getReviewQueue } from "../../utils/documents";
+import formatDate from "../../utils/formatDate";
+import { getDocumentLabel } from "../../utils/products";
+
+/**
+ * DocumentReviewQueue
+ * Documents on pending applications that nobody has reviewed yet, oldest
+ * first. Each can be opened, verified, or rejected with a comment the
+ * borrower sees; a loan can only be approved once its required documents
+ * are verified.
+ * Props:
+ * - loans: every loan the admin sees
+ * - onReview: async (loanId, type, { status, comment }) => boolean
+ * - onOpenLoan: (loanId) => void, shows the loan in the side panel
+ */
+export default function DocumentReviewQueue({ loans, onReview, onOpenLoan }) {
+  const queue = useMemo(() => getReviewQueue(loans), [loans]);
+  // `${loanId}:${type}` of the document being rejected, and the reason
+  const [rejecting, setRejecting] = useState(null);
+  const [comment, setComment] = useState("");
+  const [savingKey, setSavingKey] = useState(null);
+
+  const review = async (loanId, type, verdict) => {
+    setSavingKey(`${loanId}:${type}`);
+    const ok = await onReview(loanId, type, verdict);
+    setSavingKey(null);
+    if (ok) {
+      setRejecting(null);
+      setComment("");
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-amber-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Documents
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Document Review Queue
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Verify what borrowers uploaded, or reject it with a reason so they can
+          send a new file.
+        </p>
+      </div>
+
+      {queue.length === 0 ? (
+        <p className="text-[11px] text-slate-500">
+          Nothing is waiting for review.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {queue.map(({ loan, document }) => {
+            const key = `${loan.id}:${document.type}`;
+            const isSaving = savingKey === key;
+            return (
+              <li
+                key={key}
+                className="rounded-2xl border border-slate-800 bg-slate-950/60 p-3 text-[11px] space-y-2"
+              >
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className="text-slate-100 font-medium">
+                      {getDocumentLabel(document.type)}
+                      <span className="ml-2 text-slate-500 font-normal">
+                        {document.fileName}
+                      </span>
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => onOpenLoan(loan.id)}
+                      className="text-slate-400 hover:text-sky-200"
+                    >
+                      {loan.borrowerName} · ₹{loan.amount}
+                      {document.uploadedAt &&
+                        ` · uploaded ${formatDate(document.uploadedAt)}`}
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {document.documentId && (
+                      <DocumentViewButton documentId={document.documentId} />
+                    )}
+                    <button
+                      type="button"
+                      disabled={isSaving}
+                      onClick={() =>
+                        review(loan.id, document.type, {
+                          status: DOCUMENT_STATUS.VERIFIED,
+                        })
+                      }
+                      className="bg-emerald-500/90 hover:bg-emerald-400 text-slate-950 px-3 py-1 rounded-full font-medium disabled:opacity-50"
+                    >
+                      Verify
+                    </button>
+                    <button
+                      type="button"
+                      disabled={isSaving}
+                      onClick={() => {
+                        setRejecting(rejecting === key ? null : key);
+                        setComment("");
+                      }}
+                      className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full font-medium disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+
+                {rejecting === key && (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      review(loan.id, document.type, {
+                        status: DOCUMENT_STATUS.REJECTED,
+                        comment,
+                      });
+                    }}
+                    className="flex flex-wrap items-center gap-2"
+                  >
+                    <input
+                      value={comment}
+                      onChange={(e) => setComment(e.target.value)}
+                      placeholder="Why is it rejected? The borrower sees this."
+                      required
+                      className="flex-1 min-w-[12rem] border border-slate-700 rounded-lg bg-slate-900/80 px-2 py-1.5 text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+                    />
+                    <button
+                      type="submit"
+                      disabled={isSaving}
+                      className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full font-medium disabled:opacity-50"
+                    >
+                      Send rejection
+                    </button>
+                  </form>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../../services/repository";
+import {
+  DEFAULT_INVITE_DAYS,
+  INVITE_ROLES,
+  inviteStatus,
+} from "../../utils/invites";
+
+const STATUS_STYLES = {
+  active: "bg-emerald-500/15 text-emerald-200 border border-emerald-400/30",
+  redeemed: "bg-sky-500/15 text-sky-200 border border-sky-400/30",
+  expired: "bg-slate-500/15 text-slate-300 border border-slate-400/30",
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+
+/**
+ * InvitesPanel
+ * Issues one-time invitation codes for lender / analyst / admin sign-up and
+ * lists outstanding, redeemed and expired ones. Unused codes can be revoked.
+ */
+export default function InvitesPanel({ currentUser }) {
+  const [invites, setInvites] = useState([]);
+  const [form, setForm] = useState({
+    role: "lender",
+    expiresInDays: DEFAULT_INVITE_DAYS,
+  });
+  const [filter, setFilter] = useState("active");
+
+  useEffect(() => {
+    repository.invites
+      .list()
+      .then(setInvites)
+      .catch((err) => toast.error(`Failed to load invites: ${err.message}`));
+  }, []);
+
+  const counts = useMemo(() => {
+    const result = { active: 0, redeemed: 0, expired: 0 };
+    for (const invite of invites) result[inviteStatus(invite)] += 1;
+    return result;
+  }, [invites]);
+
+  const visibleInvites = useMemo(
+    () =>
+      invites
+        .filter((invite) => inviteStatus(invite) === filter)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    [invites, filter]
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const invite = await repository.invites.create(
+        { role: form.role, expiresInDays: Number(form.expiresInDays) },
+        currentUser
+      );
+      setInvites((prev) => [...prev, invite]);
+      setFilter("active");
+      toast.success(`Invite ${invite.code} created for a ${invite.role}.`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCopy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success("Code copied to clipboard.");
+    } catch {
+      toast.error("Could not copy; please copy the code manually.");
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await repository.invites.remove(id);
+      setInvites((prev) => prev.filter((i) => i.id !== id));
+      toast.success("Invite revoked.");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-fuchsia-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Invitations
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Invite Lenders, Analysts & Admins
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Public sign-up only creates borrowers. Share a one-time code to let
+          someone register with a privileged role.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleCreate}
+        className="bg-slate-950/60 border border-slate-800 rounded-2xl p-4 grid md:grid-cols-3 gap-4 items-end"
+      >
+        <label className="text-[11px] text-slate-400">
+          Role
+          <select
+            value={form.role}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, role: e.target.value }))
+            }
+            className="mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 capitalize focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+          >
+            {INVITE_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-[11px] text-slate-400">
+          Expires in (days)
+          <input
+            type="number"
+            min="1"
+            max="90"
+            value={form.expiresInDays}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))
+            }
+            required
+            className="mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+          />
+        </label>
+        <button
+          type="submit"
+          className="inline-flex items-center justify-center bg-emerald-500/90 hover:bg-emerald-400 text-slate-950 px-4 py-2 rounded-full text-[11px] md:text-xs font-semibold shadow-[0_0_18px_rgba(52,211,153,0.6)]"
+        >
+          Create Invite
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2 text-[11px]">
+        {["active", "redeemed", "expired"].map((status) => (
+          <button
+            key={status}
+            onClick={() => setFilter(status)}
+            className={`rounded-full px-3 py-1 capitalize border transition ${
+              filter === status
+                ? "border-sky-400 bg-sky-500/20 text-sky-100"
+                : "border-slate-700 bg-slate-900/70 text-slate-400 hover:text-slate-200"
+            }`}
+          >
+            {status === "active" ? "Outstanding" : status} ({counts[status]})
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto rounded-2xl border border-slate-800 bg-slate-950/50">
+        <table className="w-full text-xs md:text-sm border-collapse">
+          <thead>
+            <tr className="bg-slate-900/90 text-slate-300">
+              <th className="p-3 text-left">Code</th>
+              <th className="p-3 text-left">Role</th>
+              <th className="p-3 text-left">Status</th>
+              <th className="p-3 text-left">Created</th>
+              <th className="p-3 text-left">
+                {filter === "redeemed" ? "Redeemed By" : "Expires"}
+              </th>
+              <th className="p-3 text-left">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleInvites.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="p-4 text-center text-slate-500">
+                  No {filter === "active" ? "outstanding" : filter} invites.
+                </td>
+              </tr>
+            ) : (
+              visibleInvites.map((invite) => {
+                const status = inviteStatus(invite);
+                return (
+                  <tr key={invite.id} className="border-t border-slate-800">
+                    <td className="p-3 font-mono tracking-[0.15em] text-slate-100">
+                      {invite.code}
+                    </td>
+                    <td className="p-3 capitalize text-slate-300">
+                      {invite.role}
+                    </td>
+                    <td className="p-3">
+                      <span
+                        className={`inline-flex items-center rounded-full px-2 py-[2px] text-[10px] font-medium capitalize ${STATUS_STYLES[status]}`}
+                      >
+                        {status}
+                      </span>
+                    </td>
+                    <td className="p-3 text-slate-400">
+                      {formatDateTime(invite.createdAt)}
+                      {invite.createdByName && (
+                        <span className="block text-[10px] text-slate-500">
+                          by {invite.createdByName}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-3 text-slate-400">
+                      {status === "redeemed" ? (
+                        <>
+                          {invite.redeemedByEmail}
+                          <span className="block text-[10px] text-slate-500">
+                            {formatDateTime(invite.redeemedAt)}
+                          </span>
+                        </>
+                      ) : (
+                        formatDateTime(invite.expiresAt)
+                      )}
+                    </td>
+                    <td className="p-3 space-x-1 md:space-x-2 whitespace-nowrap">
+                      {status === "active" && (
+                        <button
+                          onClick={() => handleCopy(invite.code)}
+                          className="bg-slate-700/90 hover:bg-slate-600 text-slate-50 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                        >
+                          Copy
+                        </button>
+                      )}
+                      {status !== "redeemed" && (
+                        <button
+                          onClick={() => handleRevoke(invite.id)}
+                          className="bg-red-500/90 hover:bg-red-400 text-slate-950 px-3 py-1 rounded-full text-[11px] md:text-xs font-medium"
+                        >
+                          {status === "active" ? "Revoke" : "Remove"}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
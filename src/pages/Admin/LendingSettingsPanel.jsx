@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../../services/repository";
+import { validateForeclosurePolicy } from "../../utils/foreclosure";
+import {
+  describePenaltyPolicy,
+  validatePenaltyPolicy,
+} from "../../utils/penalties";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+
+const inputClass =
+  "mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+// One flat form over the settings sections it edits
+const toForm = (settings) => ({
+  ...settings.penalties,
+  ...settings.foreclosure,
+});
+
+/**
+ * LendingSettingsPanel
+ * Edits the terms new loans are disbursed with: the late-payment policy
+ * (grace days, a flat or percentage late fee, penal interest) and the
+ * foreclosure charge. Loans keep the terms in force when their funds were
+ * disbursed, so changes only apply to loans disbursed afterwards.
+ */
+export default function LendingSettingsPanel() {
+  const [saved, setSaved] = useState(DEFAULT_SETTINGS);
+  const [form, setForm] = useState(() => toForm(DEFAULT_SETTINGS));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadSettings = (settings) => {
+    setSaved(settings);
+    setForm(toForm(settings));
+  };
+
+  useEffect(() => {
+    repository.settings
+      .get()
+      .then((settings) => {
+        setSaved(settings);
+        setForm(toForm(settings));
+      })
+      .catch((err) => toast.error(`Failed to load settings: ${err.message}`));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const penalties = validatePenaltyPolicy(form);
+    const foreclosure = validateForeclosurePolicy(form);
+    const error = penalties.error || foreclosure.error;
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      loadSettings(
+        await repository.settings.update({
+          penalties: penalties.policy,
+          foreclosure: foreclosure.policy,
+        })
+      );
+      toast.success("Lending terms updated for new disbursements.");
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-red-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Lending Terms
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Penalties & Foreclosure
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Current terms: {describePenaltyPolicy(saved.penalties)}; closing early
+          costs {saved.foreclosure.chargePercent}% of the outstanding principal.
+          Loans keep the terms in force when their funds were disbursed.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-slate-950/60 border border-slate-800 rounded-2xl p-4 grid md:grid-cols-3 lg:grid-cols-6 gap-4 items-end"
+      >
+        <label className="text-[11px] text-slate-400">
+          Grace days
+          <input
+            type="number"
+            name="graceDays"
+            min="0"
+            max="90"
+            step="1"
+            value={form.graceDays}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </label>
+        <label className="text-[11px] text-slate-400">
+          Late fee type
+          <select
+            name="lateFeeType"
+            value={form.lateFeeType}
+            onChange={handleChange}
+            className={inputClass}
+          >
+            <option value="flat">Flat (₹)</option>
+            <option value="percent">% of EMI</option>
+          </select>
+        </label>
+        <label className="text-[11px] text-slate-400">
+          Late fee {form.lateFeeType === "percent" ? "(%)" : "(₹)"}
+          <input
+            type="number"
+            name="lateFee"
+            min="0"
+            step="0.01"
+            value={form.lateFee}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </label>
+        <label className="text-[11px] text-slate-400">
+          Penal interest (% p.a.)
+          <input
+            type="number"
+            name="penalRate"
+            min="0"
+            max="100"
+            step="0.01"
+            value={form.penalRate}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </label>
+        <label className="text-[11px] text-slate-400">
+          Foreclosure charge (%)
+          <input
+            type="number"
+            name="chargePercent"
+            min="0"
+            max="10"
+            step="0.01"
+            value={form.chargePercent}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="inline-flex items-center justify-center bg-emerald-500/90 hover:bg-emerald-400 disabled:opacity-60 text-slate-950 px-4 py-2 rounded-full text-[11px] md:text-xs font-semibold shadow-[0_0_18px_rgba(52,211,153,0.6)]"
+        >
+          {isSaving ? "Saving..." : "Save Terms"}
+        </button>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import formatDate from "../../utils/formatDate";
+import {
+  INTEREST_TREATMENTS,
+  MAX_MORATORIUM_MONTHS,
+  checkMoratorium,
+  describeMoratorium,
+  previewMoratorium,
+} from "../../utils/moratorium";
+
+const inputClass =
+  "mt-1 w-full border border-slate-700 rounded-lg bg-slate-950/80 px-2 py-1.5 text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+/**
+ * MoratoriumSection
+ * Repayment holidays in the loan panel: the borrower's pending request (to
+ * approve or decline), a form to grant a pause of N EMIs with interest
+ * capitalised or accrued, and the holidays already granted.
+ * Props:
+ * - loan: the loan shown in the panel
+ * - onGrant: async ({ months, interestTreatment }) => boolean
+ * - onDecline: async (note) => boolean
+ */
+export default function MoratoriumSection({ loan, onGrant, onDecline }) {
+  const request =
+    loan.moratoriumRequest?.status === "pending"
+      ? loan.moratoriumRequest
+      : null;
+  const [terms, setTerms] = useState({
+    months: String(request?.months || 1),
+    interestTreatment: INTEREST_TREATMENTS.CAPITALIZE,
+  });
+  const [note, setNote] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const granted = loan.moratoria || [];
+  const canGrant = !checkMoratorium(loan);
+  if (!canGrant && !request && granted.length === 0) return null;
+
+  const preview = canGrant
+    ? previewMoratorium(loan, { ...terms, months: Number(terms.months) })
+    : null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setTerms((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const run = async (action) => {
+    setIsSaving(true);
+    const ok = await action();
+    setIsSaving(false);
+    if (ok) setNote("");
+  };
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/80 p-3 text-[11px] space-y-2">
+      <p className="text-slate-400 uppercase tracking-[0.16em]">
+        Repayment Holiday
+      </p>
+
+      {request && (
+        <div className="rounded-xl border border-amber-500/40 bg-amber-500/10 p-2 text-amber-100">
+          <p>
+            {request.byName || "Borrower"} asked for {request.months} EMI
+            {request.months > 1 ? "s" : ""} on {formatDate(request.requestedAt)}
+          </p>
+          <p className="text-amber-200/80 italic">“{request.reason}”</p>
+        </div>
+      )}
+
+      {canGrant && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-slate-400">
+              EMIs to pause
+              <input
+                type="number"
+                name="months"
+                min="1"
+                max={MAX_MORATORIUM_MONTHS}
+                step="1"
+                value={terms.months}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-slate-400">
+              Holiday interest
+              <select
+                name="interestTreatment"
+                value={terms.interestTreatment}
+                onChange={handleChange}
+                className={inputClass}
+              >
+                <option value={INTEREST_TREATMENTS.CAPITALIZE}>
+                  Capitalise
+                </option>
+                <option value={INTEREST_TREATMENTS.ACCRUE}>
+                  Accrue separately
+                </option>
+              </select>
+            </label>
+          </div>
+          {preview.error ? (
+            <p className="text-red-300">{preview.error}</p>
+          ) : (
+            <p className="text-slate-500">
+              Pauses EMIs due {formatDate(preview.pausedDueDates[0])} –{" "}
+              {formatDate(
+                preview.pausedDueDates[preview.pausedDueDates.length - 1]
+              )}
+              ; ₹{preview.interest.toFixed(2)} interest{" "}
+              {terms.interestTreatment === INTEREST_TREATMENTS.CAPITALIZE
+                ? "added to the principal"
+                : "spread over the remaining EMIs"}
+              .
+            </p>
+          )}
+        </div>
+      )}
+
+      {(canGrant || request) && (
+        <div className="space-y-2">
+          {request && (
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note for the borrower if declining (optional)"
+              className={inputClass}
+            />
+          )}
+          <div className="flex gap-2">
+            {canGrant && (
+              <button
+                onClick={() =>
+                  run(() => onGrant({ ...terms, months: Number(terms.months) }))
+                }
+                disabled={isSaving || !!preview.error}
+                className="rounded-full bg-emerald-500/90 px-3 py-1 text-[11px] font-semibold text-slate-950 hover:bg-emerald-400 disabled:opacity-60"
+              >
+                {request ? "Approve" : "Grant holiday"}
+              </button>
+            )}
+            {request && (
+              <button
+                onClick={() => run(() => onDecline(note))}
+                disabled={isSaving}
+                className="rounded-full bg-red-500/90 px-3 py-1 text-[11px] font-semibold text-slate-950 hover:bg-red-400 disabled:opacity-60"
+              >
+                Decline
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {granted.map((moratorium) => (
+        <p key={moratorium.id} className="text-slate-300">
+          {formatDate(moratorium.grantedAt)}: {describeMoratorium(moratorium)}
+          {moratorium.byName && ` · by ${moratorium.byName}`}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,332 @@
+import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import repository from "../../services/repository";
+import {
+  DOCUMENT_TYPES,
+  describeProduct,
+  getDocumentLabel,
+  validateProduct,
+} from "../../utils/products";
+
+const inputClass =
+  "mt-1 w-full border border-slate-700 rounded-lg bg-slate-900/80 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent";
+
+const emptyForm = {
+  name: "",
+  description: "",
+  minAmount: "",
+  maxAmount: "",
+  tenures: "",
+  interestRate: "",
+  processingFeePercent: "",
+  requiredDocuments: [],
+};
+
+// Products keep tenures as numbers; the form edits them as "6, 12, 24"
+const toForm = (product) => ({
+  ...emptyForm,
+  ...product,
+  tenures: product.tenures.join(", "),
+});
+
+/**
+ * ProductsPanel
+ * The loan product catalog: admins create and edit products (amount range,
+ * tenures, rate, processing fee, required documents) and take them off
+ * offer. Borrowers apply against the active products; loans keep the terms
+ * of the product they were applied for.
+ */
+export default function ProductsPanel() {
+  const [products, setProducts] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    repository.products
+      .list()
+      .then(setProducts)
+      .catch((err) => toast.error(`Failed to load products: ${err.message}`));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleDocument = (id) => {
+    setForm((prev) => ({
+      ...prev,
+      requiredDocuments: prev.requiredDocuments.includes(id)
+        ? prev.requiredDocuments.filter((d) => d !== id)
+        : [...prev.requiredDocuments, id],
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const replaceProduct = (saved) =>
+    setProducts((prev) => prev.map((p) => (p.id === saved.id ? saved : p)));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { product, error } = validateProduct(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        replaceProduct(await repository.products.update(editingId, product));
+        toast.success(`${product.name} updated.`);
+      } else {
+        const created = await repository.products.create(product);
+        setProducts((prev) => [...prev, created]);
+        toast.success(`${product.name} added to the catalog.`);
+      }
+      resetForm();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (product) => {
+    try {
+      replaceProduct(
+        await repository.products.update(product.id, {
+          active: !product.active,
+        })
+      );
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDelete = async (product) => {
+    try {
+      await repository.products.remove(product.id);
+      setProducts((prev) => prev.filter((p) => p.id !== product.id));
+      if (editingId === product.id) resetForm();
+      toast.success(`${product.name} removed.`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-slate-800/80 bg-slate-900/80 p-5 md:p-6 shadow-[0_22px_70px_rgba(15,23,42,0.95)] backdrop-blur-xl space-y-4 mb-6">
+      <div>
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-950/70 border border-slate-700/80 px-3 py-1 mb-2">
+          <span className="h-1.5 w-1.5 rounded-full bg-sky-400" />
+          <span className="text-[10px] font-medium uppercase tracking-[0.14em] text-slate-400">
+            Catalog
+          </span>
+        </div>
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Loan Products
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Borrowers choose from the active products and must stay within their
+          limits. With no active products they can request any amount at the
+          default rate.
+        </p>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-slate-950/60 border border-slate-800 rounded-2xl p-4 space-y-3"
+      >
+        <div className="grid md:grid-cols-2 gap-4">
+          <label className="text-[11px] text-slate-400">
+            Name
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="e.g. Personal Loan"
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[11px] text-slate-400">
+            Description
+            <input
+              type="text"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+              placeholder="Optional, shown to borrowers"
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <div className="grid md:grid-cols-5 gap-4">
+          <label className="text-[11px] text-slate-400">
+            Min amount (₹)
+            <input
+              type="number"
+              name="minAmount"
+              min="1"
+              value={form.minAmount}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[11px] text-slate-400">
+            Max amount (₹)
+            <input
+              type="number"
+              name="maxAmount"
+              min="1"
+              value={form.maxAmount}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[11px] text-slate-400">
+            Tenures (months)
+            <input
+              type="text"
+              name="tenures"
+              value={form.tenures}
+              onChange={handleChange}
+              placeholder="6, 12, 24"
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[11px] text-slate-400">
+            Interest (% p.a.)
+            <input
+              type="number"
+              name="interestRate"
+              min="0"
+              max="50"
+              step="0.01"
+              value={form.interestRate}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="text-[11px] text-slate-400">
+            Processing fee (%)
+            <input
+              type="number"
+              name="processingFeePercent"
+              min="0"
+              max="5"
+              step="0.01"
+              value={form.processingFeePercent}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <fieldset className="text-[11px] text-slate-400">
+          <legend className="mb-1">Required documents</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {DOCUMENT_TYPES.map((type) => (
+              <label key={type.id} className="inline-flex items-center gap-1.5">
+                <input
+                  type="checkbox"
+                  checked={form.requiredDocuments.includes(type.id)}
+                  onChange={() => toggleDocument(type.id)}
+                  className="accent-sky-500"
+                />
+                {type.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div className="flex justify-end gap-2">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="rounded-full border border-slate-700 px-4 py-2 text-[11px] text-slate-300 hover:bg-slate-800"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center justify-center bg-emerald-500/90 hover:bg-emerald-400 disabled:opacity-60 text-slate-950 px-4 py-2 rounded-full text-[11px] md:text-xs font-semibold shadow-[0_0_18px_rgba(52,211,153,0.6)]"
+          >
+            {isSaving
+              ? "Saving..."
+              : editingId
+                ? "Save Product"
+                : "Add Product"}
+          </button>
+        </div>
+      </form>
+
+      {products.length === 0 ? (
+        <p className="text-[11px] text-slate-500 text-center">
+          No products yet.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {products.map((product) => (
+            <li
+              key={product.id}
+              className="rounded-2xl border border-slate-800 bg-slate-950/60 p-3 text-[11px] flex flex-col md:flex-row md:items-center md:justify-between gap-2"
+            >
+              <div>
+                <p className="text-sm font-medium text-slate-100">
+                  {product.name}{" "}
+                  {!product.active && (
+                    <span className="ml-1 rounded-full border border-slate-600 px-2 py-[1px] text-[10px] text-slate-400">
+                      Not offered
+                    </span>
+                  )}
+                </p>
+                <p className="text-slate-400">{describeProduct(product)}</p>
+                {product.requiredDocuments.length > 0 && (
+                  <p className="text-slate-500">
+                    Documents:{" "}
+                    {product.requiredDocuments.map(getDocumentLabel).join(", ")}
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => {
+                    setEditingId(product.id);
+                    setForm(toForm(product));
+                  }}
+                  className="rounded-full border border-sky-500/60 px-3 py-1 text-sky-200 hover:bg-sky-500/10"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleToggleActive(product)}
+                  className="rounded-full border border-amber-500/60 px-3 py-1 text-amber-200 hover:bg-amber-500/10"
+                >
+                  {product.active ? "Retire" : "Offer"}
+                </button>
+                <button
+                  onClick={() => handleDelete(product)}
+                  className="rounded-full border border-red-500/60 px-3 py-1 text-red-200 hover:bg-red-500/10"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import Button from "../../components/Button";
+import Modal from "../../components/Modal";
+import { REJECTION_REASONS, checkRejection } from "../../utils/rejection";
+
+/**
+ * RejectModal
+ * Asks for the reason code (and an optional note, required for "Other")
+ * before a loan is rejected. The borrower sees both and may appeal once.
+ * Props:
+ * - loan: the loan to reject (modal is closed when null)
+ * - onClose: dismisses without changes
+ * - onConfirm: async ({ code, note }) => boolean, true once rejected
+ */
+export default function RejectModal({ loan, onClose, onConfirm }) {
+  const [reason, setReason] = useState({ code: "", note: "" });
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!loan) return null;
+
+  const error = checkRejection(reason);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setReason((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    const saved = await onConfirm(reason);
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  const inputClass =
+    "mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400";
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Reject loan of ${loan.borrowerName}`}
+      footer={
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleConfirm}
+            disabled={isSaving || !!error}
+          >
+            {isSaving ? "Rejecting..." : "Reject"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-4 text-sm text-gray-700">
+        <p className="text-xs text-gray-500">
+          ₹{loan.amount} over {loan.duration} months
+          {loan.appeal ? ", already appealed once: this decision is final" : ""}
+          . The borrower sees the reason and your note.
+        </p>
+        <label className="block text-xs text-gray-600">
+          Reason
+          <select
+            name="code"
+            value={reason.code}
+            onChange={handleChange}
+            className={inputClass}
+          >
+            <option value="">Choose a reason</option>
+            {REJECTION_REASONS.map((r) => (
+              <option key={r.code} value={r.code}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs text-gray-600">
+          Note {reason.code === "other" ? "(required)" : "(optional)"}
+          <textarea
+            name="note"
+            rows={3}
+            value={reason.note}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </label>
+        {reason.code && error && (
+          <p className="text-xs text-red-600">{error}</p>
+        )}
+      </div>
+    </Modal>
+  );
+}
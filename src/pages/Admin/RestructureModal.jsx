@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import Button from "../../components/Button";
+import Modal from "../../components/Modal";
+import { getLoanRate } from "../../utils/amortization";
+import formatDate from "../../utils/formatDate";
+import { RESTRUCTURE_MODES, previewRestructure } from "../../utils/restructure";
+
+const money = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+// Rows of the before/after comparison: [label, key, format]
+const COMPARISON = [
+  ["Interest rate", "interestRate", (v) => `${v}%`],
+  ["EMIs left", "installmentsLeft", String],
+  ["EMI", "emi", money],
+  ["Outstanding principal", "outstandingPrincipal", money],
+  ["Interest to pay", "remainingInterest", money],
+  ["Total payable", "totalPayable", money],
+  ["Last EMI due", "finalDueDate", (v) => formatDate(v) || "-"],
+];
+
+/** Before/after table for a restructure; also used for past versions. */
+export function RestructureComparison({ before, after, dark = false }) {
+  const muted = dark ? "text-slate-400" : "text-gray-500";
+  const strong = dark ? "text-slate-100" : "text-gray-800";
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className={muted}>
+          <th className="py-1 text-left font-medium" />
+          <th className="py-1 text-right font-medium">Before</th>
+          <th className="py-1 text-right font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {COMPARISON.map(([label, key, format]) => (
+          <tr key={key}>
+            <td className={`py-1 ${muted}`}>{label}</td>
+            <td className={`py-1 text-right ${muted}`}>
+              {format(before[key])}
+            </td>
+            <td
+              className={`py-1 text-right font-medium ${
+                before[key] === after[key] ? muted : strong
+              }`}
+            >
+              {format(after[key])}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * RestructureModal
+ * Collects new terms for a loan's unpaid schedule (rate plus either a
+ * tenure or a target EMI) and a reason, previewing the result before the
+ * admin confirms. Paid EMIs are never touched; see utils/restructure.
+ * Props:
+ * - loan: the loan to restructure (modal is closed when null)
+ * - onClose: dismisses without changes
+ * - onConfirm: async (terms, reason) => boolean, true once saved
+ */
+export default function RestructureModal({ loan, onClose, onConfirm }) {
+  const [terms, setTerms] = useState(() => ({
+    mode: RESTRUCTURE_MODES.TENURE,
+    interestRate: getLoanRate(loan).toString(),
+    tenure: String(loan?.repayments?.filter((r) => !r.paid).length || ""),
+    emi: "",
+  }));
+  const [reason, setReason] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!loan) return null;
+
+  const preview = previewRestructure(loan, {
+    ...terms,
+    tenure: Number(terms.tenure),
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setTerms((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    const saved = await onConfirm(
+      { ...terms, tenure: Number(terms.tenure) },
+      reason
+    );
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  const inputClass =
+    "mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400";
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Restructure loan of ${loan.borrowerName}`}
+      footer={
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={isSaving || !!preview.error || !reason.trim()}
+          >
+            {isSaving ? "Saving..." : "Restructure"}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-4 text-sm text-gray-700">
+        <p className="text-xs text-gray-500">
+          Paid EMIs stay as they are. Overdue interest and late charges are
+          added to the balance, which is spread over the new schedule. The
+          current schedule is kept as a previous version.
+        </p>
+
+        <div className="grid gap-3 sm:grid-cols-3">
+          <label className="text-xs text-gray-600">
+            New rate (% p.a.)
+            <input
+              type="number"
+              name="interestRate"
+              min="0"
+              max="50"
+              step="0.01"
+              value={terms.interestRate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Recalculate by
+            <select
+              name="mode"
+              value={terms.mode}
+              onChange={handleChange}
+              className={inputClass}
+            >
+              <option value={RESTRUCTURE_MODES.TENURE}>New tenure</option>
+              <option value={RESTRUCTURE_MODES.EMI}>Target EMI</option>
+            </select>
+          </label>
+          {terms.mode === RESTRUCTURE_MODES.EMI ? (
+            <label className="text-xs text-gray-600">
+              EMI (₹, at most)
+              <input
+                type="number"
+                name="emi"
+                min="1"
+                step="0.01"
+                value={terms.emi}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </label>
+          ) : (
+            <label className="text-xs text-gray-600">
+              EMIs from now
+              <input
+                type="number"
+                name="tenure"
+                min="1"
+                max="360"
+                step="1"
+                value={terms.tenure}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </label>
+          )}
+        </div>
+
+        <label className="block text-xs text-gray-600">
+          Reason
+          <textarea
+            rows={2}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. Borrower lost their job; tenure extended to lower the EMI"
+            className={inputClass}
+          />
+        </label>
+
+        {preview.error ? (
+          <p className="text-xs text-red-600">{preview.error}</p>
+        ) : (
+          <div className="rounded-lg border border-gray-200 p-3">
+            <RestructureComparison
+              before={preview.before}
+              after={preview.after}
+            />
+            {preview.capitalized > 0 && (
+              <p className="mt-2 text-xs text-gray-500">
+                Includes {money(preview.capitalized)} of overdue interest and
+                late charges added to the balance.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
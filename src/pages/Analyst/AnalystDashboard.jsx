@@ -1,5 +1,9 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useMemo } from "react";
 import { useNavigate } from "react-router-dom";
+import LiveStatus from "../../components/LiveStatus";
+import useAuth from "../../hooks/useAuth";
+import useLoans from "../../hooks/useLoans";
+import { STORAGE_BACKEND } from "../../services/repository";
 import {
   PieChart,
   Pie,
@@ -12,47 +16,29 @@ import {
   YAxis,
   Legend,
 } from "recharts";
-
-// Safe parser
-function safeParseJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    const data = JSON.parse(raw);
-    return data ?? fallback;
-  } catch (err) {
-    console.error(`Failed to parse ${key} from localStorage`, err);
-    return fallback;
-  }
-}
+import { getExpectedTotal, getPaidTotal } from "../../utils/amortization";
+import { getDelinquency, getUpcomingEmis } from "../../utils/dueDates";
 
 export default function AnalystDashboard() {
   const navigate = useNavigate();
-  const [loans, setLoans] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // ------- Initial Load -------
-  useEffect(() => {
-    const user = safeParseJSON("user", null);
-    if (!user || user.role !== "analyst") {
-      navigate("/");
-      return;
-    }
-
-    const storedLoans = safeParseJSON("loans", []);
-    setLoans(storedLoans);
-    setIsLoading(false);
-  }, [navigate]);
+  const { loans, isLoading } = useLoans();
+  const { logout } = useAuth();
 
   // ------- Derived Metrics -------
   const {
     totalDisbursed,
+    totalDue,
     totalRepaid,
     totalLoans,
     activeLoans,
     completedLoans,
     rejectedLoans,
     pendingLoans,
+    overdueCount,
+    overdueAmount,
+    delinquentLoans,
+    upcomingCount,
+    upcomingAmount,
   } = useMemo(() => {
     const totalLoans = loans.length;
 
@@ -60,13 +46,12 @@ export default function AnalystDashboard() {
       .filter((l) => l.status === "Funds Disbursed" || l.status === "Completed")
       .reduce((sum, l) => sum + Number(l.amount || 0), 0);
 
-    const totalRepaid = loans.reduce((sum, l) => {
-      if (!l.repayments) return sum;
-      const paid = l.repayments
-        .filter((r) => r.paid)
-        .reduce((s, r) => s + Number(r.amount || 0), 0);
-      return sum + paid;
-    }, 0);
+    // Principal + interest owed on disbursed loans' amortization schedules
+    const totalDue = loans
+      .filter((l) => l.status === "Funds Disbursed" || l.status === "Completed")
+      .reduce((sum, l) => sum + getExpectedTotal(l), 0);
+
+    const totalRepaid = loans.reduce((sum, l) => sum + getPaidTotal(l), 0);
 
     const pendingLoans = loans.filter((l) => l.status === "Pending").length;
     const approvedLoans = loans.filter((l) => l.status === "Approved").length;
@@ -78,14 +63,36 @@ export default function AnalystDashboard() {
 
     const activeLoans = approvedLoans + disbursedLoans;
 
+    let overdueCount = 0;
+    let overdueAmount = 0;
+    let delinquentLoans = 0;
+    for (const l of loans) {
+      const delinquency = getDelinquency(l);
+      overdueCount += delinquency.overdueCount;
+      overdueAmount += delinquency.overdueAmount;
+      if (delinquency.overdueCount > 0) delinquentLoans += 1;
+    }
+
+    const upcoming = getUpcomingEmis(loans, 30);
+    const upcomingAmount = upcoming.reduce(
+      (sum, e) => sum + Number(e.row.amount || 0),
+      0
+    );
+
     return {
       totalDisbursed,
+      totalDue,
       totalRepaid,
       totalLoans,
       activeLoans,
       completedLoans,
       rejectedLoans,
       pendingLoans,
+      overdueCount,
+      overdueAmount,
+      delinquentLoans,
+      upcomingCount: upcoming.length,
+      upcomingAmount,
     };
   }, [loans]);
 
@@ -118,7 +125,7 @@ export default function AnalystDashboard() {
   }, [loans]);
 
   const handleLogout = () => {
-    localStorage.removeItem("user");
+    logout();
     navigate("/");
   };
 
@@ -172,8 +179,12 @@ export default function AnalystDashboard() {
           </div>
 
           <div className="flex items-center gap-3">
+            <LiveStatus />
             <div className="hidden md:flex flex-col items-end text-[10px] text-slate-500">
-              <span>Environment: Demo (localStorage)</span>
+              <span>
+                Environment:{" "}
+                {STORAGE_BACKEND === "api" ? "REST API" : "Demo (localStorage)"}
+              </span>
               <span>Role: Analyst</span>
             </div>
             <button
@@ -229,7 +240,8 @@ export default function AnalystDashboard() {
                   </p>
                 </div>
                 <span className="hidden md:inline-flex items-center rounded-full bg-slate-950/70 border border-slate-700/70 px-3 py-1 text-[10px] text-slate-400">
-                  Updated from localStorage
+                  Updated from{" "}
+                  {STORAGE_BACKEND === "api" ? "the API" : "localStorage"}
                 </span>
               </div>
               <div className="h-72 md:h-80">
@@ -368,11 +380,26 @@ export default function AnalystDashboard() {
                 <InsightRow
                   label="Recovery Efficiency"
                   value={
-                    totalDisbursed > 0
-                      ? `${((totalRepaid / totalDisbursed) * 100).toFixed(1)}%`
+                    totalDue > 0
+                      ? `${((totalRepaid / totalDue) * 100).toFixed(1)}%`
                       : "N/A"
                   }
-                  hint="Repaid vs disbursed"
+                  hint="Repaid vs principal + interest due"
+                />
+                <InsightRow
+                  label="Interest Receivable"
+                  value={`₹${Math.max(totalDue - totalDisbursed, 0).toFixed(2)}`}
+                  hint="Scheduled interest on disbursed loans"
+                />
+                <InsightRow
+                  label="Overdue EMIs"
+                  value={`₹${overdueAmount.toFixed(2)}`}
+                  hint={`${overdueCount} EMIs past due across ${delinquentLoans} loans`}
+                />
+                <InsightRow
+                  label="Due in 30 Days"
+                  value={`₹${upcomingAmount.toFixed(2)}`}
+                  hint={`${upcomingCount} upcoming EMIs`}
                 />
               </div>
             </div>
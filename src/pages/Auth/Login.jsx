@@ -1,61 +1,28 @@
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
-
-function safeParseJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    const data = JSON.parse(raw);
-    return data ?? fallback;
-  } catch (err) {
-    console.error(`Failed to parse ${key} from localStorage`, err);
-    return fallback;
-  }
-}
+import useAuth from "../../hooks/useAuth";
+import { ROLE_HOME } from "../../utils/constants";
 
 export default function Login() {
   const navigate = useNavigate();
+  const { user: currentUser, login, register } = useAuth();
   const [mode, setMode] = useState("login"); // 'login' | 'register'
   const [form, setForm] = useState({
     name: "",
     email: "",
     password: "",
-    role: "borrower",
+    inviteCode: "",
   });
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const getUsers = () => safeParseJSON("users", []);
-  const saveUsers = (users) =>
-    localStorage.setItem("users", JSON.stringify(users));
-
   // If already logged in, redirect to their dashboard
   useEffect(() => {
-    try {
-      const logged = JSON.parse(localStorage.getItem("user"));
-      if (logged?.role) {
-        switch (logged.role) {
-          case "admin":
-            navigate("/admin");
-            break;
-          case "lender":
-            navigate("/lender");
-            break;
-          case "borrower":
-            navigate("/borrower");
-            break;
-          case "analyst":
-            navigate("/analyst");
-            break;
-          default:
-            break;
-        }
-      }
-    } catch {
-      // ignore malformed user
+    if (currentUser?.role && ROLE_HOME[currentUser.role]) {
+      navigate(ROLE_HOME[currentUser.role]);
     }
-  }, [navigate]);
+  }, [currentUser, navigate]);
 
   const resetForm = (nextMode) => {
     setMode(nextMode);
@@ -63,7 +30,7 @@ export default function Login() {
       name: "",
       email: "",
       password: "",
-      role: "borrower",
+      inviteCode: "",
     });
   };
 
@@ -71,7 +38,7 @@ export default function Login() {
     /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.toLowerCase());
 
   // ---------- Registration ----------
-  const handleRegister = (e) => {
+  const handleRegister = async (e) => {
     e.preventDefault();
     if (isSubmitting) return;
     setIsSubmitting(true);
@@ -98,33 +65,25 @@ export default function Login() {
       return;
     }
 
-    const validRoles = ["admin", "lender", "borrower", "analyst"];
-    const role = validRoles.includes(form.role) ? form.role : "borrower";
-
-    const users = getUsers();
-    if (users.find((u) => u.email === email)) {
-      toast.error("User already exists with this email.");
-      setIsSubmitting(false);
-      return;
-    }
-
-    const newUser = {
-      id: Date.now(),
+    const { user, error } = await register({
       name,
       email,
       password,
-      role,
-      createdAt: new Date().toISOString(),
-    };
+      inviteCode: form.inviteCode,
+    });
+    if (error) {
+      toast.error(error);
+      setIsSubmitting(false);
+      return;
+    }
 
-    saveUsers([...users, newUser]);
-    toast.success("User registered successfully! Please login.");
+    toast.success(`Registered as ${user.role}! Please login.`);
     resetForm("login");
     setIsSubmitting(false);
   };
 
   // ---------- Login ----------
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
     if (isSubmitting) return;
     setIsSubmitting(true);
@@ -144,37 +103,15 @@ export default function Login() {
       return;
     }
 
-    const users = getUsers();
-    const user = users.find(
-      (u) => u.email.toLowerCase() === email && u.password === password
-    );
-
-    if (!user) {
-      toast.error("Invalid email or password.");
+    const { user, error } = await login(email, password);
+    if (error) {
+      toast.error(error);
       setIsSubmitting(false);
       return;
     }
 
-    localStorage.setItem("user", JSON.stringify(user));
     toast.success(`Welcome ${user.name}!`);
-
-    switch (user.role) {
-      case "admin":
-        navigate("/admin");
-        break;
-      case "lender":
-        navigate("/lender");
-        break;
-      case "borrower":
-        navigate("/borrower");
-        break;
-      case "analyst":
-        navigate("/analyst");
-        break;
-      default:
-        navigate("/");
-    }
-
+    navigate(ROLE_HOME[user.role] || "/");
     setIsSubmitting(false);
   };
 
@@ -338,7 +275,7 @@ export default function Login() {
               <p className="text-center text-[11px] text-slate-500 mb-6">
                 {mode === "login"
                   ? "Sign in with your registered email and password."
-                  : "Register once and choose a role to continue using loanSys."}
+                  : "Sign up as a borrower, or enter the invitation code you were given."}
               </p>
 
               <form onSubmit={onSubmit} className="space-y-4">
@@ -408,18 +345,22 @@ export default function Login() {
                 {mode === "register" && (
                   <div>
                     <label className="block text-[11px] font-medium text-slate-400 mb-1">
-                      Role
+                      Invitation Code{" "}
+                      <span className="text-slate-500">(optional)</span>
                     </label>
-                    <select
-                      value={form.role}
-                      onChange={(e) => onChangeField("role", e.target.value)}
-                      className="w-full rounded-lg border border-slate-700/80 bg-slate-900/70 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
-                    >
-                      <option value="admin">Admin</option>
-                      <option value="lender">Lender</option>
-                      <option value="borrower">Borrower</option>
-                      <option value="analyst">Analyst</option>
-                    </select>
+                    <input
+                      type="text"
+                      placeholder="Only for lender, analyst or admin accounts"
+                      value={form.inviteCode}
+                      onChange={(e) =>
+                        onChangeField("inviteCode", e.target.value)
+                      }
+                      autoComplete="off"
+                      className="w-full rounded-lg border border-slate-700/80 bg-slate-900/70 px-3 py-2 text-sm uppercase tracking-[0.2em] text-slate-100 placeholder:normal-case placeholder:tracking-normal placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+                    />
+                    <p className="text-[11px] text-slate-500 mt-1">
+                      Without a code your account is created as a borrower.
+                    </p>
                   </div>
                 )}
 
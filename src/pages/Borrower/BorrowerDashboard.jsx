@@ -1,117 +1,101 @@
 import React, { useEffect, useMemo, useState } from "react";
 import toast from "react-hot-toast";
 import { useNavigate } from "react-router-dom";
-
-function safeParseJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    const data = JSON.parse(raw);
-    return Array.isArray(fallback) && !Array.isArray(data) ? fallback : data;
-  } catch (err) {
-    console.error(`Failed to parse ${key} from localStorage`, err);
-    return fallback;
-  }
-}
-
-// 🔹 Added aadhar, pan, address here
-const initialLoanForm = {
-  amount: "",
-  duration: "",
-  purpose: "",
-  aadhar: "",
-  pan: "",
-  address: "",
-};
+import DocumentList from "../../components/DocumentList";
+import DocumentPicker from "../../components/DocumentPicker";
+import EmiStatusBadge from "../../components/EmiStatusBadge";
+import LateChargesSummary from "../../components/LateChargesSummary";
+import PausedMonthRows from "../../components/PausedMonthRows";
+import PaymentHistory from "../../components/PaymentHistory";
+import RejectionDetails from "../../components/RejectionDetails";
+import LiveStatus from "../../components/LiveStatus";
+import useAuth from "../../hooks/useAuth";
+import useLoans from "../../hooks/useLoans";
+import repository, { STORAGE_BACKEND } from "../../services/repository";
+import {
+  ensureSchedule,
+  getEmiBalance,
+  getLoanRate,
+  getOutstandingTotal,
+} from "../../utils/amortization";
+import { DEFAULT_INTEREST_RATE } from "../../utils/constants";
+import {
+  DOCUMENT_STATUS,
+  attachDocument,
+  getLoanDocument,
+} from "../../utils/documents";
+import {
+  getDelinquency,
+  getDueDate,
+  getOverdueEmis,
+  getUpcomingEmis,
+} from "../../utils/dueDates";
+import { applyForeclosure, getForeclosureQuote } from "../../utils/foreclosure";
+import formatDate from "../../utils/formatDate";
+import {
+  LOAN_STATUS,
+  applyTransition,
+  checkTransition,
+} from "../../utils/loanLifecycle";
+import {
+  MAX_MORATORIUM_MONTHS,
+  checkMoratorium,
+  getActiveMoratorium,
+  requestMoratorium,
+} from "../../utils/moratorium";
+import {
+  applyPayment,
+  getDueThrough,
+  getEmiReceived,
+  getTotalDue,
+  isPartlyPaid,
+} from "../../utils/payments";
+import { buildAppeal } from "../../utils/rejection";
+import { getEmiPenalty } from "../../utils/penalties";
+import { getDocumentLabel } from "../../utils/products";
+import LoanApplicationWizard from "./LoanApplicationWizard";
 
 export default function BorrowerDashboard() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [loans, setLoans] = useState([]);
+  const { user, logout } = useAuth();
+  const {
+    isLoading,
+    loansByBorrower,
+    addLoan,
+    updateLoan,
+    runLoanAction,
+    transitionLoan,
+  } = useLoans();
   const [showForm, setShowForm] = useState(false);
-  const [loanData, setLoanData] = useState(initialLoanForm);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // ---------- Helpers ----------
-  const generateEMISchedule = (amount, duration) => {
-    const principal = Number(amount) || 0;
-    const months = Number(duration) || 1;
-    const perMonth = (principal / months).toFixed(2);
-    return Array.from({ length: months }, (_, i) => ({
-      month: `Month ${i + 1}`,
-      amount: perMonth,
-      paid: false,
-    }));
-  };
-
-  // Sync borrower loans + global loans in localStorage
-  const updateLoans = (updatedBorrowerLoans) => {
-    setLoans(updatedBorrowerLoans);
+  const [products, setProducts] = useState([]);
 
-    const allLoans = safeParseJSON("loans", []);
-    const merged = allLoans.map((loan) =>
-      loan.borrowerId === user?.id
-        ? updatedBorrowerLoans.find((l) => l.id === loan.id) || loan
-        : loan
-    );
-
-    const newOnes = updatedBorrowerLoans.filter(
-      (bLoan) => !merged.some((loan) => loan.id === bLoan.id)
-    );
-    const finalList = [...merged, ...newOnes];
-
-    localStorage.setItem("loans", JSON.stringify(finalList));
-  };
+  const loans = useMemo(
+    () => (user ? loansByBorrower(user.id) : []),
+    [user, loansByBorrower]
+  );
 
-  // ---------- Initial load ----------
+  // ---------- Loan products on offer ----------
   useEffect(() => {
-    const loggedInUser = (() => {
-      try {
-        return JSON.parse(localStorage.getItem("user"));
-      } catch {
-        return null;
-      }
-    })();
-
-    if (!loggedInUser) {
-      navigate("/");
-      return;
-    }
-
-    setUser(loggedInUser);
-
-    const allLoans = safeParseJSON("loans", []);
-    const myLoans = allLoans.filter(
-      (loan) => loan.borrowerId === loggedInUser.id
-    );
-    setLoans(myLoans);
-    setIsLoading(false);
-  }, [navigate]);
+    repository.products
+      .list()
+      .then((list) => setProducts(list.filter((p) => p.active)))
+      .catch((err) =>
+        toast.error(`Failed to load loan products: ${err.message}`)
+      );
+  }, []);
 
   // ---------- Ensure EMIs exist for active loans ----------
+  // The server builds them when it approves or disburses a loan
   useEffect(() => {
-    if (!user || loans.length === 0) return;
-
-    const updated = loans.map((loan) => {
+    if (STORAGE_BACKEND === "api") return;
+    for (const loan of loans) {
       const isActiveStatus =
         loan.status === "Approved" || loan.status === "Funds Disbursed";
-
-      if (
-        isActiveStatus &&
-        (!loan.repayments || loan.repayments.length === 0)
-      ) {
-        return {
-          ...loan,
-          repayments: generateEMISchedule(loan.amount, loan.duration),
-        };
+      if (isActiveStatus && ensureSchedule(loan) !== loan) {
+        updateLoan(loan.id, ensureSchedule);
       }
-      return loan;
-    });
-
-    const hasChanges = updated.some((loan, idx) => loan !== loans[idx]);
-    if (hasChanges) updateLoans(updated);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [loans, user]);
+    }
+  }, [loans, updateLoan]);
 
   // ---------- Derived stats ----------
   const stats = useMemo(() => {
@@ -119,16 +103,11 @@ export default function BorrowerDashboard() {
       (sum, l) => sum + Number(l.amount || 0),
       0
     );
-    const totalPaid = loans.reduce((sum, l) => {
-      if (!l.repayments) return sum;
-      return (
-        sum +
-        l.repayments
-          .filter((r) => r.paid)
-          .reduce((s, r) => s + Number(r.amount || 0), 0)
-      );
-    }, 0);
-    const totalOutstanding = Math.max(totalBorrowed - totalPaid, 0);
+    // Principal + interest still owed on every EMI schedule
+    const totalOutstanding = loans.reduce(
+      (sum, l) => sum + getOutstandingTotal(l),
+      0
+    );
 
     const totalEmiCount = loans.reduce(
       (sum, l) => sum + (l.repayments?.length || 0),
@@ -139,90 +118,198 @@ export default function BorrowerDashboard() {
       0
     );
 
+    const overdue = loans.map((l) => getDelinquency(l));
+    const overdueCount = overdue.reduce((sum, d) => sum + d.overdueCount, 0);
+    const overdueAmount = overdue.reduce((sum, d) => sum + d.overdueAmount, 0);
+
     return {
       totalBorrowed,
       totalOutstanding,
       paidEmiCount,
       totalEmiCount,
+      overdueCount,
+      overdueAmount,
     };
   }, [loans]);
 
-  // ---------- Handlers ----------
-  const handleRequestLoan = (e) => {
-    e.preventDefault();
-    if (!user) return;
-
-    const amountNum = Number(loanData.amount);
-    const durationNum = Number(loanData.duration);
+  const upcomingEmis = useMemo(() => getUpcomingEmis(loans, 30), [loans]);
+  const overdueEmis = useMemo(
+    () =>
+      loans.flatMap((loan) =>
+        getOverdueEmis(loan).map((emi) => ({ ...emi, loan }))
+      ),
+    [loans]
+  );
 
-    if (amountNum <= 0 || durationNum <= 0) {
-      toast.error("Amount and duration must be positive.");
-      return;
-    }
+  // ---------- Handlers ----------
+  // Fields come from the finished application wizard; new KYC details go
+  // on the borrower's profile so later applications can reuse them
+  const handleSubmitApplication = async (application, kyc) => {
+    if (!user) return false;
 
-    // Basic presence validation for new fields
-    if (!loanData.aadhar.trim()) {
-      toast.error("Please enter your Aadhar number.");
-      return;
-    }
-    if (!loanData.pan.trim()) {
-      toast.error("Please enter your PAN number.");
-      return;
-    }
-    if (!loanData.address.trim()) {
-      toast.error("Please enter your address.");
-      return;
+    if (kyc) {
+      try {
+        await repository.users.update(user.id, { kyc });
+      } catch (err) {
+        toast.error(err.message);
+        return false;
+      }
     }
 
     const newLoan = {
       id: Date.now(),
       borrowerId: user.id,
       borrowerName: user.name,
-      amount: amountNum,
-      duration: durationNum,
-      purpose: loanData.purpose.trim(),
-      // 🔹 Store new fields on loan
-      aadhar: loanData.aadhar.trim(),
-      pan: loanData.pan.trim(),
-      address: loanData.address.trim(),
-      status: "Pending",
+      interestRate: DEFAULT_INTEREST_RATE,
+      ...application,
+      status: LOAN_STATUS.PENDING,
       lenderId: null,
       lenderName: null,
       repayments: [],
       createdAt: new Date().toISOString(),
     };
 
-    const updatedLoans = [...loans, newLoan];
-    updateLoans(updatedLoans);
+    const { error } = await addLoan(newLoan);
+    if (error) {
+      toast.error(error);
+      return false;
+    }
 
     toast.success("Loan request submitted!");
-    setLoanData(initialLoanForm);
     setShowForm(false);
+    return true;
   };
 
-  const handleRepayment = (loanId, index) => {
-    const updatedLoans = loans.map((loan) => {
-      if (loan.id !== loanId) return loan;
+  // Any amount; utils/payments allocates it across the EMIs
+  const handlePayment = async (loanId, amount) => {
+    const loan = loans.find((l) => l.id === loanId);
+    const refused = checkTransition(loan, "repay", user);
+    if (refused) {
+      toast.error(refused);
+      return false;
+    }
 
-      const repayments = loan.repayments ? [...loan.repayments] : [];
-      if (!repayments[index] || repayments[index].paid) return loan;
+    const { loan: paid, error } = await runLoanAction(
+      loanId,
+      { path: "repayments", body: { amount } },
+      (current) => {
+        const outcome = applyPayment(current, amount, { actor: user });
+        if (outcome.error) throw new Error(outcome.error);
+        const updated = outcome.loan;
+        return checkTransition(updated, "complete", user)
+          ? updated
+          : applyTransition(updated, "complete", user).loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
 
-      repayments[index] = { ...repayments[index], paid: true };
+    const payment = paid.payments[paid.payments.length - 1];
+    toast.success(`Payment of ₹${payment.amount.toFixed(2)} recorded ✅`);
+    return true;
+  };
 
-      const allPaid = repayments.every((r) => r.paid);
-      return {
-        ...loan,
-        repayments,
-        status: allPaid ? "Completed" : loan.status,
-      };
+  // Pays off everything at today's quote and completes the loan
+  const handleForeclose = async (loanId) => {
+    const loan = loans.find((l) => l.id === loanId);
+    const refused = checkTransition(loan, "repay", user);
+    if (refused) {
+      toast.error(refused);
+      return;
+    }
+
+    const { loan: closed, error } = await runLoanAction(
+      loanId,
+      { path: "foreclosure" },
+      (current) => {
+        const outcome = applyForeclosure(current, { actor: user });
+        if (outcome.error) throw new Error(outcome.error);
+        return applyTransition(outcome.loan, "complete", user).loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    toast.success(`Loan closed for ₹${closed.foreclosure.total.toFixed(2)} 🎉`);
+  };
+
+  // Asks an admin to pause upcoming EMIs
+  const handleHolidayRequest = async (loanId, request) => {
+    const { error } = await runLoanAction(
+      loanId,
+      { path: "holiday/request", body: request },
+      (current) => {
+        const outcome = requestMoratorium(current, request, { actor: user });
+        if (outcome.error) throw new Error(outcome.error);
+        return outcome.loan;
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success("Repayment holiday requested. An admin will review it.");
+    return true;
+  };
+
+  // Uploads a missing or rejected document and sends it for review
+  const handleDocumentUpload = async (loanId, type, file) => {
+    let stored = null;
+    try {
+      stored = await repository.documents.upload(file, {
+        borrowerId: user.id,
+        type,
+      });
+    } catch (err) {
+      toast.error(`Upload failed: ${err.message}`);
+      return;
+    }
+
+    let replaced = null;
+    const { error } = await updateLoan(loanId, (current) => {
+      replaced = getLoanDocument(current, type);
+      const outcome = attachDocument(current, type, stored, user);
+      if (outcome.error) throw new Error(outcome.error);
+      return outcome.loan;
     });
+    if (error) {
+      toast.error(error);
+      repository.documents.remove(stored.id).catch(() => {});
+      return;
+    }
+    if (replaced?.documentId) {
+      repository.documents.remove(replaced.documentId).catch(() => {});
+    }
+    toast.success(`${getDocumentLabel(type)} sent for review.`);
+  };
 
-    updateLoans(updatedLoans);
-    toast.success("EMI paid successfully ✅");
+  // Sends a rejected application back to review, once
+  const handleAppeal = async (loanId, message) => {
+    const loan = loans.find((l) => l.id === loanId);
+    const filed = buildAppeal(loan, { message }, user);
+    if (filed.error) {
+      toast.error(filed.error);
+      return false;
+    }
+    const { appeal } = filed;
+    const { error } = await transitionLoan(loanId, "appeal", user, {
+      patch: { appeal },
+      context: { appeal },
+      body: { message },
+    });
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success("Appeal sent. An admin will review your application again.");
+    return true;
   };
 
   const handleLogout = () => {
-    localStorage.removeItem("user");
+    logout();
     navigate("/");
   };
 
@@ -272,16 +359,19 @@ export default function BorrowerDashboard() {
               </p>
             </div>
           </div>
-          <button
-            onClick={handleLogout}
-            className="self-start md:self-auto inline-flex items-center gap-2 rounded-full border border-red-500/60 bg-red-500/10 px-4 py-2 text-xs md:text-sm font-medium text-red-100 hover:bg-red-500/20 hover:border-red-400 transition"
-          >
-            Logout
-          </button>
+          <div className="self-start md:self-auto flex items-center gap-3">
+            <LiveStatus />
+            <button
+              onClick={handleLogout}
+              className="inline-flex items-center gap-2 rounded-full border border-red-500/60 bg-red-500/10 px-4 py-2 text-xs md:text-sm font-medium text-red-100 hover:bg-red-500/20 hover:border-red-400 transition"
+            >
+              Logout
+            </button>
+          </div>
         </header>
 
         {/* Stats */}
-        <section className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <section className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
           <StatCard
             label="Total Borrowed"
             value={`₹${stats.totalBorrowed.toFixed(2)}`}
@@ -297,6 +387,15 @@ export default function BorrowerDashboard() {
             value={`${stats.paidEmiCount} / ${stats.totalEmiCount || 0}`}
             accent="from-sky-400 to-blue-500"
           />
+          <StatCard
+            label="Overdue"
+            value={
+              stats.overdueCount
+                ? `${stats.overdueCount} · ₹${stats.overdueAmount.toFixed(2)}`
+                : "None"
+            }
+            accent="from-red-400 to-rose-500"
+          />
         </section>
 
         {/* Loan Request + Table */}
@@ -317,16 +416,31 @@ export default function BorrowerDashboard() {
           </div>
 
           {showForm && (
-            <LoanForm
-              loanData={loanData}
-              setLoanData={setLoanData}
-              onSubmit={handleRequestLoan}
+            <LoanApplicationWizard
+              user={user}
+              products={products}
+              onSubmit={handleSubmitApplication}
             />
           )}
 
           <LoanTable loans={loans} />
+          <PendingDocuments loans={loans} onUpload={handleDocumentUpload} />
+          <RejectedApplications loans={loans} onAppeal={handleAppeal} />
         </section>
 
+        {/* Overdue and upcoming EMIs */}
+        {(overdueEmis.length > 0 || upcomingEmis.length > 0) && (
+          <section className="mb-6 rounded-3xl border border-slate-800/80 bg-slate-900/70 p-5 md:p-6 shadow-[0_18px_60px_rgba(15,23,42,0.9)] backdrop-blur-xl">
+            <h2 className="text-lg md:text-xl font-semibold text-slate-50 mb-2">
+              Payments Due
+            </h2>
+            <p className="text-[11px] text-slate-500 mb-4">
+              Overdue EMIs and everything due in the next 30 days.
+            </p>
+            <PaymentsDue overdue={overdueEmis} upcoming={upcomingEmis} />
+          </section>
+        )}
+
         {/* Repayment Tracker */}
         {loans.some(
           (loan) =>
@@ -339,9 +453,17 @@ export default function BorrowerDashboard() {
               Repayment Tracker
             </h2>
             <p className="text-[11px] text-slate-500 mb-4">
-              Track your active EMIs and mark payments as completed.
+              Pay any amount: it settles late charges, then interest, then
+              principal on your oldest EMI first, and anything extra goes to the
+              following EMIs.
             </p>
-            <RepaymentTracker loans={loans} onRepayment={handleRepayment} />
+            <RepaymentTracker
+              loans={loans}
+              canRepay={(loan) => !checkTransition(loan, "repay", user)}
+              onPayment={handlePayment}
+              onForeclose={handleForeclose}
+              onHolidayRequest={handleHolidayRequest}
+            />
           </section>
         )}
       </div>
@@ -367,126 +489,6 @@ function StatCard({ label, value, accent }) {
   );
 }
 
-// 🔹 UPDATED: LoanForm now has Aadhar, PAN, Address
-function LoanForm({ loanData, setLoanData, onSubmit }) {
-  return (
-    <form
-      onSubmit={onSubmit}
-      className="mb-5 rounded-2xl border border-slate-800 bg-slate-900/80 p-4 text-sm"
-    >
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-        <div>
-          <label className="block text-[11px] font-medium text-slate-400 mb-1">
-            Loan Amount
-          </label>
-          <input
-            type="number"
-            min="1"
-            placeholder="Enter amount"
-            value={loanData.amount}
-            onChange={(e) =>
-              setLoanData((prev) => ({ ...prev, amount: e.target.value }))
-            }
-            required
-            className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-          />
-        </div>
-        <div>
-          <label className="block text-[11px] font-medium text-slate-400 mb-1">
-            Duration (months)
-          </label>
-          <input
-            type="number"
-            min="1"
-            placeholder="e.g. 12"
-            value={loanData.duration}
-            onChange={(e) =>
-              setLoanData((prev) => ({ ...prev, duration: e.target.value }))
-            }
-            required
-            className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-          />
-        </div>
-        <div>
-          <label className="block text-[11px] font-medium text-slate-400 mb-1">
-            Purpose
-          </label>
-          <input
-            type="text"
-            placeholder="e.g. Education, Business..."
-            value={loanData.purpose}
-            onChange={(e) =>
-              setLoanData((prev) => ({ ...prev, purpose: e.target.value }))
-            }
-            required
-            className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-          />
-        </div>
-      </div>
-
-      {/* NEW ROW: Aadhar + PAN */}
-      <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
-        <div>
-          <label className="block text-[11px] font-medium text-slate-400 mb-1">
-            Aadhar Number
-          </label>
-          <input
-            type="text"
-            placeholder="Enter Aadhar number"
-            value={loanData.aadhar}
-            onChange={(e) =>
-              setLoanData((prev) => ({ ...prev, aadhar: e.target.value }))
-            }
-            required
-            className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-          />
-        </div>
-        <div>
-          <label className="block text-[11px] font-medium text-slate-400 mb-1">
-            PAN Number
-          </label>
-          <input
-            type="text"
-            placeholder="Enter PAN number"
-            value={loanData.pan}
-            onChange={(e) =>
-              setLoanData((prev) => ({ ...prev, pan: e.target.value }))
-            }
-            required
-            className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent uppercase"
-          />
-        </div>
-      </div>
-
-      {/* NEW: Address */}
-      <div className="mt-3">
-        <label className="block text-[11px] font-medium text-slate-400 mb-1">
-          Address
-        </label>
-        <textarea
-          rows={3}
-          placeholder="Enter your full residential address"
-          value={loanData.address}
-          onChange={(e) =>
-            setLoanData((prev) => ({ ...prev, address: e.target.value }))
-          }
-          required
-          className="w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent resize-none"
-        />
-      </div>
-
-      <div className="mt-3 flex justify-end">
-        <button
-          type="submit"
-          className="inline-flex items-center gap-2 rounded-full border border-emerald-500/60 bg-gradient-to-r from-emerald-500 to-teal-500 px-4 py-1.5 text-xs md:text-sm font-semibold text-slate-950 shadow-[0_10px_30px_rgba(16,185,129,0.6)] hover:shadow-[0_16px_40px_rgba(16,185,129,0.75)] transition"
-        >
-          Submit Loan Request
-        </button>
-      </div>
-    </form>
-  );
-}
-
 function LoanTable({ loans }) {
   if (!loans || loans.length === 0) {
     return (
@@ -503,6 +505,7 @@ function LoanTable({ loans }) {
           <tr className="bg-slate-900/80 text-slate-300">
             <th className="p-2.5 text-left">Amount</th>
             <th className="p-2.5 text-left">Duration</th>
+            <th className="p-2.5 text-left">Rate</th>
             <th className="p-2.5 text-left">Purpose</th>
             <th className="p-2.5 text-left">Status</th>
             <th className="p-2.5 text-left">Lender</th>
@@ -520,7 +523,17 @@ function LoanTable({ loans }) {
               <td className="p-2.5 text-slate-200">
                 {loan.duration} months
               </td>
-              <td className="p-2.5 text-slate-300">{loan.purpose}</td>
+              <td className="p-2.5 text-slate-200">
+                {getLoanRate(loan)}% p.a.
+              </td>
+              <td className="p-2.5 text-slate-300">
+                {loan.productName && (
+                  <span className="block text-[11px] text-slate-500">
+                    {loan.productName}
+                  </span>
+                )}
+                {loan.purpose}
+              </td>
               <td className="p-2.5">
                 <span
                   className={`px-2 py-1 rounded-full text-[11px] font-medium text-white ${
@@ -557,7 +570,114 @@ function LoanTable({ loans }) {
   );
 }
 
-function RepaymentTracker({ loans, onRepayment }) {
+// Review status of the documents on pending applications; missing and
+// rejected ones can be uploaded again
+function PendingDocuments({ loans, onUpload }) {
+  const [uploading, setUploading] = useState(null);
+  const pending = loans.filter(
+    (loan) =>
+      loan.status === LOAN_STATUS.PENDING &&
+      (loan.requiredDocuments?.length || loan.documents?.length)
+  );
+  if (pending.length === 0) return null;
+
+  const upload = async (loanId, type, file) => {
+    setUploading(`${loanId}:${type}`);
+    await onUpload(loanId, type, file);
+    setUploading(null);
+  };
+
+  return (
+    <div className="mt-4 space-y-3">
+      <h3 className="text-sm font-semibold text-slate-200">
+        Application documents
+      </h3>
+      {pending.map((loan) => (
+        <div key={loan.id}>
+          <p className="mb-1.5 text-[11px] text-slate-400">
+            {loan.productName || "Loan"} · ₹{loan.amount}
+          </p>
+          <DocumentList
+            loan={loan}
+            renderActions={(type, entry) =>
+              (!entry || entry.status === DOCUMENT_STATUS.REJECTED) && (
+                <DocumentPicker
+                  label={
+                    uploading === `${loan.id}:${type}`
+                      ? "Uploading..."
+                      : entry
+                        ? "Replace"
+                        : "Upload"
+                  }
+                  disabled={uploading !== null}
+                  onSelect={(file) => upload(loan.id, type, file)}
+                />
+              )
+            }
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PaymentsDue({ overdue, upcoming }) {
+  const rows = [
+    ...overdue.map((emi) => ({ ...emi, overdue: true })),
+    ...upcoming,
+  ];
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full border-collapse text-xs md:text-sm">
+        <thead>
+          <tr className="bg-slate-900/70 text-slate-300">
+            <th className="p-2 text-left">Loan</th>
+            <th className="p-2 text-left">EMI</th>
+            <th className="p-2 text-left">Due Date</th>
+            <th className="p-2 text-left">Amount</th>
+            <th className="p-2 text-left">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ loan, index, row, dueDate, overdue: isOverdue }) => (
+            <tr
+              key={`${loan.id}-${index}`}
+              className={`border-t border-slate-800 ${
+                isOverdue ? "bg-red-500/5" : ""
+              }`}
+            >
+              <td className="p-2 text-slate-100">
+                ₹{loan.amount}{" "}
+                <span className="text-[11px] text-slate-500">
+                  {loan.purpose}
+                </span>
+              </td>
+              <td className="p-2 text-slate-300">{row.month}</td>
+              <td className="p-2 text-slate-300 whitespace-nowrap">
+                {formatDate(dueDate)}
+              </td>
+              <td className="p-2 text-slate-100">
+                ₹{getEmiBalance(row).toFixed(2)}
+              </td>
+              <td className="p-2">
+                <EmiStatusBadge loan={loan} index={index} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function RepaymentTracker({
+  loans,
+  canRepay,
+  onPayment,
+  onForeclose,
+  onHolidayRequest,
+}) {
   const repayableLoans = loans.filter(
     (loan) =>
       loan.status === "Approved" ||
@@ -575,55 +695,104 @@ function RepaymentTracker({ loans, onRepayment }) {
           className="mb-5 rounded-2xl border border-slate-800 bg-slate-950/40 p-4"
         >
           <h3 className="text-sm md:text-lg font-semibold mb-2 text-slate-50">
-            Loan ₹{loan.amount} ({loan.duration} months){" "}
+            Loan ₹{loan.amount} ({loan.duration} months @ {getLoanRate(loan)}%){" "}
             <span className="text-[11px] md:text-xs font-normal text-slate-400">
               – {loan.status}
             </span>
+            <HolidayBadge loan={loan} />
           </h3>
           <div className="overflow-x-auto">
             <table className="w-full border-collapse text-xs md:text-sm">
               <thead>
                 <tr className="bg-slate-900/70 text-slate-300">
                   <th className="p-2 text-left">Month</th>
-                  <th className="p-2 text-left">Amount</th>
+                  <th className="p-2 text-left">Due Date</th>
+                  <th className="p-2 text-left">EMI</th>
+                  <th className="p-2 text-left">Principal</th>
+                  <th className="p-2 text-left">Interest</th>
+                  <th className="p-2 text-left">Balance</th>
+                  <th className="p-2 text-left">Late Fee</th>
+                  <th className="p-2 text-left">Penal Interest</th>
                   <th className="p-2 text-left">Status</th>
+                  <th className="p-2 text-left">Paid On</th>
                   <th className="p-2 text-left">Action</th>
                 </tr>
               </thead>
               <tbody>
-                {loan.repayments?.map((emi, index) => (
-                  <tr
-                    key={index}
-                    className="border-t border-slate-800 hover:bg-slate-900/60 transition"
-                  >
-                    <td className="p-2 text-slate-100">{emi.month}</td>
-                    <td className="p-2 text-slate-100">₹{emi.amount}</td>
-                    <td className="p-2">
-                      {emi.paid ? (
-                        <span className="text-emerald-400 font-semibold text-xs">
-                          Paid
-                        </span>
-                      ) : (
-                        <span className="text-amber-400 font-semibold text-xs">
-                          Pending
-                        </span>
-                      )}
-                    </td>
-                    <td className="p-2">
-                      {!emi.paid && loan.status !== "Completed" && (
-                        <button
-                          onClick={() => onRepayment(loan.id, index)}
-                          className="rounded-full bg-sky-500/90 px-3 py-1 text-[11px] font-medium text-slate-950 hover:bg-sky-400 transition"
+                {loan.repayments?.map((emi, index) => {
+                  const penalty = getEmiPenalty(loan, index);
+                  return (
+                    <React.Fragment key={index}>
+                      <PausedMonthRows loan={loan} index={index} colSpan={11} />
+                      <tr className="border-t border-slate-800 hover:bg-slate-900/60 transition">
+                        <td className="p-2 text-slate-100">{emi.month}</td>
+                        <td className="p-2 text-slate-300 whitespace-nowrap">
+                          {formatDate(getDueDate(loan, index)) || "-"}
+                        </td>
+                        <td className="p-2 text-slate-100">
+                          ₹{Number(emi.amount || 0).toFixed(2)}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {emi.principal !== undefined
+                            ? `₹${Number(emi.principal).toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td
+                          className="p-2 text-slate-300"
+                          title={
+                            emi.deferredInterest
+                              ? `Includes ₹${emi.deferredInterest.toFixed(2)} of repayment holiday interest`
+                              : undefined
+                          }
                         >
-                          Pay EMI
-                        </button>
-                      )}
-                    </td>
-                  </tr>
-                )) || (
+                          {emi.interest !== undefined
+                            ? `₹${Number(emi.interest).toFixed(2)}`
+                            : "-"}
+                          {emi.deferredInterest ? "*" : ""}
+                        </td>
+                        <td className="p-2 text-slate-400">
+                          {emi.closingBalance !== undefined
+                            ? `₹${Number(emi.closingBalance).toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {penalty.lateFee
+                            ? `₹${penalty.lateFee.toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {penalty.penalInterest
+                            ? `₹${penalty.penalInterest.toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2">
+                          <EmiStatusBadge loan={loan} index={index} />
+                        </td>
+                        <td className="p-2 text-slate-400 whitespace-nowrap">
+                          {isPartlyPaid(emi)
+                            ? `₹${getEmiReceived(emi).toFixed(2)} part-paid`
+                            : formatDate(emi.paidAt) || "-"}
+                        </td>
+                        <td className="p-2">
+                          {!emi.paid && canRepay(loan) && (
+                            <button
+                              onClick={() =>
+                                onPayment(loan.id, getDueThrough(loan, index))
+                              }
+                              title="Settles this EMI and any older ones still owed"
+                              className="rounded-full bg-sky-500/90 px-3 py-1 text-[11px] font-medium text-slate-950 hover:bg-sky-400 transition whitespace-nowrap"
+                            >
+                              Pay ₹{getDueThrough(loan, index).toFixed(2)}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    </React.Fragment>
+                  );
+                }) || (
                   <tr>
                     <td
-                      colSpan={4}
+                      colSpan={11}
                       className="p-2 text-center text-slate-500 text-sm"
                     >
                       No repayment schedule available.
@@ -633,8 +802,382 @@ function RepaymentTracker({ loans, onRepayment }) {
               </tbody>
             </table>
           </div>
+          <LateChargesSummary loan={loan} />
+          {canRepay(loan) && getTotalDue(loan) > 0 && (
+            <>
+              <PaymentForm loan={loan} onPayment={onPayment} />
+              <ForeclosureQuote loan={loan} onForeclose={onForeclose} />
+            </>
+          )}
+          {canRepay(loan) && (
+            <HolidayRequest loan={loan} onRequest={onHolidayRequest} />
+          )}
+          {loan.foreclosure && (
+            <p className="mt-3 text-[11px] text-indigo-200">
+              Closed early on {formatDate(loan.foreclosure.settledAt)} for ₹
+              {Number(loan.foreclosure.total).toFixed(2)} (₹
+              {Number(loan.foreclosure.interestWaived).toFixed(2)} interest
+              saved).
+            </p>
+          )}
+          <PaymentHistory loan={loan} />
         </div>
       ))}
     </>
   );
 }
+
+// "On holiday until ..." while EMIs are paused
+function HolidayBadge({ loan }) {
+  const active = getActiveMoratorium(loan);
+  if (!active) return null;
+  return (
+    <span className="ml-2 inline-flex items-center rounded-full border border-violet-400/40 bg-violet-500/10 px-2 py-[2px] text-[10px] font-medium text-violet-200">
+      Repayment holiday until{" "}
+      {formatDate(active.pausedDueDates[active.pausedDueDates.length - 1])}
+    </span>
+  );
+}
+
+// Ask for a pause of upcoming EMIs; shows the state of the last request
+// Why applications were rejected; each rejection can be appealed once
+function RejectedApplications({ loans, onAppeal }) {
+  const decided = loans.filter(
+    (loan) =>
+      loan.status === LOAN_STATUS.REJECTED ||
+      (loan.status === LOAN_STATUS.PENDING && loan.appeal)
+  );
+  if (decided.length === 0) return null;
+
+  return (
+    <div className="mt-4 space-y-3">
+      <h3 className="text-sm font-semibold text-slate-200">
+        Rejected applications
+      </h3>
+      {decided.map((loan) => (
+        <div key={loan.id}>
+          <p className="mb-1.5 text-[11px] text-slate-400">
+            {loan.productName || "Loan"} · ₹{loan.amount}
+          </p>
+          <RejectionDetails loan={loan} />
+          {loan.status === LOAN_STATUS.REJECTED && !loan.appeal && (
+            <AppealForm loan={loan} onAppeal={onAppeal} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AppealForm({ loan, onAppeal }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [message, setMessage] = useState("");
+  const [isSending, setIsSending] = useState(false);
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-2 text-[11px] text-sky-300 hover:text-sky-200 underline underline-offset-2"
+      >
+        Disagree? Appeal this decision
+      </button>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    const ok = await onAppeal(loan.id, message);
+    setIsSending(false);
+    if (ok) setIsOpen(false);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-2 space-y-2 rounded-xl border border-sky-500/30 bg-slate-900/60 p-3 text-[11px]"
+    >
+      <label className="block text-slate-400">
+        Why should we look again?
+        <textarea
+          rows={3}
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          required
+          placeholder="e.g. My salary went up last month, new payslip attached to my profile"
+          className="mt-1 block w-full border border-slate-700 rounded-lg bg-slate-950/80 px-3 py-1.5 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+        />
+      </label>
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={isSending}
+          className="rounded-full bg-sky-500/90 px-4 py-1.5 text-[11px] font-semibold text-slate-950 hover:bg-sky-400 disabled:opacity-60 transition"
+        >
+          {isSending ? "Sending..." : "Send appeal"}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="text-slate-400 hover:text-slate-200"
+        >
+          Cancel
+        </button>
+        <span className="text-slate-500">
+          You can appeal once; the next decision is final.
+        </span>
+      </div>
+    </form>
+  );
+}
+
+function HolidayRequest({ loan, onRequest }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [months, setMonths] = useState("1");
+  const [reason, setReason] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const request = loan.moratoriumRequest;
+
+  if (request?.status === "pending") {
+    return (
+      <p className="mt-3 text-[11px] text-amber-200">
+        Repayment holiday of {request.months} EMI(s) requested on{" "}
+        {formatDate(request.requestedAt)} · awaiting admin review
+      </p>
+    );
+  }
+  if (checkMoratorium(loan)) return null;
+
+  const declined =
+    request?.status === "declined" ? (
+      <p className="mt-3 text-[11px] text-red-300">
+        Your holiday request of {formatDate(request.requestedAt)} was declined
+        {request.note ? `: ${request.note}` : "."}
+      </p>
+    ) : null;
+
+  if (!isOpen) {
+    return (
+      <>
+        {declined}
+        <button
+          onClick={() => setIsOpen(true)}
+          className="mt-3 text-[11px] text-violet-300 hover:text-violet-200 underline underline-offset-2"
+        >
+          Struggling to pay? Request a repayment holiday
+        </button>
+      </>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    const ok = await onRequest(loan.id, { months: Number(months), reason });
+    setIsSending(false);
+    if (ok) setIsOpen(false);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-3 flex flex-wrap items-end gap-3 rounded-xl border border-violet-500/30 bg-slate-900/60 p-3 text-[11px]"
+    >
+      <label className="text-slate-400">
+        EMIs to pause
+        <input
+          type="number"
+          min="1"
+          max={MAX_MORATORIUM_MONTHS}
+          step="1"
+          value={months}
+          onChange={(e) => setMonths(e.target.value)}
+          className="mt-1 block w-24 border border-slate-700 rounded-lg bg-slate-950/80 px-3 py-1.5 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent"
+        />
+      </label>
+      <label className="flex-1 min-w-[12rem] text-slate-400">
+        Reason
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          required
+          placeholder="e.g. Lost my job, medical emergency"
+          className="mt-1 block w-full border border-slate-700 rounded-lg bg-slate-950/80 px-3 py-1.5 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent"
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={isSending}
+        className="rounded-full bg-violet-500/90 px-4 py-1.5 text-[11px] font-semibold text-slate-950 hover:bg-violet-400 disabled:opacity-60 transition"
+      >
+        {isSending ? "Sending..." : "Request"}
+      </button>
+      <button
+        type="button"
+        onClick={() => setIsOpen(false)}
+        className="text-slate-400 hover:text-slate-200"
+      >
+        Cancel
+      </button>
+      <span className="w-full text-slate-500">
+        Interest keeps running during the holiday and is added to your remaining
+        EMIs.
+      </span>
+    </form>
+  );
+}
+
+// Free-form amount; defaults to what settles the next unpaid EMI
+function PaymentForm({ loan, onPayment }) {
+  const nextIndex = loan.repayments.findIndex((r) => !r.paid);
+  const suggested = getDueThrough(loan, nextIndex);
+  const [amount, setAmount] = useState("");
+  const [isPaying, setIsPaying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsPaying(true);
+    const ok = await onPayment(loan.id, Number(amount || suggested));
+    setIsPaying(false);
+    if (ok) setAmount("");
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-3 flex flex-wrap items-end gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-3 text-[11px]"
+    >
+      <label className="text-slate-400">
+        Make a payment (₹)
+        <input
+          type="number"
+          min="0.01"
+          step="0.01"
+          max={getTotalDue(loan)}
+          value={amount}
+          placeholder={suggested.toFixed(2)}
+          onChange={(e) => setAmount(e.target.value)}
+          className="mt-1 block w-40 border border-slate-700 rounded-lg bg-slate-950/80 px-3 py-1.5 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={isPaying}
+        className="rounded-full bg-emerald-500/90 px-4 py-1.5 text-[11px] font-semibold text-slate-950 hover:bg-emerald-400 disabled:opacity-60 transition"
+      >
+        {isPaying ? "Paying..." : "Pay"}
+      </button>
+      <span className="text-slate-500">
+        Remaining EMIs and charges: ₹{getTotalDue(loan).toFixed(2)}
+      </span>
+    </form>
+  );
+}
+
+// yyyy-mm-dd in local time, for date inputs
+const toDateInput = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Payoff quote for a chosen date; only today's quote can be accepted
+function ForeclosureQuote({ loan, onForeclose }) {
+  const today = toDateInput(new Date());
+  const [isOpen, setIsOpen] = useState(false);
+  const [date, setDate] = useState(today);
+  const [isClosing, setIsClosing] = useState(false);
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-3 rounded-full border border-indigo-400/50 bg-indigo-500/10 px-3 py-1 text-[11px] font-medium text-indigo-200 hover:bg-indigo-500/20 transition"
+      >
+        Close loan early
+      </button>
+    );
+  }
+
+  // Parsed as local midnight, like the due dates
+  const quote = getForeclosureQuote(loan, new Date(`${date}T00:00:00`));
+  const lines = quote.error
+    ? []
+    : [
+        ["Outstanding principal", quote.principal],
+        ["Interest accrued to date", quote.interest],
+        ["Unpaid late charges", quote.lateCharges],
+        [`Foreclosure charge (${quote.chargePercent}%)`, quote.charge],
+      ];
+
+  const handleAccept = async () => {
+    setIsClosing(true);
+    await onForeclose(loan.id);
+    setIsClosing(false);
+  };
+
+  return (
+    <div className="mt-3 rounded-xl border border-indigo-400/30 bg-slate-900/60 p-3 text-[11px]">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <label className="text-slate-400">
+          Payoff quote for
+          <input
+            type="date"
+            min={today}
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="mt-1 block border border-slate-700 rounded-lg bg-slate-950/80 px-3 py-1.5 text-sm text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+          />
+        </label>
+        <button
+          onClick={() => setIsOpen(false)}
+          className="text-slate-500 hover:text-slate-300"
+        >
+          Hide
+        </button>
+      </div>
+
+      {quote.error ? (
+        <p className="mt-2 text-red-300">{quote.error}</p>
+      ) : (
+        <>
+          <div className="mt-3 grid grid-cols-2 gap-1 text-slate-400">
+            {lines.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <span>{label}</span>
+                <span className="text-right text-slate-200">
+                  ₹{value.toFixed(2)}
+                </span>
+              </React.Fragment>
+            ))}
+            <span className="font-semibold text-slate-100">Total payoff</span>
+            <span className="text-right font-semibold text-emerald-300">
+              ₹{quote.total.toFixed(2)}
+            </span>
+          </div>
+          <p className="mt-2 text-slate-500">
+            Closing on this date saves ₹{quote.interestWaived.toFixed(2)} of
+            scheduled interest.
+          </p>
+          {date === today ? (
+            <button
+              onClick={handleAccept}
+              disabled={isClosing}
+              className="mt-2 rounded-full bg-indigo-500/90 px-4 py-1.5 text-[11px] font-semibold text-slate-950 hover:bg-indigo-400 disabled:opacity-60 transition"
+            >
+              {isClosing
+                ? "Closing..."
+                : `Accept & pay ₹${quote.total.toFixed(2)}`}
+            </button>
+          ) : (
+            <p className="mt-2 text-slate-500">
+              A quote for a later date can be accepted on that day.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,692 @@
+import React, { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import DocumentPicker from "../../components/DocumentPicker";
+import repository from "../../services/repository";
+import {
+  APPLICATION_STEPS,
+  EMPLOYMENT_TYPES,
+  EMPTY_APPLICATION,
+  buildLoanApplication,
+  findProduct,
+  validateStep,
+  withApplicationDefaults,
+} from "../../utils/application";
+import calculateEMI from "../../utils/calculateEMI";
+import { DEFAULT_INTEREST_RATE } from "../../utils/constants";
+import { maskAadhaar, maskPan } from "../../utils/kyc";
+import {
+  describeProduct,
+  getDocumentLabel,
+  getProcessingFee,
+} from "../../utils/products";
+
+// Wait this long after the last change before saving the draft
+const AUTOSAVE_DELAY_MS = 800;
+
+const inputClass =
+  "w-full rounded-lg border border-slate-700 bg-slate-900/80 px-3 py-2 text-xs md:text-sm text-slate-100 placeholder:text-slate-500 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent";
+
+const labelClass = "block text-[11px] font-medium text-slate-400 mb-1";
+
+const formatTime = (iso) =>
+  iso
+    ? new Date(iso).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+
+/**
+ * LoanApplicationWizard
+ * Step-by-step loan application: product, amount and tenure, KYC, income
+ * and employment, documents, then a review. Answers autosave as the
+ * borrower's draft, so closing the wizard or logging out loses nothing and
+ * the application resumes at the step it was left on. KYC saved on the
+ * borrower's profile is reused rather than typed in again.
+ * Props:
+ * - user: the borrower applying
+ * - products: loan products on offer (empty when there is no catalog)
+ * - onSubmit: async (loanFields, kyc) => boolean, true once the loan is
+ *   created; `kyc` is set when the borrower entered new KYC details
+ */
+export default function LoanApplicationWizard({ user, products, onSubmit }) {
+  const [draft, setDraft] = useState(EMPTY_APPLICATION);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [savedKyc, setSavedKyc] = useState(null);
+  // Only changes made here are saved, not the draft as it was loaded
+  const isDirty = useRef(false);
+
+  useEffect(() => {
+    repository.drafts
+      .get(user.id)
+      .then((stored) => {
+        if (stored) {
+          setDraft(withApplicationDefaults(stored));
+          setSavedAt(stored.updatedAt);
+        }
+      })
+      .catch((err) => toast.error(`Failed to load your draft: ${err.message}`))
+      .finally(() => setIsLoaded(true));
+  }, [user.id]);
+
+  useEffect(() => {
+    repository.users
+      .get(user.id)
+      .then((profile) => setSavedKyc(profile?.kyc || null))
+      .catch(() => setSavedKyc(null));
+  }, [user.id]);
+
+  useEffect(() => {
+    if (!isLoaded || !isDirty.current) return undefined;
+    const timer = setTimeout(() => {
+      repository.drafts
+        .save(user.id, draft)
+        .then((saved) => setSavedAt(saved.updatedAt))
+        .catch((err) => toast.error(`Draft not saved: ${err.message}`));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, isLoaded, user.id]);
+
+  const update = (changes) => {
+    isDirty.current = true;
+    setDraft((prev) => ({ ...prev, ...changes }));
+  };
+
+  const handleChange = (e) => update({ [e.target.name]: e.target.value });
+
+  const goTo = (step) => update({ step });
+
+  const context = { products, savedKyc };
+
+  const handleNext = () => {
+    const error = validateStep(draft.step, draft, context);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    goTo(draft.step + 1);
+  };
+
+  const handleSubmit = async () => {
+    const { loan, kyc, error, step } = buildLoanApplication(draft, context);
+    if (error) {
+      toast.error(error);
+      goTo(step);
+      return;
+    }
+    setIsSubmitting(true);
+    const ok = await onSubmit(loan, kyc);
+    setIsSubmitting(false);
+    if (!ok) return;
+    if (kyc) setSavedKyc(kyc);
+    isDirty.current = false;
+    setDraft(EMPTY_APPLICATION);
+    setSavedAt(null);
+    repository.drafts.remove(user.id).catch(() => {});
+  };
+
+  const handleDiscard = async () => {
+    // The uploads only belonged to this draft
+    Object.values(draft.documents).forEach((file) => {
+      if (file?.id) repository.documents.remove(file.id).catch(() => {});
+    });
+    isDirty.current = false;
+    setDraft(EMPTY_APPLICATION);
+    setSavedAt(null);
+    try {
+      await repository.drafts.remove(user.id);
+      toast.success("Draft discarded.");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (!isLoaded) {
+    return (
+      <p className="mb-5 text-center text-[11px] text-slate-500">
+        Loading your application...
+      </p>
+    );
+  }
+
+  const product = findProduct(products, draft.productId);
+  const stepId = APPLICATION_STEPS[draft.step]?.id || "review";
+  const isLastStep = draft.step === APPLICATION_STEPS.length - 1;
+
+  return (
+    <div className="mb-5 rounded-2xl border border-slate-800 bg-slate-900/80 p-4 text-sm">
+      {/* Step indicator; finished steps can be revisited */}
+      <ol className="mb-4 flex flex-wrap gap-2 text-[11px]">
+        {APPLICATION_STEPS.map((step, index) => (
+          <li key={step.id}>
+            <button
+              type="button"
+              onClick={() => index < draft.step && goTo(index)}
+              disabled={index > draft.step}
+              className={`rounded-full border px-3 py-1 transition ${
+                index === draft.step
+                  ? "border-emerald-500/70 bg-emerald-500/15 text-emerald-100"
+                  : index < draft.step
+                    ? "border-slate-700 text-slate-300 hover:bg-slate-800"
+                    : "border-slate-800 text-slate-600"
+              }`}
+            >
+              {index + 1}. {step.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {stepId === "product" && (
+        <ProductStep
+          draft={draft}
+          products={products}
+          product={product}
+          update={update}
+        />
+      )}
+      {stepId === "amount" && (
+        <AmountStep draft={draft} product={product} onChange={handleChange} />
+      )}
+      {stepId === "kyc" && (
+        <KycStep
+          draft={draft}
+          savedKyc={savedKyc}
+          update={update}
+          onChange={handleChange}
+        />
+      )}
+      {stepId === "income" && (
+        <IncomeStep draft={draft} onChange={handleChange} />
+      )}
+      {stepId === "documents" && (
+        <DocumentsStep
+          user={user}
+          draft={draft}
+          product={product}
+          update={update}
+        />
+      )}
+      {stepId === "review" && (
+        <ReviewStep
+          draft={draft}
+          product={product}
+          savedKyc={savedKyc}
+          goTo={goTo}
+        />
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+        <span className="text-[11px] text-slate-500">
+          {savedAt ? `Draft saved at ${formatTime(savedAt)}` : "Not saved yet"}
+          {savedAt && (
+            <button
+              type="button"
+              onClick={handleDiscard}
+              className="ml-3 text-red-300 hover:text-red-200 underline underline-offset-2"
+            >
+              Discard draft
+            </button>
+          )}
+        </span>
+        <div className="flex gap-2">
+          {draft.step > 0 && (
+            <button
+              type="button"
+              onClick={() => goTo(draft.step - 1)}
+              className="rounded-full border border-slate-700 px-4 py-1.5 text-xs md:text-sm text-slate-300 hover:bg-slate-800 transition"
+            >
+              Back
+            </button>
+          )}
+          {isLastStep ? (
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={isSubmitting}
+              className="inline-flex items-center gap-2 rounded-full border border-emerald-500/60 bg-gradient-to-r from-emerald-500 to-teal-500 px-4 py-1.5 text-xs md:text-sm font-semibold text-slate-950 shadow-[0_10px_30px_rgba(16,185,129,0.6)] hover:shadow-[0_16px_40px_rgba(16,185,129,0.75)] disabled:opacity-60 transition"
+            >
+              {isSubmitting ? "Submitting..." : "Submit Application"}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleNext}
+              className="rounded-full bg-emerald-500/90 px-4 py-1.5 text-xs md:text-sm font-semibold text-slate-950 hover:bg-emerald-400 transition"
+            >
+              Next
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Steps ---------- */
+
+function ProductStep({ draft, products, product, update }) {
+  if (products.length === 0) {
+    return (
+      <p className="text-[11px] text-slate-400">
+        No loan products are on offer right now; you can request any amount at
+        our standard rate of {DEFAULT_INTEREST_RATE}% p.a.
+      </p>
+    );
+  }
+
+  // Switching products drops a tenure the new one does not offer
+  const choose = (next) =>
+    update({
+      productId: next.id,
+      duration: next.tenures.includes(Number(draft.duration))
+        ? draft.duration
+        : "",
+    });
+
+  return (
+    <div className="grid gap-2 md:grid-cols-2">
+      {products.map((p) => (
+        <button
+          key={p.id}
+          type="button"
+          onClick={() => choose(p)}
+          className={`rounded-xl border p-3 text-left transition ${
+            product?.id === p.id
+              ? "border-emerald-500/70 bg-emerald-500/10"
+              : "border-slate-800 bg-slate-950/60 hover:border-slate-600"
+          }`}
+        >
+          <p className="text-sm font-medium text-slate-100">{p.name}</p>
+          {p.description && (
+            <p className="text-[11px] text-slate-400">{p.description}</p>
+          )}
+          <p className="mt-1 text-[11px] text-slate-500">
+            {describeProduct(p)}
+          </p>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function AmountStep({ draft, product, onChange }) {
+  const amount = Number(draft.amount);
+  const duration = Number(draft.duration);
+  const rate = product ? product.interestRate : DEFAULT_INTEREST_RATE;
+  const emi =
+    amount > 0 && duration > 0 ? calculateEMI(amount, rate, duration) : 0;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass}>Loan Amount</label>
+          <input
+            type="number"
+            name="amount"
+            min={product?.minAmount ?? 1}
+            max={product?.maxAmount}
+            placeholder={
+              product
+                ? `₹${product.minAmount} - ₹${product.maxAmount}`
+                : "Enter amount"
+            }
+            value={draft.amount}
+            onChange={onChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Duration (months)</label>
+          {product ? (
+            <select
+              name="duration"
+              value={draft.duration}
+              onChange={onChange}
+              className={inputClass}
+            >
+              <option value="">Choose a tenure</option>
+              {product.tenures.map((t) => (
+                <option key={t} value={t}>
+                  {t} months
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="number"
+              name="duration"
+              min="1"
+              placeholder="e.g. 12"
+              value={draft.duration}
+              onChange={onChange}
+              className={inputClass}
+            />
+          )}
+        </div>
+        <div>
+          <label className={labelClass}>Purpose</label>
+          <input
+            type="text"
+            name="purpose"
+            placeholder="e.g. Education, Business..."
+            value={draft.purpose}
+            onChange={onChange}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <p className="text-[11px] text-slate-400">
+        {rate}% p.a.
+        {product &&
+          ` · processing fee ${product.processingFeePercent}%${
+            amount > 0
+              ? ` (₹${getProcessingFee(product, amount).toFixed(2)})`
+              : ""
+          }`}
+        {emi > 0 && ` · EMI about ₹${emi.toFixed(2)}`}
+      </p>
+    </div>
+  );
+}
+
+function KycStep({ draft, savedKyc, update, onChange }) {
+  if (savedKyc && !draft.updateKyc) {
+    return (
+      <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-3 text-[11px] space-y-1">
+        <p className="text-slate-400">Using the KYC saved on your profile:</p>
+        <p className="font-mono text-slate-200">
+          Aadhaar {maskAadhaar(savedKyc.aadhar)} · PAN {maskPan(savedKyc.pan)}
+        </p>
+        <p className="text-slate-300 whitespace-pre-line">{savedKyc.address}</p>
+        <button
+          type="button"
+          onClick={() => update({ updateKyc: true })}
+          className="text-sky-300 hover:text-sky-200 underline underline-offset-2"
+        >
+          My details have changed
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {savedKyc && (
+        <p className="text-[11px] text-slate-400">
+          These details replace the KYC on your profile.{" "}
+          <button
+            type="button"
+            onClick={() => update({ updateKyc: false })}
+            className="text-sky-300 hover:text-sky-200 underline underline-offset-2"
+          >
+            Keep the saved ones
+          </button>
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Aadhaar Number</label>
+          <input
+            type="text"
+            name="aadhar"
+            inputMode="numeric"
+            autoComplete="off"
+            placeholder="12 digits, e.g. 2345 6789 0124"
+            value={draft.aadhar}
+            onChange={onChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>PAN Number</label>
+          <input
+            type="text"
+            name="pan"
+            autoComplete="off"
+            maxLength={10}
+            placeholder="e.g. ABCPE1234F"
+            value={draft.pan}
+            onChange={onChange}
+            className={`${inputClass} uppercase`}
+          />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>Address</label>
+        <textarea
+          rows={3}
+          name="address"
+          placeholder="Enter your full residential address"
+          value={draft.address}
+          onChange={onChange}
+          className={`${inputClass} resize-none`}
+        />
+      </div>
+    </div>
+  );
+}
+
+function IncomeStep({ draft, onChange }) {
+  const needsEmployer = ["salaried", "selfEmployed", "business"].includes(
+    draft.employmentType
+  );
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <div>
+        <label className={labelClass}>Employment</label>
+        <select
+          name="employmentType"
+          value={draft.employmentType}
+          onChange={onChange}
+          className={inputClass}
+        >
+          <option value="">Choose one</option>
+          {EMPLOYMENT_TYPES.map((type) => (
+            <option key={type.id} value={type.id}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {needsEmployer && (
+        <div>
+          <label className={labelClass}>
+            {draft.employmentType === "salaried"
+              ? "Employer"
+              : "Business / practice name"}
+          </label>
+          <input
+            type="text"
+            name="employerName"
+            value={draft.employerName}
+            onChange={onChange}
+            className={inputClass}
+          />
+        </div>
+      )}
+      <div>
+        <label className={labelClass}>Monthly income (₹)</label>
+        <input
+          type="number"
+          name="monthlyIncome"
+          min="0"
+          value={draft.monthlyIncome}
+          onChange={onChange}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>Existing EMIs per month (₹)</label>
+        <input
+          type="number"
+          name="monthlyObligations"
+          min="0"
+          placeholder="0"
+          value={draft.monthlyObligations}
+          onChange={onChange}
+          className={inputClass}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Files go to the document vault as soon as they are picked; the draft
+// keeps a reference to each upload
+function DocumentsStep({ user, draft, product, update }) {
+  const [uploadingType, setUploadingType] = useState(null);
+  const required = product?.requiredDocuments || [];
+  if (required.length === 0) {
+    return (
+      <p className="text-[11px] text-slate-400">
+        No documents are needed for this loan.
+      </p>
+    );
+  }
+
+  const attach = async (type, file) => {
+    setUploadingType(type);
+    try {
+      const stored = await repository.documents.upload(file, {
+        borrowerId: user.id,
+        type,
+      });
+      const previous = draft.documents[type];
+      update({
+        documents: {
+          ...draft.documents,
+          [type]: {
+            id: stored.id,
+            fileName: stored.fileName,
+            size: stored.size,
+            mimeType: stored.mimeType,
+            uploadedAt: stored.uploadedAt,
+          },
+        },
+      });
+      // The replaced upload is not referenced anywhere else
+      if (previous?.id) {
+        repository.documents.remove(previous.id).catch(() => {});
+      }
+    } catch (err) {
+      toast.error(`Upload failed: ${err.message}`);
+    } finally {
+      setUploadingType(null);
+    }
+  };
+
+  return (
+    <ul className="space-y-2">
+      {required.map((type) => {
+        // Drafts from before the vault only kept the file name
+        const file = draft.documents[type]?.id ? draft.documents[type] : null;
+        return (
+          <li
+            key={type}
+            className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-slate-800 bg-slate-950/60 p-3 text-[11px]"
+          >
+            <span className="text-slate-200">{getDocumentLabel(type)}</span>
+            <span className="flex items-center gap-2">
+              {file && (
+                <span className="text-emerald-300">{file.fileName}</span>
+              )}
+              <DocumentPicker
+                label={
+                  uploadingType === type
+                    ? "Uploading..."
+                    : file
+                      ? "Replace"
+                      : "Choose file"
+                }
+                disabled={uploadingType !== null}
+                onSelect={(picked) => attach(type, picked)}
+              />
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function ReviewStep({ draft, product, savedKyc, goTo }) {
+  const kyc = savedKyc && !draft.updateKyc ? savedKyc : draft;
+  const employment = EMPLOYMENT_TYPES.find(
+    (t) => t.id === draft.employmentType
+  );
+  const sections = [
+    {
+      step: 0,
+      title: "Product",
+      lines: [product ? product.name : "Standard loan"],
+    },
+    {
+      step: 1,
+      title: "Amount & Tenure",
+      lines: [`₹${draft.amount} over ${draft.duration} months`, draft.purpose],
+    },
+    {
+      step: 2,
+      title: "KYC",
+      lines: [
+        `Aadhaar ${maskAadhaar(kyc.aadhar)}`,
+        `PAN ${maskPan(kyc.pan)}`,
+        kyc.address,
+      ],
+    },
+    {
+      step: 3,
+      title: "Income & Employment",
+      lines: [
+        [employment?.label, draft.employerName].filter(Boolean).join(" · "),
+        `₹${draft.monthlyIncome} a month, ₹${
+          draft.monthlyObligations || 0
+        } in existing EMIs`,
+      ],
+    },
+    {
+      step: 4,
+      title: "Documents",
+      lines: Object.entries(draft.documents)
+        .filter(([, file]) => file?.id)
+        .map(([type, file]) => `${getDocumentLabel(type)}: ${file.fileName}`),
+    },
+  ];
+
+  return (
+    <div className="grid gap-2 md:grid-cols-2">
+      {sections.map((section) => (
+        <div
+          key={section.title}
+          className="rounded-xl border border-slate-800 bg-slate-950/60 p-3 text-[11px]"
+        >
+          <div className="mb-1 flex items-center justify-between">
+            <p className="uppercase tracking-[0.14em] text-slate-400">
+              {section.title}
+            </p>
+            <button
+              type="button"
+              onClick={() => goTo(section.step)}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              Edit
+            </button>
+          </div>
+          {section.lines.length === 0 ? (
+            <p className="text-slate-500">None</p>
+          ) : (
+            section.lines.map((line, i) => (
+              <p key={i} className="text-slate-200 whitespace-pre-line">
+                {line}
+              </p>
+            ))
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,69 +1,43 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useMemo, useState } from "react";
 import toast from "react-hot-toast";
 import { useNavigate } from "react-router-dom";
-
-function safeParseJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return fallback;
-    const data = JSON.parse(raw);
-    return Array.isArray(fallback) && !Array.isArray(data) ? fallback : data;
-  } catch (err) {
-    console.error(`Failed to parse ${key} from localStorage`, err);
-    return fallback;
-  }
-}
+import EmiStatusBadge from "../../components/EmiStatusBadge";
+import LateChargesSummary from "../../components/LateChargesSummary";
+import LiveStatus from "../../components/LiveStatus";
+import PausedMonthRows from "../../components/PausedMonthRows";
+import PaymentHistory from "../../components/PaymentHistory";
+import useAuth from "../../hooks/useAuth";
+import useLoans from "../../hooks/useLoans";
+import repository from "../../services/repository";
+import {
+  ensureSchedule,
+  getLoanRate,
+  getExpectedTotal,
+  getPaidTotal,
+} from "../../utils/amortization";
+import calculateEMI from "../../utils/calculateEMI";
+import { getDelinquency, getDueDate, withDueDates } from "../../utils/dueDates";
+import formatDate from "../../utils/formatDate";
+import { answerOffer, isOfferedTo } from "../../utils/lenderOffers";
+import { checkTransition } from "../../utils/loanLifecycle";
+import { describeMoratorium } from "../../utils/moratorium";
+import { getEmiReceived, isPartlyPaid } from "../../utils/payments";
+import { getEmiPenalty } from "../../utils/penalties";
 
 export default function LenderDashboard() {
   const navigate = useNavigate();
-  const [user, setUser] = useState(null);
-  const [assignedLoans, setAssignedLoans] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // -------- Initial load --------
-  useEffect(() => {
-    const loggedInUser = (() => {
-      try {
-        return JSON.parse(localStorage.getItem("user"));
-      } catch {
-        return null;
-      }
-    })();
-
-    if (!loggedInUser) {
-      navigate("/");
-      return;
-    }
-
-    setUser(loggedInUser);
-
-    const allLoans = safeParseJSON("loans", []);
-    const myLoans = allLoans.filter(
-      (loan) => loan.lenderId === loggedInUser.id
-    );
-    setAssignedLoans(myLoans);
-    setIsLoading(false);
-  }, [navigate]);
-
-  // -------- Sync updates back to localStorage --------
-  const updateLoans = (updatedLoans) => {
-    setAssignedLoans(updatedLoans);
-
-    const allLoans = safeParseJSON("loans", []);
-    const merged = allLoans.map((loan) =>
-      loan.lenderId === user?.id
-        ? updatedLoans.find((l) => l.id === loan.id) || loan
-        : loan
-    );
+  const { user, logout } = useAuth();
+  const { loans, isLoading, loansByLender, transitionLoan } = useLoans();
 
-    // include any newly added loans that didn't exist globally yet (safety)
-    const newOnes = updatedLoans.filter(
-      (l) => !merged.some((loan) => loan.id === l.id)
-    );
-
-    const finalList = [...merged, ...newOnes];
-    localStorage.setItem("loans", JSON.stringify(finalList));
-  };
+  const assignedLoans = useMemo(
+    () => (user ? loansByLender(user.id) : []),
+    [user, loansByLender]
+  );
+  // Loans an admin offered to this lender, waiting for an answer
+  const offeredLoans = useMemo(
+    () => (user ? loans.filter((loan) => isOfferedTo(loan, user.id)) : []),
+    [user, loans]
+  );
 
   // -------- Derived stats (for header cards) --------
   const stats = useMemo(() => {
@@ -83,26 +57,36 @@ export default function LenderDashboard() {
       )
       .reduce((sum, l) => sum + Number(l.amount || 0), 0);
 
-    const totalExpected = assignedLoans.reduce((sum, l) => {
-      if (!l.repayments) return sum;
-      return (
-        sum +
-        l.repayments.reduce((s, r) => s + Number(r.amount || 0), 0)
-      );
-    }, 0);
-
-    const totalReceived = assignedLoans.reduce((sum, l) => {
-      if (!l.repayments) return sum;
-      return (
-        sum +
-        l.repayments
-          .filter((r) => r.paid)
-          .reduce((s, r) => s + Number(r.amount || 0), 0)
-      );
-    }, 0);
+    // Expected = principal + interest over every amortization schedule, or
+    // what a loan closed early was actually settled for
+    const totalExpected = assignedLoans.reduce(
+      (sum, l) => sum + getExpectedTotal(l),
+      0
+    );
+
+    const totalReceived = assignedLoans.reduce(
+      (sum, l) => sum + getPaidTotal(l),
+      0
+    );
 
     const pendingCollection = Math.max(totalExpected - totalReceived, 0);
 
+    // Early closures: settled amounts, charges earned and interest forgone
+    const foreclosed = assignedLoans.filter((l) => l.foreclosure);
+    const foreclosureCharges = foreclosed.reduce(
+      (sum, l) => sum + Number(l.foreclosure.charge || 0),
+      0
+    );
+    const interestForgone = foreclosed.reduce(
+      (sum, l) => sum + Number(l.foreclosure.interestWaived || 0),
+      0
+    );
+
+    const overdueAmount = assignedLoans.reduce(
+      (sum, l) => sum + getDelinquency(l).overdueAmount,
+      0
+    );
+
     return {
       totalAssigned,
       totalPrincipal,
@@ -110,30 +94,74 @@ export default function LenderDashboard() {
       totalExpected,
       totalReceived,
       pendingCollection,
+      overdueAmount,
+      foreclosedCount: foreclosed.length,
+      foreclosureCharges,
+      interestForgone,
     };
   }, [assignedLoans]);
 
   // -------- Handlers --------
-  const handleDisburse = (loanId) => {
-    const updated = assignedLoans.map((loan) => {
-      if (loan.id !== loanId) return loan;
-
-      // Only change if not already disbursed
-      if (loan.status === "Funds Disbursed") return loan;
-
-      return {
-        ...loan,
-        status: "Funds Disbursed",
-        disbursedAt: new Date().toISOString(),
-      };
+  const handleDisburse = async (loanId) => {
+    let settings;
+    try {
+      settings = await repository.settings.get();
+    } catch (err) {
+      toast.error(`Could not load lending settings: ${err.message}`);
+      return;
+    }
+
+    const { error } = await transitionLoan(loanId, "disburse", user, {
+      patch: (loan) => {
+        // EMI due dates count from the disbursement date; the late-payment
+        // and foreclosure terms in force now stay with the loan
+        const scheduled = withDueDates({
+          ...ensureSchedule(loan),
+          disbursedAt: new Date().toISOString(),
+        });
+        return {
+          interestRate: scheduled.interestRate,
+          repayments: scheduled.repayments,
+          disbursedAt: scheduled.disbursedAt,
+          penaltyPolicy: settings.penalties,
+          foreclosurePolicy: settings.foreclosure,
+        };
+      },
     });
+    if (error) {
+      toast.error(error);
+      return;
+    }
 
-    updateLoans(updated);
     toast.success("Funds marked as disbursed!");
   };
 
+  // Accepting makes the loan this lender's; declining hands it back to
+  // the admins
+  const handleOfferAnswer = async (loanId, accepted, note = "") => {
+    const { error } = await transitionLoan(
+      loanId,
+      accepted ? "acceptOffer" : "declineOffer",
+      user,
+      {
+        patch: (loan) => answerOffer(loan, accepted, user, note),
+        body: { note },
+      }
+    );
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    toast.success(
+      accepted
+        ? "Offer accepted. The loan is ready to disburse."
+        : "Offer declined."
+    );
+    return true;
+  };
+
   const handleLogout = () => {
-    localStorage.removeItem("user");
+    logout();
     navigate("/");
   };
 
@@ -183,16 +211,19 @@ export default function LenderDashboard() {
               </p>
             </div>
           </div>
-          <button
-            onClick={handleLogout}
-            className="self-start md:self-auto inline-flex items-center gap-2 rounded-full border border-red-500/60 bg-red-500/10 px-4 py-2 text-xs md:text-sm font-medium text-red-100 hover:bg-red-500/20 hover:border-red-400 transition"
-          >
-            Logout
-          </button>
+          <div className="self-start md:self-auto flex items-center gap-3">
+            <LiveStatus />
+            <button
+              onClick={handleLogout}
+              className="inline-flex items-center gap-2 rounded-full border border-red-500/60 bg-red-500/10 px-4 py-2 text-xs md:text-sm font-medium text-red-100 hover:bg-red-500/20 hover:border-red-400 transition"
+            >
+              Logout
+            </button>
+          </div>
         </header>
 
         {/* Stats */}
-        <section className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <section className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
           <StatCard
             label="Assigned Loans"
             value={stats.totalAssigned.toString()}
@@ -207,14 +238,29 @@ export default function LenderDashboard() {
             label="EMI Received"
             value={`₹${stats.totalReceived.toFixed(2)}`}
             accent="from-emerald-400 to-emerald-500"
+            hint={
+              stats.foreclosedCount > 0
+                ? `${stats.foreclosedCount} closed early · +₹${stats.foreclosureCharges.toFixed(2)} charges · ₹${stats.interestForgone.toFixed(2)} interest forgone`
+                : null
+            }
           />
           <StatCard
             label="Pending Collection"
             value={`₹${stats.pendingCollection.toFixed(2)}`}
             accent="from-amber-400 to-orange-500"
           />
+          <StatCard
+            label="Overdue"
+            value={`₹${stats.overdueAmount.toFixed(2)}`}
+            accent="from-red-400 to-rose-500"
+          />
         </section>
 
+        {/* Offers waiting for an answer */}
+        {offeredLoans.length > 0 && (
+          <LoanOffers loans={offeredLoans} onAnswer={handleOfferAnswer} />
+        )}
+
         {/* Assigned Loans */}
         <section className="rounded-3xl border border-slate-800/80 bg-slate-900/70 p-5 md:p-6 shadow-[0_18px_60px_rgba(15,23,42,0.9)] backdrop-blur-xl">
           <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
@@ -226,7 +272,11 @@ export default function LenderDashboard() {
             </p>
           </div>
 
-          <AssignedLoanTable loans={assignedLoans} onDisburse={handleDisburse} />
+          <AssignedLoanTable
+            loans={assignedLoans}
+            canDisburse={(loan) => !checkTransition(loan, "disburse", user)}
+            onDisburse={handleDisburse}
+          />
         </section>
 
         {/* Repayments */}
@@ -250,7 +300,7 @@ export default function LenderDashboard() {
 
 /* ---------- Small Components (styled to match Borrower/Login) ---------- */
 
-function StatCard({ label, value, accent }) {
+function StatCard({ label, value, accent, hint }) {
   return (
     <div className="relative overflow-hidden rounded-2xl border border-slate-800 bg-slate-900/70 p-4 shadow-[0_14px_40px_rgba(15,23,42,0.85)] backdrop-blur-xl">
       <div
@@ -262,11 +312,118 @@ function StatCard({ label, value, accent }) {
       <p className="mt-2 text-xl md:text-2xl font-semibold text-slate-50 break-all">
         {value}
       </p>
+      {hint && <p className="mt-1 text-[10px] text-slate-500">{hint}</p>}
     </div>
   );
 }
 
-function AssignedLoanTable({ loans, onDisburse }) {
+// Each offer shows the terms and the deadline; declining takes an
+// optional reason the admins see
+function LoanOffers({ loans, onAnswer }) {
+  const [decliningId, setDecliningId] = useState(null);
+  const [note, setNote] = useState("");
+  const [savingId, setSavingId] = useState(null);
+
+  const answer = async (loanId, accepted) => {
+    setSavingId(loanId);
+    const ok = await onAnswer(loanId, accepted, note);
+    setSavingId(null);
+    if (ok) {
+      setDecliningId(null);
+      setNote("");
+    }
+  };
+
+  return (
+    <section className="mb-6 rounded-3xl border border-sky-500/40 bg-slate-900/70 p-5 md:p-6 shadow-[0_18px_60px_rgba(15,23,42,0.9)] backdrop-blur-xl">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <h2 className="text-lg md:text-xl font-semibold text-slate-50">
+          Loan Offers
+        </h2>
+        <p className="text-[11px] text-slate-500">
+          Accept to fund a loan. Offers you do not answer in time go back to the
+          admins.
+        </p>
+      </div>
+      <ul className="space-y-3">
+        {loans.map((loan) => {
+          const offer = loan.offers[loan.offers.length - 1];
+          const rate = getLoanRate(loan);
+          const isSaving = savingId === loan.id;
+          return (
+            <li
+              key={loan.id}
+              className="rounded-2xl border border-slate-800 bg-slate-950/60 p-3 text-[11px] space-y-2"
+            >
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <p className="text-sm text-slate-100 font-medium">
+                    {loan.borrowerName} · ₹{loan.amount}
+                  </p>
+                  <p className="text-slate-400">
+                    {loan.duration} months at {rate}% p.a. · EMI ₹
+                    {calculateEMI(loan.amount, rate, loan.duration).toFixed(2)}
+                    {loan.purpose && ` · ${loan.purpose}`}
+                  </p>
+                  <p className="text-slate-500">
+                    Offered by {offer.byName} on {formatDate(offer.at)} · answer
+                    by {new Date(offer.expiresAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    disabled={isSaving}
+                    onClick={() => answer(loan.id, true)}
+                    className="rounded-full bg-emerald-500/90 px-3 py-1 font-medium text-slate-950 hover:bg-emerald-400 disabled:opacity-50 transition"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    type="button"
+                    disabled={isSaving}
+                    onClick={() => {
+                      setDecliningId(decliningId === loan.id ? null : loan.id);
+                      setNote("");
+                    }}
+                    className="rounded-full bg-red-500/90 px-3 py-1 font-medium text-slate-950 hover:bg-red-400 disabled:opacity-50 transition"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </div>
+              {decliningId === loan.id && (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    answer(loan.id, false);
+                  }}
+                  className="flex flex-wrap items-center gap-2"
+                >
+                  <input
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Reason (optional, the admins see this)"
+                    className="flex-1 min-w-[12rem] border border-slate-700 rounded-lg bg-slate-900/80 px-2 py-1.5 text-[11px] text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+                  />
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="rounded-full bg-red-500/90 px-3 py-1 font-medium text-slate-950 hover:bg-red-400 disabled:opacity-50 transition"
+                  >
+                    Decline offer
+                  </button>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+function AssignedLoanTable({ loans, canDisburse, onDisburse }) {
   if (!loans || loans.length === 0) {
     return (
       <p className="text-slate-500 text-center text-sm">
@@ -298,6 +455,7 @@ function AssignedLoanTable({ loans, onDisburse }) {
             <th className="p-2.5 text-left">Borrower</th>
             <th className="p-2.5 text-left">Amount</th>
             <th className="p-2.5 text-left">Duration</th>
+            <th className="p-2.5 text-left">Rate</th>
             <th className="p-2.5 text-left">Purpose</th>
             <th className="p-2.5 text-left">Status</th>
             <th className="p-2.5 text-left">Repayment</th>
@@ -319,6 +477,9 @@ function AssignedLoanTable({ loans, onDisburse }) {
               <td className="p-2.5 text-slate-200">
                 {loan.duration} months
               </td>
+              <td className="p-2.5 text-slate-200">
+                {getLoanRate(loan)}% p.a.
+              </td>
               <td className="p-2.5 text-slate-300">{loan.purpose}</td>
               <td className="p-2.5">
                 <span
@@ -339,16 +500,14 @@ function AssignedLoanTable({ loans, onDisburse }) {
               </td>
               <td className="p-2.5">{getRepaymentSummary(loan)}</td>
               <td className="p-2.5">
-                {loan.status !== "Funds Disbursed" &&
-                  loan.status !== "Completed" &&
-                  loan.status !== "Rejected" && (
-                    <button
-                      onClick={() => onDisburse(loan.id)}
-                      className="rounded-full bg-sky-500/90 px-3 py-1 text-[11px] md:text-xs font-medium text-slate-950 hover:bg-sky-400 transition"
-                    >
-                      Mark Disbursed
-                    </button>
-                  )}
+                {canDisburse(loan) && (
+                  <button
+                    onClick={() => onDisburse(loan.id)}
+                    className="rounded-full bg-sky-500/90 px-3 py-1 text-[11px] md:text-xs font-medium text-slate-950 hover:bg-sky-400 transition"
+                  >
+                    Mark Disbursed
+                  </button>
+                )}
               </td>
             </tr>
           ))}
@@ -358,6 +517,18 @@ function AssignedLoanTable({ loans, onDisburse }) {
   );
 }
 
+// Overdue summary shown next to a loan's heading
+function DelinquencyNote({ loan }) {
+  const { overdueCount, overdueAmount, daysPastDue } = getDelinquency(loan);
+  if (!overdueCount) return null;
+  return (
+    <span className="ml-2 inline-flex items-center rounded-full border border-red-400/40 bg-red-500/10 px-2 py-[2px] text-[10px] font-medium text-red-200">
+      {overdueCount} overdue · ₹{overdueAmount.toFixed(2)} · {daysPastDue}{" "}
+      days past due
+    </span>
+  );
+}
+
 function RepaymentOverview({ loans }) {
   const loansWithRepayments = loans.filter(
     (loan) => loan.repayments && loan.repayments.length > 0
@@ -381,42 +552,90 @@ function RepaymentOverview({ loans }) {
           <h3 className="text-sm md:text-lg font-semibold mb-2 text-slate-50">
             {loan.borrowerName} — ₹{loan.amount}{" "}
             <span className="text-[11px] md:text-xs font-normal text-slate-400">
-              ({loan.duration} months · {loan.status})
+              ({loan.duration} months @ {getLoanRate(loan)}% · {loan.status})
             </span>
+            <DelinquencyNote loan={loan} />
+            {loan.foreclosure && (
+              <span className="ml-2 inline-flex items-center rounded-full border border-indigo-400/40 bg-indigo-500/10 px-2 py-[2px] text-[10px] font-medium text-indigo-200">
+                Closed early on {formatDate(loan.foreclosure.settledAt)} · ₹
+                {Number(loan.foreclosure.total).toFixed(2)}
+              </span>
+            )}
+            {loan.moratoria?.map((moratorium) => (
+              <span
+                key={moratorium.id}
+                className="ml-2 inline-flex items-center rounded-full border border-violet-400/40 bg-violet-500/10 px-2 py-[2px] text-[10px] font-medium text-violet-200"
+              >
+                {describeMoratorium(moratorium)}
+              </span>
+            ))}
           </h3>
           <div className="overflow-x-auto">
             <table className="w-full border-collapse text-xs md:text-sm">
               <thead>
                 <tr className="bg-slate-900/70 text-slate-300">
                   <th className="p-2 text-left">Month</th>
-                  <th className="p-2 text-left">Amount</th>
+                  <th className="p-2 text-left">Due Date</th>
+                  <th className="p-2 text-left">EMI</th>
+                  <th className="p-2 text-left">Principal</th>
+                  <th className="p-2 text-left">Interest</th>
+                  <th className="p-2 text-left">Late Fee</th>
+                  <th className="p-2 text-left">Penal Interest</th>
                   <th className="p-2 text-left">Status</th>
+                  <th className="p-2 text-left">Paid On</th>
                 </tr>
               </thead>
               <tbody>
-                {loan.repayments.map((emi, index) => (
-                  <tr
-                    key={index}
-                    className="border-t border-slate-800 hover:bg-slate-900/60 transition"
-                  >
-                    <td className="p-2 text-slate-100">{emi.month}</td>
-                    <td className="p-2 text-slate-100">₹{emi.amount}</td>
-                    <td className="p-2">
-                      {emi.paid ? (
-                        <span className="text-emerald-400 font-semibold text-xs">
-                          Paid
-                        </span>
-                      ) : (
-                        <span className="text-amber-400 font-semibold text-xs">
-                          Pending
-                        </span>
-                      )}
-                    </td>
-                  </tr>
-                ))}
+                {loan.repayments.map((emi, index) => {
+                  const penalty = getEmiPenalty(loan, index);
+                  return (
+                    <React.Fragment key={index}>
+                      <PausedMonthRows loan={loan} index={index} colSpan={9} />
+                      <tr className="border-t border-slate-800 hover:bg-slate-900/60 transition">
+                        <td className="p-2 text-slate-100">{emi.month}</td>
+                        <td className="p-2 text-slate-300 whitespace-nowrap">
+                          {formatDate(getDueDate(loan, index)) || "-"}
+                        </td>
+                        <td className="p-2 text-slate-100">
+                          ₹{Number(emi.amount || 0).toFixed(2)}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {emi.principal !== undefined
+                            ? `₹${Number(emi.principal).toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {emi.interest !== undefined
+                            ? `₹${Number(emi.interest).toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {penalty.lateFee
+                            ? `₹${penalty.lateFee.toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2 text-slate-300">
+                          {penalty.penalInterest
+                            ? `₹${penalty.penalInterest.toFixed(2)}`
+                            : "-"}
+                        </td>
+                        <td className="p-2">
+                          <EmiStatusBadge loan={loan} index={index} />
+                        </td>
+                        <td className="p-2 text-slate-400 whitespace-nowrap">
+                          {isPartlyPaid(emi)
+                            ? `₹${getEmiReceived(emi).toFixed(2)} part-paid`
+                            : formatDate(emi.paidAt) || "-"}
+                        </td>
+                      </tr>
+                    </React.Fragment>
+                  );
+                })}
               </tbody>
             </table>
           </div>
+          <LateChargesSummary loan={loan} />
+          <PaymentHistory loan={loan} />
         </div>
       ))}
     </>
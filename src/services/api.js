@@ -1,7 +1,38 @@
 import axios from "axios";
+import { SESSION_STORAGE_KEY } from "../utils/session";
+import { safeParseJSON } from "../utils/storage";
+
+// Fired when the server rejects the session token; AuthProvider logs out
+export const UNAUTHORIZED_EVENT = "auth:unauthorized";
+
+export const API_URL =
+  import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000/api",
+  baseURL: API_URL,
 });
 
+api.interceptors.request.use((config) => {
+  const session = safeParseJSON(SESSION_STORAGE_KEY, null);
+  if (session?.token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+api.interceptors.response.use(
+  (res) => res,
+  (err) => {
+    const isLogin = err.config?.url === "/auth/login";
+    if (err.response?.status === 401 && !isLogin) {
+      window.dispatchEvent(
+        new CustomEvent(UNAUTHORIZED_EVENT, {
+          detail: err.response.data?.message,
+        })
+      );
+    }
+    return Promise.reject(err);
+  }
+);
+
 export default api;
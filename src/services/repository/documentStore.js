@@ -0,0 +1,44 @@
+const DB_NAME = "loansys-documents";
+const STORE = "documents";
+
+/**
+ * Minimal promise wrapper around the IndexedDB object store that holds
+ * uploaded documents for the localStorage adapter; files are too large
+ * for localStorage. Records are keyed by `id`.
+ */
+let opening = null;
+
+function openDatabase() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE, { keyPath: "id" });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        opening = null;
+        reject(request.error);
+      };
+    });
+  }
+  return opening;
+}
+
+async function run(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Storage failed."));
+  });
+}
+
+const documentStore = {
+  get: (id) => run("readonly", (store) => store.get(id)),
+  put: (record) => run("readwrite", (store) => store.put(record)),
+  remove: (id) => run("readwrite", (store) => store.delete(id)),
+};
+
+export default documentStore;
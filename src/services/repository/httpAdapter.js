@@ -0,0 +1,93 @@
+import api from "../api";
+
+/**
+ * REST adapter built on the shared axios instance (services/api.js).
+ * Mirrors the localStorage adapter's interface; server error messages are
+ * rethrown as plain Errors so the UI can show them the same way.
+ */
+async function unwrap(request) {
+  try {
+    const res = await request;
+    return res.data;
+  } catch (err) {
+    throw new Error(
+      err.response?.data?.message || err.message || "Request failed."
+    );
+  }
+}
+
+// Explicit token for calls made while the stored session is being replaced
+const withToken = (session) => ({
+  headers: { Authorization: `Bearer ${session.token}` },
+});
+
+// The file's contents without the "data:...;base64," prefix
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(new Error("Could not read the file."));
+    reader.readAsDataURL(file);
+  });
+}
+
+function resource(path) {
+  return {
+    list: () => unwrap(api.get(path)),
+    get: (id) => unwrap(api.get(`${path}/${id}`)),
+    create: (item) => unwrap(api.post(path, item)),
+    update: (id, changes) => unwrap(api.patch(`${path}/${id}`, changes)),
+    remove: (id) => unwrap(api.delete(`${path}/${id}`)),
+  };
+}
+
+const httpAdapter = {
+  name: "api",
+  users: resource("/users"),
+  loans: {
+    ...resource("/loans"),
+    // Loan actions the server works out itself, e.g. "repayments"
+    act: (id, path, body) => unwrap(api.post(`/loans/${id}/${path}`, body)),
+  },
+  invites: resource("/invites"),
+  products: resource("/products"),
+  // The server only ever hands out the caller's own draft
+  drafts: {
+    get: () => unwrap(api.get("/application-draft")),
+    save: (_borrowerId, draft) => unwrap(api.put("/application-draft", draft)),
+    remove: () => unwrap(api.delete("/application-draft")),
+  },
+  documents: {
+    upload: async (file, { type }) =>
+      unwrap(
+        api.post("/documents", {
+          type,
+          fileName: file.name,
+          mimeType: file.type,
+          content: await readAsBase64(file),
+        })
+      ),
+    get: (id) => unwrap(api.get(`/documents/${id}`)),
+    download: (id) =>
+      unwrap(api.get(`/documents/${id}/file`, { responseType: "blob" })),
+    remove: (id) => unwrap(api.delete(`/documents/${id}`)),
+  },
+  settings: {
+    get: () => unwrap(api.get("/settings")),
+    update: (changes) => unwrap(api.patch("/settings", changes)),
+  },
+  auth: {
+    login: (email, password) =>
+      unwrap(api.post("/auth/login", { email, password })),
+    register: (data) => unwrap(api.post("/auth/register", data)),
+    refresh: (session) =>
+      unwrap(api.post("/auth/refresh", null, withToken(session))),
+    logout: (session) =>
+      unwrap(api.post("/auth/logout", null, withToken(session))),
+    // PII and its keys stay on the server, so any tab can use a session
+    lock: () => {},
+    canResume: () => true,
+  },
+};
+
+export default httpAdapter;
@@ -0,0 +1,17 @@
+import localStorageAdapter from "./localStorageAdapter";
+import httpAdapter from "./httpAdapter";
+
+/**
+ * Data access for users, loans, invites, loan products, application drafts
+ * and lending settings.
+ * VITE_STORAGE_BACKEND picks the adapter:
+ * - "local" (default): browser localStorage, no server needed
+ * - "api": REST server at VITE_API_URL (see services/api.js)
+ */
+export const STORAGE_BACKEND =
+  import.meta.env.VITE_STORAGE_BACKEND === "api" ? "api" : "local";
+
+const repository =
+  STORAGE_BACKEND === "api" ? httpAdapter : localStorageAdapter;
+
+export default repository;
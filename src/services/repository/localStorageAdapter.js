@@ -0,0 +1,437 @@
+import { checkDocumentFile } from "../../utils/documents";
+import {
+  buildInvite,
+  redemptionPatch,
+  resolveSignupRole,
+} from "../../utils/invites";
+import { hasClearKyc, validateKyc } from "../../utils/kyc";
+import {
+  hashPassword,
+  verifyPassword,
+  withHashedPassword,
+  withoutCredentials,
+} from "../../utils/password";
+import {
+  SESSION_END_MESSAGES,
+  createSession,
+  sessionEndReason,
+} from "../../utils/session";
+import { validateProduct } from "../../utils/products";
+import { mergeSettings, withDefaultSettings } from "../../utils/settings";
+import { safeParseJSON, saveJSON } from "../../utils/storage";
+import documentStore from "./documentStore";
+import createPiiVault from "./piiVault";
+
+/**
+ * Browser-only adapter: every collection lives in its own localStorage key.
+ * Methods are async so callers can treat it exactly like the HTTP adapter.
+ */
+function collection(key) {
+  const read = () => safeParseJSON(key, []);
+  const write = (items) => saveJSON(key, items);
+
+  return {
+    async list() {
+      return read();
+    },
+
+    async get(id) {
+      return read().find((item) => item.id === id) || null;
+    },
+
+    async create(item) {
+      const created = { id: Date.now(), ...item };
+      write([...read(), created]);
+      return created;
+    },
+
+    async update(id, changes) {
+      let updated = null;
+      write(
+        read().map((item) => {
+          if (item.id !== id) return item;
+          updated = { ...item, ...changes };
+          return updated;
+        })
+      );
+      if (!updated) throw new Error("Record not found.");
+      return updated;
+    },
+
+    async remove(id) {
+      write(read().filter((item) => item.id !== id));
+    },
+  };
+}
+
+const VALID_ROLES = ["admin", "lender", "borrower", "analyst"];
+const baseUsers = collection("users");
+const baseLoans = collection("loans");
+
+// Borrowers' Aadhaar, PAN and address are stored encrypted
+const pii = createPiiVault(baseUsers);
+
+// Records handed out never include the password hash or the keyring, and
+// carry their KYC decrypted when the logged-in user may read it
+async function toPublicUser(user) {
+  if (!user) return user;
+  const { keyring: _keyring, ...rest } = withoutCredentials(user);
+  return rest.kyc ? { ...rest, kyc: await pii.open(rest.kyc, rest.id) } : rest;
+}
+
+const users = {
+  async list() {
+    return Promise.all((await baseUsers.list()).map(toPublicUser));
+  },
+
+  async get(id) {
+    return toPublicUser(await baseUsers.get(id));
+  },
+
+  async create(user) {
+    const email = user.email.trim().toLowerCase();
+    const existing = await baseUsers.list();
+    if (existing.some((u) => u.email === email)) {
+      throw new Error("User already exists with this email.");
+    }
+    const created = await baseUsers.create(
+      await withHashedPassword({
+        ...user,
+        email,
+        role: VALID_ROLES.includes(user.role) ? user.role : "borrower",
+        createdAt: new Date().toISOString(),
+      })
+    );
+    return withoutCredentials(created);
+  },
+
+  async update(id, changes) {
+    if (changes.email) {
+      const email = changes.email.trim().toLowerCase();
+      const existing = await baseUsers.list();
+      if (existing.some((u) => u.id !== id && u.email === email)) {
+        throw new Error("Another user already has this email.");
+      }
+      changes = { ...changes, email };
+    }
+    if (changes.password) {
+      const keyring = await pii.rekey(
+        await baseUsers.get(id),
+        changes.password
+      );
+      changes = { ...(await withHashedPassword(changes)), keyring };
+    }
+    if (changes.kyc) {
+      const { kyc, error } = validateKyc(changes.kyc);
+      if (error) throw new Error(error);
+      changes = { ...changes, kyc: await pii.seal(kyc, id) };
+    }
+    return toPublicUser(await baseUsers.update(id, changes));
+  },
+
+  remove: baseUsers.remove,
+};
+
+const baseInvites = collection("invites");
+
+const invites = {
+  list: baseInvites.list,
+
+  // `admin` is the user issuing the code
+  async create(data, admin) {
+    const { invite, error } = buildInvite(data, admin);
+    if (error) throw new Error(error);
+    return baseInvites.create(invite);
+  },
+
+  // Revoking only makes sense while the code is unused
+  async remove(id) {
+    const invite = await baseInvites.get(id);
+    if (invite?.redeemedAt) {
+      throw new Error("A redeemed invite cannot be revoked.");
+    }
+    return baseInvites.remove(id);
+  },
+};
+
+const baseProducts = collection("products");
+
+// Loan products; every write is validated as a whole product
+const products = {
+  list: baseProducts.list,
+  get: baseProducts.get,
+
+  async create(data) {
+    const { product, error } = validateProduct(data);
+    if (error) throw new Error(error);
+    return baseProducts.create({
+      ...product,
+      createdAt: new Date().toISOString(),
+    });
+  },
+
+  async update(id, changes) {
+    const current = await baseProducts.get(id);
+    if (!current) throw new Error("Product not found.");
+    const { product, error } = validateProduct({ ...current, ...changes });
+    if (error) throw new Error(error);
+    return baseProducts.update(id, product);
+  },
+
+  remove: baseProducts.remove,
+};
+
+// Loans keep the borrower's KYC sealed; reads open it where allowed
+const loans = {
+  async list() {
+    return Promise.all(
+      (await baseLoans.list()).map((loan) => pii.open(loan, loan.borrowerId))
+    );
+  },
+
+  async get(id) {
+    const loan = await baseLoans.get(id);
+    return loan && pii.open(loan, loan.borrowerId);
+  },
+
+  async create(loan) {
+    const created = await baseLoans.create(
+      await pii.seal(loan, loan.borrowerId)
+    );
+    return pii.open(created, created.borrowerId);
+  },
+
+  async update(id, changes) {
+    const current = await baseLoans.get(id);
+    if (!current) throw new Error("Record not found.");
+    const merged = { ...current, ...changes };
+    // KYC stored readable before encryption waits for sealStoredPii; KYC
+    // sent in now has to be sealed
+    const seal = hasClearKyc(changes) ? pii.seal : sealIfHeld;
+    const saved = await baseLoans.update(
+      id,
+      await seal(merged, merged.borrowerId)
+    );
+    return pii.open(saved, saved.borrowerId);
+  },
+
+  remove: baseLoans.remove,
+};
+
+// Unfinished loan applications, one per borrower
+const drafts = {
+  async get(borrowerId) {
+    const stored = safeParseJSON("applicationDrafts", {})[borrowerId];
+    return stored ? pii.open(stored, borrowerId) : null;
+  },
+
+  async save(borrowerId, draft) {
+    const saved = { ...draft, updatedAt: new Date().toISOString() };
+    saveJSON("applicationDrafts", {
+      ...safeParseJSON("applicationDrafts", {}),
+      [borrowerId]: await pii.seal(saved, borrowerId),
+    });
+    return saved;
+  },
+
+  async remove(borrowerId) {
+    const { [borrowerId]: _removed, ...rest } = safeParseJSON(
+      "applicationDrafts",
+      {}
+    );
+    saveJSON("applicationDrafts", rest);
+  },
+};
+
+function withoutFile(record) {
+  const { file: _file, ...metadata } = record;
+  return metadata;
+}
+
+// Uploaded documents live in IndexedDB, encrypted with the borrower's key
+const documents = {
+  async upload(file, { borrowerId, type }) {
+    const error = checkDocumentFile({ size: file.size, mimeType: file.type });
+    if (error) throw new Error(error);
+    const sealed = await pii.sealFile(await file.arrayBuffer(), borrowerId);
+    if (!sealed) {
+      throw new Error("Log in again to upload documents.");
+    }
+    const record = {
+      id: Date.now(),
+      borrowerId,
+      type,
+      fileName: file.name,
+      size: file.size,
+      mimeType: file.type,
+      uploadedAt: new Date().toISOString(),
+      file: sealed,
+    };
+    await documentStore.put(record);
+    return withoutFile(record);
+  },
+
+  async get(id) {
+    const record = await documentStore.get(id);
+    return record ? withoutFile(record) : null;
+  },
+
+  // The file as a Blob, for the borrower and admins only
+  async download(id) {
+    const record = await documentStore.get(id);
+    if (!record) throw new Error("Document not found.");
+    const bytes = await pii.openFile(record.file, record.borrowerId);
+    if (!bytes) throw new Error("You cannot open this document.");
+    return new Blob([bytes], { type: record.mimeType });
+  },
+
+  // Only uploads no loan refers to, e.g. a file replaced in a draft
+  async remove(id) {
+    const inUse = (await baseLoans.list()).some((loan) =>
+      (loan.documents || []).some((d) => d.documentId === id)
+    );
+    if (inUse) throw new Error("This document belongs to a loan.");
+    await documentStore.remove(id);
+  },
+};
+
+// A single record rather than a collection
+const settings = {
+  async get() {
+    return withDefaultSettings(safeParseJSON("settings", {}));
+  },
+
+  async update(changes) {
+    const { settings: next, error } = mergeSettings(
+      safeParseJSON("settings", {}),
+      changes
+    );
+    if (error) throw new Error(error);
+    saveJSON("settings", next);
+    return next;
+  },
+};
+// Local counterpart of the server's ADMIN_EMAIL / ADMIN_PASSWORD seed. The
+// values are baked into the bundle, so this is only for local demos.
+async function seedAdmin() {
+  const { VITE_ADMIN_EMAIL, VITE_ADMIN_PASSWORD } = import.meta.env;
+  if (!VITE_ADMIN_EMAIL || !VITE_ADMIN_PASSWORD) return;
+  const email = VITE_ADMIN_EMAIL.trim().toLowerCase();
+  const existing = await baseUsers.list();
+  if (existing.some((u) => u.role === "admin" || u.email === email)) return;
+  await users.create({
+    name: "Administrator",
+    email,
+    password: VITE_ADMIN_PASSWORD,
+    role: "admin",
+  });
+}
+
+// The record sealed, or as it is when the logged-in user lacks the key
+async function sealIfHeld(record, borrowerId) {
+  try {
+    return await pii.seal(record, borrowerId);
+  } catch {
+    return record;
+  }
+}
+
+// Seals whatever the logged-in user holds the keys for but is still
+// stored readable, i.e. records from before encryption
+async function sealStoredPii() {
+  for (const loan of await baseLoans.list()) {
+    const sealed = await sealIfHeld(loan, loan.borrowerId);
+    if (sealed !== loan) await baseLoans.update(loan.id, sealed);
+  }
+  for (const user of await baseUsers.list()) {
+    const kyc = user.kyc && (await sealIfHeld(user.kyc, user.id));
+    if (kyc !== user.kyc) await baseUsers.update(user.id, { kyc });
+  }
+  const stored = safeParseJSON("applicationDrafts", {});
+  const sealed = {};
+  for (const [borrowerId, draft] of Object.entries(stored)) {
+    sealed[borrowerId] = await sealIfHeld(draft, Number(borrowerId));
+  }
+  saveJSON("applicationDrafts", sealed);
+}
+
+const auth = {
+  async login(email, password) {
+    await seedAdmin();
+    const normalized = email.trim().toLowerCase();
+    const found = (await baseUsers.list()).find(
+      (u) => u.email.toLowerCase() === normalized
+    );
+    const { ok, needsRehash } = await verifyPassword(password, found);
+    if (!ok) throw new Error("Invalid email or password.");
+
+    // Accounts from before hashing are upgraded on their first login
+    if (needsRehash) {
+      await baseUsers.update(found.id, {
+        password: undefined,
+        passwordHash: await hashPassword(password),
+      });
+    }
+
+    // The password unlocks this user's PII keys for the session
+    await pii.unlock(await baseUsers.get(found.id), password);
+    await sealStoredPii();
+    return {
+      user: await toPublicUser(found),
+      session: createSession(found.id),
+    };
+  },
+
+  // Without a server there is nobody else to check the token; the session
+  // timestamps are all there is to validate
+  async refresh(session) {
+    const reason = sessionEndReason(session);
+    if (reason) throw new Error(SESSION_END_MESSAGES[reason]);
+    return { ...session, lastActivityAt: Date.now() };
+  },
+
+  async logout() {
+    pii.lock();
+  },
+
+  // Forgets the PII keys unlocked in this tab, e.g. when another tab has
+  // logged out
+  lock() {
+    pii.lock();
+  },
+
+  // Whether this tab can carry on a stored session for `user`: borrowers
+  // and admins need PII keys that only a login in this tab unlocks
+  canResume(user) {
+    return (
+      !["borrower", "admin"].includes(user.role) || pii.isUnlocked(user.id)
+    );
+  },
+
+  // Public sign-up: the role comes from the invitation code, never the form
+  async register({ inviteCode, ...data }) {
+    const { role, invite, error } = resolveSignupRole(
+      inviteCode,
+      await baseInvites.list()
+    );
+    if (error) throw new Error(error);
+
+    const created = await users.create({ ...data, role });
+    if (invite) await baseInvites.update(invite.id, redemptionPatch(created));
+    return created;
+  },
+};
+
+const localStorageAdapter = {
+  name: "local",
+  users,
+  loans,
+  invites,
+  products,
+  drafts,
+  documents,
+  settings,
+  auth,
+};
+
+export default localStorageAdapter;
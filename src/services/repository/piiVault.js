@@ -0,0 +1,282 @@
+import { hasClearKyc, maskKycFields } from "../../utils/kyc";
+import {
+  decryptBuffer,
+  decryptJSON,
+  deriveLoginKey,
+  encryptBuffer,
+  encryptJSON,
+  escrowDataKey,
+  exportDataKey,
+  exportPrivateKey,
+  generateAdminKeys,
+  generateDataKey,
+  importDataKey,
+  importPrivateKey,
+  newSalt,
+  recoverDataKey,
+  unwrapWithLoginKey,
+  wrapWithLoginKey,
+} from "../../utils/piiCrypto";
+import { SESSION_STORAGE_KEY } from "../../utils/session";
+import { safeParseJSON } from "../../utils/storage";
+
+/**
+ * Keeps borrowers' Aadhaar, PAN and address encrypted in the browser store
+ * (see utils/piiCrypto for the key scheme). Each user record carries a
+ * `keyring`: `{ salt, dataKey, escrow }` for borrowers, where `escrow` holds
+ * the data key for each admin as `{ [adminId]: { keyId, key } }`, and
+ * `{ salt, keyId, publicKey, privateKey }` for admins. Lenders and analysts
+ * hold no keys.
+ * Sealed records keep masked copies of the fields next to the ciphertext
+ * (`pii`), so anyone without the key still sees the masked values.
+ * Unlocked keys live only in this tab's memory, never in storage, so a
+ * reload or another tab needs a fresh login to unlock them.
+ * Borrowers' uploaded documents are encrypted with the same data key.
+ * `users` is the raw users collection of the localStorage adapter.
+ */
+export default function createPiiVault(users) {
+  // { userId, role, dataKey, privateKey } while someone is logged in
+  let session = null;
+  // Admins: borrowerId -> data key recovered from the escrow
+  const recovered = new Map();
+
+  // The keys of whoever is logged in; another tab logging in as someone
+  // else makes them stale. During login the session is not stored yet.
+  function getSession() {
+    const userId = safeParseJSON(SESSION_STORAGE_KEY, null)?.user?.id;
+    if (session && userId !== undefined && session.userId !== userId) {
+      session = null;
+      recovered.clear();
+    }
+    return session;
+  }
+
+  // The data key for `borrowerId`, if the logged-in user may hold it
+  async function getDataKey(borrowerId, borrower) {
+    const current = getSession();
+    if (!current) return null;
+    if (current.role === "borrower") {
+      return current.userId === borrowerId ? current.dataKey : null;
+    }
+    if (current.role !== "admin" || !current.privateKey) return null;
+    if (recovered.has(borrowerId)) return recovered.get(borrowerId);
+
+    const owner = borrower || (await users.get(borrowerId));
+    const me = (await users.get(current.userId))?.keyring;
+    const entry = owner?.keyring?.escrow?.[current.userId];
+    if (!entry || entry.keyId !== me?.keyId) return null;
+    try {
+      const key = await recoverDataKey(entry.key, current.privateKey);
+      recovered.set(borrowerId, key);
+      return key;
+    } catch {
+      return null;
+    }
+  }
+
+  // Gives every admin with a key pair a copy of each data key we can reach
+  async function shareWithAdmins() {
+    const everyone = await users.list();
+    const admins = everyone.filter(
+      (u) => u.role === "admin" && u.keyring?.publicKey
+    );
+    for (const borrower of everyone) {
+      if (borrower.role !== "borrower" || !borrower.keyring?.dataKey) continue;
+      const escrow = borrower.keyring.escrow || {};
+      const missing = admins.filter(
+        (admin) => escrow[admin.id]?.keyId !== admin.keyring.keyId
+      );
+      if (missing.length === 0) continue;
+      const dataKey = await getDataKey(borrower.id, borrower);
+      if (!dataKey) continue;
+
+      const next = { ...escrow };
+      for (const admin of missing) {
+        next[admin.id] = {
+          keyId: admin.keyring.keyId,
+          key: await escrowDataKey(dataKey, admin.keyring.publicKey),
+        };
+      }
+      await users.update(borrower.id, {
+        keyring: { ...borrower.keyring, escrow: next },
+      });
+    }
+  }
+
+  async function unlockBorrower(user, loginKey, salt) {
+    const keyring = user.keyring || {};
+    let dataKey = null;
+    if (keyring.dataKey) {
+      try {
+        const exported = await unwrapWithLoginKey(keyring.dataKey, loginKey);
+        dataKey = await importDataKey(exported);
+      } catch {
+        // Wrapped under an old password. An admin reset re-wraps it from
+        // the escrow; a fresh key would strand everything sealed so far.
+        throw new Error(
+          "Your KYC details are locked with an earlier password. Ask an admin to reset your password."
+        );
+      }
+    } else {
+      dataKey = await generateDataKey();
+    }
+    await users.update(user.id, {
+      keyring: {
+        ...keyring,
+        salt,
+        dataKey: await wrapWithLoginKey(await exportDataKey(dataKey), loginKey),
+      },
+    });
+    return dataKey;
+  }
+
+  // An admin whose key no longer unwraps gets a new pair; the escrow
+  // catches up as other users log in
+  async function unlockAdmin(user, loginKey, salt) {
+    const keyring = user.keyring || {};
+    if (keyring.privateKey) {
+      try {
+        const exported = await unwrapWithLoginKey(keyring.privateKey, loginKey);
+        return importPrivateKey(exported);
+      } catch {
+        // Fall through to a new key pair
+      }
+    }
+    const { keyId, publicKey, privateKey } = await generateAdminKeys();
+    await users.update(user.id, {
+      keyring: {
+        salt,
+        keyId,
+        publicKey,
+        privateKey: await wrapWithLoginKey(
+          await exportPrivateKey(privateKey),
+          loginKey
+        ),
+      },
+    });
+    return privateKey;
+  }
+
+  return {
+    /** Derives the user's login key and unlocks the keys they may hold. */
+    async unlock(user, password) {
+      session = null;
+      recovered.clear();
+      const salt = user.keyring?.salt || newSalt();
+      const loginKey = await deriveLoginKey(password, salt);
+      session = {
+        userId: user.id,
+        role: user.role,
+        dataKey:
+          user.role === "borrower"
+            ? await unlockBorrower(user, loginKey, salt)
+            : null,
+        privateKey:
+          user.role === "admin"
+            ? await unlockAdmin(user, loginKey, salt)
+            : null,
+      };
+      await shareWithAdmins();
+    },
+
+    lock() {
+      session = null;
+      recovered.clear();
+    },
+
+    /** True while `userId`'s keys are unlocked in this tab. */
+    isUnlocked(userId) {
+      return getSession()?.userId === userId;
+    },
+
+    /**
+     * Re-wraps the user's keys under a new password; returns the keyring
+     * to store. A borrower's data key must be held by the logged-in user
+     * (the borrower, or an admin through the escrow), otherwise this
+     * throws. Another admin's key pair cannot be moved: it is dropped and
+     * they get a new one at their next login.
+     */
+    async rekey(user, password) {
+      const keyring = user?.keyring;
+      if (!keyring) return undefined;
+      const salt = newSalt();
+      const loginKey = await deriveLoginKey(password, salt);
+
+      if (user.role === "borrower" && keyring.dataKey) {
+        const dataKey = await getDataKey(user.id, user);
+        if (!dataKey) {
+          throw new Error(
+            "Changing this password needs the borrower's KYC key. Log in again as the borrower or as an admin who holds it."
+          );
+        }
+        const exported = await exportDataKey(dataKey);
+        return {
+          ...keyring,
+          salt,
+          dataKey: await wrapWithLoginKey(exported, loginKey),
+        };
+      }
+      const current = getSession();
+      if (user.role === "admin" && current?.userId === user.id) {
+        const exported = await exportPrivateKey(current.privateKey);
+        return {
+          ...keyring,
+          salt,
+          privateKey: await wrapWithLoginKey(exported, loginKey),
+        };
+      }
+      return user.role === "admin" ? undefined : keyring;
+    },
+
+    /**
+     * Encrypts the record's readable `aadhar`, `pan` and `address` with
+     * the borrower's data key. Left as it is when there is nothing to seal;
+     * throws rather than store readable KYC when the logged-in user does
+     * not hold the key.
+     */
+    async seal(record, borrowerId) {
+      if (!record || !hasClearKyc(record)) return record;
+      const dataKey = await getDataKey(borrowerId);
+      if (!dataKey) {
+        throw new Error(
+          "KYC details cannot be encrypted without the borrower's key. Log in again to save them."
+        );
+      }
+      const { aadhar, pan, address } = record;
+      return {
+        ...maskKycFields(record),
+        pii: await encryptJSON(dataKey, { aadhar, pan, address }),
+      };
+    },
+
+    /** The record with its KYC decrypted, for those who may read it. */
+    async open(record, borrowerId) {
+      if (!record?.pii) return record;
+      const dataKey = await getDataKey(borrowerId);
+      if (!dataKey) return record;
+      const { pii, ...rest } = record;
+      try {
+        return { ...rest, ...(await decryptJSON(dataKey, pii)) };
+      } catch {
+        return record;
+      }
+    },
+
+    /** The file encrypted for `borrowerId`, or null without their key. */
+    async sealFile(buffer, borrowerId) {
+      const dataKey = await getDataKey(borrowerId);
+      return dataKey ? encryptBuffer(dataKey, buffer) : null;
+    },
+
+    /** The file's bytes, or null when the logged-in user may not read it. */
+    async openFile(sealed, borrowerId) {
+      const dataKey = await getDataKey(borrowerId);
+      if (!dataKey) return null;
+      try {
+        return await decryptBuffer(dataKey, sealed);
+      } catch {
+        return null;
+      }
+    },
+  };
+}
@@ -1,13 +1,32 @@
-import { io } from 'socket.io-client'
+import { io } from "socket.io-client";
+import { API_URL } from "./api";
+import { STORAGE_BACKEND } from "./repository";
+import { SESSION_STORAGE_KEY } from "../utils/session";
+import { safeParseJSON } from "../utils/storage";
+
+/**
+ * Live loan events come from VITE_SOCKET_URL, or from the API server itself
+ * with the "api" backend. The localStorage backend has no live events unless
+ * the stand-in server (npm run socket) is configured.
+ */
+export const SOCKET_URL =
+  import.meta.env.VITE_SOCKET_URL ||
+  (STORAGE_BACKEND === "api" ? new URL(API_URL).origin : null);
+
+// Without an API server nobody else sees this browser's writes, so it
+// announces its own loan changes for the stand-in to relay
+export const ANNOUNCES_OWN_EVENTS = STORAGE_BACKEND === "local";
 
+/** A socket for the logged-in user, or null when live events are off. */
 export function createSocket() {
-  const url = import.meta.env.VITE_SOCKET_URL
-  const socket = io(url, {
-    transports: ['websocket'],
-    autoConnect: true
-  })
-  return socket
+  if (!SOCKET_URL) return null;
+  return io(SOCKET_URL, {
+    transports: ["websocket"],
+    autoConnect: false,
+    // Read on every (re)connect so it always carries the current session
+    auth: (cb) => {
+      const session = safeParseJSON(SESSION_STORAGE_KEY, null);
+      cb({ token: session?.token, user: session?.user });
+    },
+  });
 }
-import { io } from "socket.io-client";
-
-export const socket = io(import.meta.env.VITE_SOCKET_URL || "http://localhost:5000");
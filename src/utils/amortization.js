@@ -0,0 +1,130 @@
+import calculateEMI from "./calculateEMI.js";
+import { DEFAULT_INTEREST_RATE } from "./constants.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Annual interest rate (in %) for a loan, falling back to the platform
+ * default for loans created before rates were tracked.
+ */
+export function getLoanRate(loan) {
+  const rate = Number(loan?.interestRate);
+  return Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_INTEREST_RATE;
+}
+
+/**
+ * Reducing-balance amortization schedule.
+ * Each row carries the EMI split into principal and interest, plus the
+ * opening and closing balance. The last row absorbs rounding drift so the
+ * closing balance always lands on exactly zero.
+ */
+export function buildAmortizationSchedule(principal, annualRatePercent, tenureMonths) {
+  const P = Number(principal) || 0;
+  const n = Math.floor(Number(tenureMonths) || 0);
+  if (P <= 0 || n <= 0) return [];
+
+  const r = (Number(annualRatePercent) || 0) / 12 / 100;
+  const emi = calculateEMI(P, annualRatePercent, n);
+
+  const rows = [];
+  let balance = P;
+  for (let i = 0; i < n; i++) {
+    const interest = round2(balance * r);
+    const isLast = i === n - 1;
+    const principalPart = isLast ? round2(balance) : round2(emi - interest);
+    const closing = isLast ? 0 : round2(balance - principalPart);
+
+    rows.push({
+      month: `Month ${i + 1}`,
+      installment: i + 1,
+      amount: round2(principalPart + interest),
+      principal: principalPart,
+      interest,
+      openingBalance: round2(balance),
+      closingBalance: closing,
+      paid: false,
+    });
+    balance = closing;
+  }
+  return rows;
+}
+
+/**
+ * True when a loan has no schedule yet, or still carries a legacy flat
+ * (interest-free) schedule on which nothing has been paid.
+ */
+export function needsSchedule(loan) {
+  const rows = loan?.repayments;
+  if (!rows || rows.length === 0) return true;
+  return rows.every((r) => r.interest === undefined && !r.paid);
+}
+
+/** Returns the loan with an amortization schedule attached if it needs one. */
+export function ensureSchedule(loan) {
+  if (!needsSchedule(loan)) return loan;
+  const interestRate = getLoanRate(loan);
+  return {
+    ...loan,
+    interestRate,
+    repayments: buildAmortizationSchedule(loan.amount, interestRate, loan.duration),
+  };
+}
+
+// ---------- Loan-level totals ----------
+
+/** Total amount the borrower has to repay (principal + interest). */
+export function getScheduledTotal(loan) {
+  return (loan?.repayments || []).reduce(
+    (sum, r) => sum + Number(r.amount || 0),
+    0
+  );
+}
+
+// ---------- Row-level amounts ----------
+
+/**
+ * Principal + interest received on one EMI row, as recorded by payments
+ * (see utils/payments). Rows paid before payments were recorded count in
+ * full.
+ */
+export function getEmiPaidAmount(row) {
+  if (!row) return 0;
+  if (row.paidInterest === undefined && row.paidPrincipal === undefined) {
+    return row.paid ? Number(row.amount || 0) : 0;
+  }
+  return round2(Number(row.paidInterest || 0) + Number(row.paidPrincipal || 0));
+}
+
+/** Principal + interest still owed on one EMI row. */
+export function getEmiBalance(row) {
+  if (!row || row.paid) return 0;
+  return Math.max(round2(Number(row.amount || 0) - getEmiPaidAmount(row)), 0);
+}
+
+/** Total amount received against the schedule so far (late charges excluded). */
+export function getPaidTotal(loan) {
+  return round2(
+    (loan?.repayments || []).reduce((sum, r) => sum + getEmiPaidAmount(r), 0)
+  );
+}
+
+/** Total interest component across the schedule. */
+export function getInterestTotal(loan) {
+  return (loan?.repayments || []).reduce(
+    (sum, r) => sum + Number(r.interest || 0),
+    0
+  );
+}
+
+/**
+ * Principal + interest the loan brings in: the full schedule, or what was
+ * actually received for a loan closed early (see utils/foreclosure).
+ */
+export function getExpectedTotal(loan) {
+  return loan?.foreclosure ? getPaidTotal(loan) : getScheduledTotal(loan);
+}
+
+/** Money still owed on the schedule (unpaid EMIs, principal + interest). */
+export function getOutstandingTotal(loan) {
+  return Math.max(round2(getExpectedTotal(loan) - getPaidTotal(loan)), 0);
+}
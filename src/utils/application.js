@@ -0,0 +1,202 @@
+import { newDocumentEntry } from "./documents.js";
+import { validateKyc } from "./kyc.js";
+import { buildProductTerms } from "./products.js";
+
+/**
+ * The borrower's loan application, filled in one step at a time.
+ * The answers so far are kept as a draft (one per borrower) so the
+ * application can be left and resumed; `validateStep` decides whether the
+ * borrower may move past a step and `buildLoanApplication` turns a
+ * finished draft into a new loan.
+ * Both take a context of `{ products, savedKyc }`: the products on offer
+ * (with none, any amount and tenure may be requested) and the KYC already
+ * on the borrower's profile, which is used unless the borrower updates it.
+ */
+
+export const APPLICATION_STEPS = [
+  { id: "product", label: "Product" },
+  { id: "amount", label: "Amount & Tenure" },
+  { id: "kyc", label: "KYC" },
+  { id: "income", label: "Income & Employment" },
+  { id: "documents", label: "Documents" },
+  { id: "review", label: "Review" },
+];
+
+export const EMPLOYMENT_TYPES = [
+  { id: "salaried", label: "Salaried" },
+  { id: "selfEmployed", label: "Self-employed professional" },
+  { id: "business", label: "Business owner" },
+  { id: "retired", label: "Retired" },
+  { id: "student", label: "Student" },
+  { id: "unemployed", label: "Not working" },
+];
+
+// Employment types that come with an employer or business name
+const NAMED_EMPLOYMENT = ["salaried", "selfEmployed", "business"];
+
+export const EMPTY_APPLICATION = {
+  step: 0,
+  productId: "",
+  amount: "",
+  duration: "",
+  purpose: "",
+  aadhar: "",
+  pan: "",
+  address: "",
+  // Replace the KYC saved on the profile with the fields above
+  updateKyc: false,
+  employmentType: "",
+  employerName: "",
+  monthlyIncome: "",
+  monthlyObligations: "",
+  // Document type -> the upload in the document vault:
+  // `{ id, fileName, size, mimeType, uploadedAt }`
+  documents: {},
+};
+
+/** A stored draft with any fields added since it was saved filled in. */
+export function withApplicationDefaults(draft) {
+  return { ...EMPTY_APPLICATION, ...draft };
+}
+
+export function findProduct(products, productId) {
+  return products.find((p) => p.id === Number(productId)) || null;
+}
+
+// Whether the draft carries KYC details of its own
+function entersKyc(draft, savedKyc) {
+  return !savedKyc || draft.updateKyc;
+}
+
+// Step id -> check returning an error message or null
+const STEP_CHECKS = {
+  product(draft, { products }) {
+    if (products.length === 0) return null;
+    return findProduct(products, draft.productId)
+      ? null
+      : "Choose a loan product.";
+  },
+
+  amount(draft, { products }) {
+    const amount = Number(draft.amount);
+    const duration = Number(draft.duration);
+    if (!(amount > 0) || !(duration > 0)) {
+      return "Amount and duration must be positive.";
+    }
+    if (!draft.purpose.trim()) return "Tell us what the loan is for.";
+    if (products.length === 0) return null;
+    const { error } = buildProductTerms(
+      findProduct(products, draft.productId),
+      { amount, duration }
+    );
+    return error || null;
+  },
+
+  kyc(draft, { savedKyc }) {
+    if (!entersKyc(draft, savedKyc)) return null;
+    return validateKyc(draft).error || null;
+  },
+
+  income(draft) {
+    if (!EMPLOYMENT_TYPES.some((t) => t.id === draft.employmentType)) {
+      return "Choose your employment type.";
+    }
+    if (
+      NAMED_EMPLOYMENT.includes(draft.employmentType) &&
+      !draft.employerName.trim()
+    ) {
+      return "Enter your employer or business name.";
+    }
+    const income = Number(draft.monthlyIncome);
+    const obligations = Number(draft.monthlyObligations || 0);
+    if (!Number.isFinite(income) || income < 0 || draft.monthlyIncome === "") {
+      return "Enter your monthly income.";
+    }
+    if (!Number.isFinite(obligations) || obligations < 0) {
+      return "Existing EMIs cannot be negative.";
+    }
+    return null;
+  },
+
+  documents(draft, { products }) {
+    const product = findProduct(products, draft.productId);
+    // Drafts from before the vault only kept the file name
+    const missing = (product?.requiredDocuments || []).filter(
+      (type) => !draft.documents[type]?.id
+    );
+    return missing.length > 0
+      ? "Attach every document the product needs."
+      : null;
+  },
+
+  review() {
+    return null;
+  },
+};
+
+/** Error message for the step at `index`, or null when it is complete. */
+export function validateStep(
+  index,
+  draft,
+  { products = [], savedKyc = null } = {}
+) {
+  const step = APPLICATION_STEPS[index];
+  return step ? STEP_CHECKS[step.id](draft, { products, savedKyc }) : null;
+}
+
+/** Index of the first step that still needs answers (-1 when none). */
+export function firstIncompleteStep(draft, context) {
+  return APPLICATION_STEPS.findIndex(
+    (_, index) => validateStep(index, draft, context) !== null
+  );
+}
+
+/**
+ * The new loan's fields from a finished draft: `{ loan, kyc }`, or
+ * `{ error, step }` naming the first step still to complete. `kyc` is set
+ * when the borrower entered new KYC details, to be saved on their profile.
+ * The caller adds the borrower, status and bookkeeping fields.
+ */
+export function buildLoanApplication(draft, context = {}) {
+  const { products = [], savedKyc = null } = context;
+  const incomplete = firstIncompleteStep(draft, context);
+  if (incomplete !== -1) {
+    return {
+      error: validateStep(incomplete, draft, context),
+      step: incomplete,
+    };
+  }
+
+  const amount = Number(draft.amount);
+  const duration = Number(draft.duration);
+  const product = findProduct(products, draft.productId);
+  const productTerms = product
+    ? buildProductTerms(product, { amount, duration }).terms
+    : {};
+  const kyc = entersKyc(draft, savedKyc) ? validateKyc(draft).kyc : null;
+  const { aadhar, pan, address } = kyc || savedKyc;
+
+  return {
+    kyc,
+    loan: {
+      amount,
+      duration,
+      ...productTerms,
+      purpose: draft.purpose.trim(),
+      aadhar,
+      pan,
+      address,
+      employment: {
+        type: draft.employmentType,
+        employerName: NAMED_EMPLOYMENT.includes(draft.employmentType)
+          ? draft.employerName.trim()
+          : "",
+        monthlyIncome: Number(draft.monthlyIncome),
+        monthlyObligations: Number(draft.monthlyObligations || 0),
+      },
+      documents: Object.entries(draft.documents)
+        .filter(([, file]) => file?.id)
+        .map(([type, file]) => newDocumentEntry(type, file)),
+    },
+  };
+}
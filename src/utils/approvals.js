@@ -0,0 +1,136 @@
+import { getLoanRate } from "./amortization.js";
+
+/**
+ * Multi-level approval with maker-checker.
+ * The amount of a loan decides how many admins must approve it: the tier
+ * with the highest `above` under the amount applies. Each approval is kept
+ * on the loan:
+ *   loan.approvals = [{ by, byName, at, comment }]
+ * Admins who edited the loan's terms are kept in `loan.editedBy` and cannot
+ * approve it, and an edit voids the approvals given on the old terms.
+ * The lifecycle (utils/loanLifecycle) records intermediate approvals with
+ * its `addApproval` action and the last one with `approve`; both take
+ * `{ approval, approvalPolicy }` as context.
+ */
+
+export const DEFAULT_APPROVAL_POLICY = {
+  tiers: [
+    { above: 0, approvers: 1 },
+    { above: 500000, approvers: 2 },
+  ],
+};
+
+const MAX_APPROVERS = 5;
+const MAX_COMMENT_LENGTH = 500;
+
+// Edits to these are edits to the terms the approvers signed off on
+const TERM_FIELDS = ["amount", "duration", "purpose"];
+
+/** Checks admin input; returns `{ policy }` or `{ error }`. */
+export function validateApprovalPolicy(input = {}) {
+  const tiers = (input.tiers || [])
+    .map((tier) => ({
+      above: Number(tier.above),
+      approvers: Number(tier.approvers),
+    }))
+    .sort((a, b) => a.above - b.above);
+  if (tiers.length === 0 || tiers[0].above !== 0) {
+    return { error: "The first approval tier must start at ₹0." };
+  }
+  for (const [index, tier] of tiers.entries()) {
+    if (!Number.isFinite(tier.above) || tier.above < 0) {
+      return { error: "Tier amounts must be positive numbers." };
+    }
+    if (index > 0 && tier.above === tiers[index - 1].above) {
+      return { error: "Two approval tiers start at the same amount." };
+    }
+    if (
+      !Number.isInteger(tier.approvers) ||
+      tier.approvers < 1 ||
+      tier.approvers > MAX_APPROVERS
+    ) {
+      return {
+        error: `Each tier needs between 1 and ${MAX_APPROVERS} approvers.`,
+      };
+    }
+  }
+  return { policy: { tiers } };
+}
+
+/** How many approvals a loan of `amount` needs. */
+export function getRequiredApprovals(amount, policy = DEFAULT_APPROVAL_POLICY) {
+  const tier = [...policy.tiers]
+    .sort((a, b) => b.above - a.above)
+    .find((t) => Number(amount) > t.above);
+  return tier ? tier.approvers : 1;
+}
+
+/** `{ given, required }` approvals on `loan`. */
+export function getApprovalProgress(loan, policy = DEFAULT_APPROVAL_POLICY) {
+  return {
+    given: loan.approvals?.length || 0,
+    required: getRequiredApprovals(loan.amount, policy),
+  };
+}
+
+/** The lifecycle action that records `loan`'s next approval. */
+export function getApprovalAction(loan, policy = DEFAULT_APPROVAL_POLICY) {
+  const { given, required } = getApprovalProgress(loan, policy);
+  return required - given > 1 ? "addApproval" : "approve";
+}
+
+/**
+ * Returns an error message unless `actor` may add `approval` to `loan`.
+ * `final` is whether the approval has to complete the loan's approvals
+ * (the `approve` action) or leave some still to give (`addApproval`).
+ */
+export function checkApproval(loan, approval, actor, policy, final) {
+  if (!approval) return "Approvals must be recorded with the approver.";
+  if ((loan.editedBy || []).includes(actor.id)) {
+    return "You edited this loan, so another admin has to approve it.";
+  }
+  if ((loan.approvals || []).some((a) => a.by === actor.id)) {
+    return "You have already approved this loan.";
+  }
+  if (String(approval.comment || "").length > MAX_COMMENT_LENGTH) {
+    return `Keep the comment under ${MAX_COMMENT_LENGTH} characters.`;
+  }
+  const { given, required } = getApprovalProgress(loan, policy);
+  const left = required - given;
+  if (final && left > 1) {
+    return `This loan needs ${left - 1} more approval(s) after yours.`;
+  }
+  if (!final && left <= 1) return "Your approval completes this loan.";
+  return null;
+}
+
+/** The approval `actor` gives with an optional `comment`. */
+export function buildApproval(comment, actor) {
+  return {
+    by: actor.id,
+    byName: actor.name,
+    at: new Date().toISOString(),
+    comment: String(comment || "").trim(),
+  };
+}
+
+/** Whether `after` changes the terms of `before`. */
+export function changesTerms(before, after) {
+  return (
+    TERM_FIELDS.some(
+      (field) => String(before[field] ?? "") !== String(after[field] ?? "")
+    ) || getLoanRate(before) !== getLoanRate(after)
+  );
+}
+
+/**
+ * `after` with `actor` recorded as an editor of the terms, and the
+ * approvals given so far voided, when the edit changes the terms of a
+ * loan still waiting for approval.
+ */
+export function recordEdit(before, after, actor) {
+  if (!changesTerms(before, after)) return after;
+  const editedBy = [...new Set([...(before.editedBy || []), actor.id])];
+  const pending = (before.status || "Pending") === "Pending";
+  return { ...after, editedBy, approvals: pending ? [] : after.approvals };
+}
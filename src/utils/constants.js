@@ -1 +1,12 @@
 export const ROLES = ["Admin", "Lender", "Borrower", "Analyst"];
+
+// Annual interest rate (%) applied to new loans unless an admin changes it
+export const DEFAULT_INTEREST_RATE = 12;
+
+// Landing route for each role after login
+export const ROLE_HOME = {
+  admin: "/admin",
+  lender: "/lender",
+  borrower: "/borrower",
+  analyst: "/analyst",
+};
@@ -0,0 +1,222 @@
+import { getLoanRate } from "./amortization.js";
+import calculateEMI from "./calculateEMI.js";
+import { getDueDate } from "./dueDates.js";
+import { LOAN_STATUS } from "./loanLifecycle.js";
+import { getDaysLate, getPenaltyPolicy } from "./penalties.js";
+
+/**
+ * Rule-based credit score for a loan application, out of 100, and a risk
+ * grade. Four factors each earn up to their weight in points:
+ * - income: declared monthly income as a multiple of the new EMI; full
+ *   points at `incomeCoverage` times the EMI,
+ * - debt-to-income: existing EMIs plus the new one against income; full
+ *   points up to `targetDti` %, none from `maxDti` %,
+ * - repayment history: share of the borrower's EMIs due so far that were
+ *   paid on time (within the loan's grace days),
+ * - size: the amount against the largest loan the borrower was lent
+ *   before; full points up to that size, none at `maxSizeMultiple` times.
+ * Borrowers without history get half the points for the last two.
+ * The policy is an admin setting (`settings.scoring`).
+ */
+
+export const DEFAULT_SCORING_POLICY = {
+  incomeWeight: 25,
+  dtiWeight: 30,
+  historyWeight: 30,
+  sizeWeight: 15,
+  incomeCoverage: 4,
+  targetDti: 30,
+  maxDti: 60,
+  maxSizeMultiple: 3,
+  gradeA: 80,
+  gradeB: 65,
+  gradeC: 50,
+};
+
+export const RISK_GRADES = {
+  A: "Low risk",
+  B: "Moderate risk",
+  C: "Elevated risk",
+  D: "High risk",
+};
+
+const WEIGHTS = ["incomeWeight", "dtiWeight", "historyWeight", "sizeWeight"];
+
+// Loans whose EMIs the borrower is paying now
+const REPAYING = [
+  LOAN_STATUS.APPROVED,
+  LOAN_STATUS.ASSIGNED,
+  LOAN_STATUS.DISBURSED,
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const money = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+
+/** Checks admin input; returns `{ policy }` or `{ error }`. */
+export function validateScoringPolicy(input = {}) {
+  const policy = Object.fromEntries(
+    Object.entries(DEFAULT_SCORING_POLICY).map(([key, fallback]) => [
+      key,
+      Number(input[key] ?? fallback),
+    ])
+  );
+  if (Object.values(policy).some((value) => !Number.isFinite(value))) {
+    return { error: "Scoring settings must be numbers." };
+  }
+  if (WEIGHTS.some((key) => policy[key] < 0)) {
+    return { error: "Factor weights cannot be negative." };
+  }
+  if (WEIGHTS.reduce((sum, key) => sum + policy[key], 0) !== 100) {
+    return { error: "Factor weights must add up to 100." };
+  }
+  if (policy.incomeCoverage <= 1 || policy.incomeCoverage > 20) {
+    return { error: "Income cover must be more than 1 and at most 20 EMIs." };
+  }
+  if (
+    policy.targetDti < 0 ||
+    policy.maxDti <= policy.targetDti ||
+    policy.maxDti > 100
+  ) {
+    return {
+      error: "Debt-to-income limits must satisfy 0 ≤ target < maximum ≤ 100%.",
+    };
+  }
+  if (policy.maxSizeMultiple <= 1 || policy.maxSizeMultiple > 20) {
+    return { error: "Loan size limit must be more than 1 and at most 20x." };
+  }
+  const gradesOrdered =
+    policy.gradeA <= 100 &&
+    policy.gradeA > policy.gradeB &&
+    policy.gradeB > policy.gradeC &&
+    policy.gradeC >= 0;
+  if (!gradesOrdered) {
+    return { error: "Grade cut-offs must satisfy 100 ≥ A > B > C ≥ 0." };
+  }
+  return { policy };
+}
+
+export function getRiskGrade(score, policy = DEFAULT_SCORING_POLICY) {
+  if (score >= policy.gradeA) return "A";
+  if (score >= policy.gradeB) return "B";
+  if (score >= policy.gradeC) return "C";
+  return "D";
+}
+
+// The EMI the borrower pays on a loan now: the next unpaid row, or the
+// level EMI for loans without a schedule yet
+function currentEmi(loan) {
+  const next = (loan.repayments || []).find((row) => !row.paid);
+  if (next) return Number(next.amount) || 0;
+  if (loan.repayments?.length) return 0;
+  return calculateEMI(loan.amount, getLoanRate(loan), loan.duration);
+}
+
+// `{ onTime, total }` over the EMIs already due on `loans`; unpaid ones
+// past due and payments after the grace days count as late
+function repaymentRecord(loans, now) {
+  let onTime = 0;
+  let total = 0;
+  for (const loan of loans) {
+    const { graceDays } = getPenaltyPolicy(loan);
+    (loan.repayments || []).forEach((row, index) => {
+      const due = getDueDate(loan, index);
+      if (!due || due > now) return;
+      total += 1;
+      if (row.paid && getDaysLate(loan, index, now) <= graceDays) onTime += 1;
+    });
+  }
+  return { onTime, total };
+}
+
+/**
+ * Scores `loan` against the borrower's other loans in `loans`.
+ * Returns `{ score, grade, label, emi, factors }`, where each factor is
+ * `{ id, label, points, max, detail }`.
+ */
+export function scoreApplication(
+  loan,
+  loans,
+  policy = DEFAULT_SCORING_POLICY,
+  now = new Date()
+) {
+  const others = loans.filter(
+    (l) => l.borrowerId === loan.borrowerId && l.id !== loan.id
+  );
+  const emi = calculateEMI(loan.amount, getLoanRate(loan), loan.duration);
+  const income = Number(loan.employment?.monthlyIncome) || 0;
+
+  const factor = (id, label, weight, share, detail) => ({
+    id,
+    label,
+    points: round1(weight * share),
+    max: weight,
+    detail,
+  });
+
+  const coverage = income > 0 && emi > 0 ? income / emi : 0;
+  const incomeFactor = factor(
+    "income",
+    "Income",
+    policy.incomeWeight,
+    clamp01((coverage - 1) / (policy.incomeCoverage - 1)),
+    income > 0
+      ? `${money(income)} a month, ${round1(coverage)}x the ${money(emi)} EMI`
+      : "No income declared"
+  );
+
+  // Declared EMIs may already include the loans we know of
+  const storeEmis = others
+    .filter((l) => REPAYING.includes(l.status))
+    .reduce((sum, l) => sum + currentEmi(l), 0);
+  const existing = Math.max(
+    Number(loan.employment?.monthlyObligations) || 0,
+    storeEmis
+  );
+  const dti = income > 0 ? ((existing + emi) / income) * 100 : null;
+  const dtiFactor = factor(
+    "dti",
+    "Debt-to-income",
+    policy.dtiWeight,
+    dti === null
+      ? 0
+      : clamp01((policy.maxDti - dti) / (policy.maxDti - policy.targetDti)),
+    dti === null
+      ? "Unknown without declared income"
+      : `${round1(dti)}% of income on EMIs (${money(existing)} existing)`
+  );
+
+  const { onTime, total } = repaymentRecord(others, now);
+  const historyFactor = factor(
+    "history",
+    "Repayment history",
+    policy.historyWeight,
+    total > 0 ? onTime / total : 0.5,
+    total > 0
+      ? `${onTime} of ${total} EMIs due so far paid on time`
+      : "No repayment history yet"
+  );
+
+  const largest = others
+    .filter((l) => l.disbursedAt)
+    .reduce((max, l) => Math.max(max, Number(l.amount) || 0), 0);
+  const multiple = largest > 0 ? Number(loan.amount) / largest : null;
+  const sizeFactor = factor(
+    "size",
+    "Size vs history",
+    policy.sizeWeight,
+    multiple === null
+      ? 0.5
+      : clamp01(
+          (policy.maxSizeMultiple - multiple) / (policy.maxSizeMultiple - 1)
+        ),
+    multiple === null
+      ? "First loan with us"
+      : `${round1(multiple)}x the largest earlier loan (${money(largest)})`
+  );
+
+  const factors = [incomeFactor, dtiFactor, historyFactor, sizeFactor];
+  const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+  const grade = getRiskGrade(score, policy);
+  return { score, grade, label: RISK_GRADES[grade], emi, factors };
+}
@@ -0,0 +1,199 @@
+import { DOCUMENT_TYPES, getDocumentLabel } from "./products.js";
+
+/**
+ * Documents borrowers attach to a loan application, and their review.
+ * The files live in the document vault (repository.documents); the loan
+ * keeps one entry per document type in `loan.documents`:
+ *   { type, documentId, fileName, size, mimeType, uploadedAt, status,
+ *     comment, reviewedBy, reviewedByName, reviewedAt }
+ * An admin marks each entry verified or rejected (with a comment). A loan
+ * cannot be approved until every document its product requires is
+ * verified; a rejected one can be replaced while the loan is pending.
+ * Shared by the dashboards and the reference server.
+ */
+
+export const DOCUMENT_STATUS = {
+  PENDING: "pending",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+};
+
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+export const ACCEPTED_DOCUMENT_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+];
+
+// Fields only an admin's review may set
+const REVIEW_FIELDS = [
+  "status",
+  "comment",
+  "reviewedBy",
+  "reviewedByName",
+  "reviewedAt",
+];
+
+/** Returns an error message if the file cannot go into the vault. */
+export function checkDocumentFile({ size, mimeType }) {
+  if (!ACCEPTED_DOCUMENT_TYPES.includes(mimeType)) {
+    return "Upload a PDF, JPEG or PNG file.";
+  }
+  if (!(size > 0)) return "That file is empty.";
+  if (size > MAX_DOCUMENT_BYTES) {
+    return `Files can be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`;
+  }
+  return null;
+}
+
+/** The loan's entry for a vault document that still needs review. */
+export function newDocumentEntry(type, stored) {
+  return {
+    type,
+    documentId: stored.id,
+    fileName: stored.fileName,
+    size: stored.size,
+    mimeType: stored.mimeType,
+    uploadedAt: stored.uploadedAt || new Date().toISOString(),
+    status: DOCUMENT_STATUS.PENDING,
+  };
+}
+
+export function getLoanDocument(loan, type) {
+  return (loan.documents || []).find((d) => d.type === type) || null;
+}
+
+/** Required document types that are not verified yet. */
+export function getUnverifiedDocuments(loan) {
+  return (loan.requiredDocuments || []).filter(
+    (type) => getLoanDocument(loan, type)?.status !== DOCUMENT_STATUS.VERIFIED
+  );
+}
+
+/** Returns an error message while required documents are unverified. */
+export function checkDocumentsVerified(loan) {
+  const unverified = getUnverifiedDocuments(loan);
+  if (unverified.length === 0) return null;
+  return `Verify the required documents first: ${unverified
+    .map(getDocumentLabel)
+    .join(", ")}.`;
+}
+
+/**
+ * Records an admin's verdict on the loan's document of `type`.
+ * Returns `{ loan }` or `{ error }`; rejecting needs a comment.
+ */
+export function reviewDocument(loan, type, { status, comment = "" }, actor) {
+  if (actor?.role !== "admin") {
+    return { error: "Only admins review documents." };
+  }
+  const entry = getLoanDocument(loan, type);
+  if (!entry) return { error: `${getDocumentLabel(type)} was not uploaded.` };
+  if (![DOCUMENT_STATUS.VERIFIED, DOCUMENT_STATUS.REJECTED].includes(status)) {
+    return { error: "Mark the document verified or rejected." };
+  }
+  const note = String(comment).trim();
+  if (status === DOCUMENT_STATUS.REJECTED && !note) {
+    return { error: "Tell the borrower why the document was rejected." };
+  }
+
+  return {
+    loan: {
+      ...loan,
+      documents: loan.documents.map((d) =>
+        d.type === type
+          ? {
+              ...d,
+              status,
+              comment: note,
+              reviewedBy: actor.id,
+              reviewedByName: actor.name,
+              reviewedAt: new Date().toISOString(),
+            }
+          : d
+      ),
+    },
+  };
+}
+
+/**
+ * Attaches (or replaces) the borrower's document of `type` on their
+ * pending loan. Returns `{ loan }` or `{ error }`.
+ */
+export function attachDocument(loan, type, stored, actor) {
+  if (actor?.role !== "borrower" || loan.borrowerId !== actor.id) {
+    return { error: "You can only add documents to your own loans." };
+  }
+  if (loan.status !== "Pending") {
+    return { error: "Documents can only change while the loan is pending." };
+  }
+  if (getLoanDocument(loan, type)?.status === DOCUMENT_STATUS.VERIFIED) {
+    return { error: `${getDocumentLabel(type)} is already verified.` };
+  }
+  const entry = newDocumentEntry(type, stored);
+  return {
+    loan: {
+      ...loan,
+      documents: [
+        ...(loan.documents || []).filter((d) => d.type !== type),
+        entry,
+      ],
+    },
+  };
+}
+
+/**
+ * Returns an error message unless `documents` is a list of entries, each
+ * for a known document type.
+ */
+export function checkDocumentEntries(documents) {
+  if (!Array.isArray(documents)) return "Documents must be a list.";
+  const invalid = documents.some(
+    (entry) =>
+      !entry ||
+      typeof entry !== "object" ||
+      !DOCUMENT_TYPES.some((type) => type.id === entry.type)
+  );
+  return invalid ? "Each document needs a known type." : null;
+}
+
+/**
+ * Returns an error message when a generic edit changes `loan.documents`
+ * in a way `actor` may not: only admins review, and borrowers only add
+ * documents that still need review.
+ */
+export function checkDocumentChanges(before, after, actor) {
+  const previous = before.documents || [];
+  const next = after.documents || [];
+  if (JSON.stringify(previous) === JSON.stringify(next)) return null;
+  if (actor.role === "admin") return null;
+  if (actor.role !== "borrower" || before.borrowerId !== actor.id) {
+    return "You cannot change this loan's documents.";
+  }
+  if (before.status !== "Pending") {
+    return "Documents can only change while the loan is pending.";
+  }
+  const reviewChanged = next.some((entry) => {
+    const old = previous.find((d) => d.documentId === entry.documentId);
+    return old
+      ? REVIEW_FIELDS.some((field) => old[field] !== entry[field])
+      : entry.status !== DOCUMENT_STATUS.PENDING;
+  });
+  return reviewChanged ? "Only admins can review documents." : null;
+}
+
+/** Documents waiting for review on pending loans, oldest upload first. */
+export function getReviewQueue(loans) {
+  return loans
+    .filter((loan) => loan.status === "Pending")
+    .flatMap((loan) =>
+      (loan.documents || [])
+        // Entries from before reviews existed have no status yet
+        .filter((d) => !d.status || d.status === DOCUMENT_STATUS.PENDING)
+        .map((document) => ({ loan, document }))
+    )
+    .sort((a, b) =>
+      String(a.document.uploadedAt).localeCompare(b.document.uploadedAt)
+    );
+}
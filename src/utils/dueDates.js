@@ -0,0 +1,141 @@
+import { getEmiBalance } from "./amortization.js";
+
+/**
+ * EMI calendar: due dates, overdue tracking and upcoming payments.
+ * EMI N falls due N months after the loan's `disbursedAt`, on the same day
+ * of the month (clamped to the month's last day, so a loan disbursed on
+ * 31 Jan is due 28/29 Feb, 31 Mar, 30 Apr ...). Loans that have not been
+ * disbursed yet have no due dates.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// EMIs due within this many days count as "due soon"
+export const DUE_SOON_DAYS = 7;
+
+export const EMI_STATUS = {
+  PAID: "paid",
+  OVERDUE: "overdue",
+  DUE_SOON: "dueSoon",
+  UPCOMING: "upcoming",
+  UNSCHEDULED: "unscheduled", // not disbursed yet
+};
+
+const startOfDay = (value) => {
+  const d = new Date(value);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/** Whole calendar days from `from` to `to` (negative when `to` is earlier). */
+export function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+/** `date` moved `months` ahead, keeping the day of month where possible. */
+export function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+}
+
+/** Due date of the EMI at `index` (0-based), or null before disbursement. */
+export function getDueDate(loan, index) {
+  const row = loan?.repayments?.[index];
+  if (row?.dueDate) return new Date(row.dueDate);
+  if (!loan?.disbursedAt) return null;
+  return addMonths(loan.disbursedAt, index + 1);
+}
+
+/**
+ * Returns the loan with `dueDate` stamped on every EMI row that lacks one.
+ * Called when funds are disbursed; the same loan is returned if nothing
+ * changes.
+ */
+export function withDueDates(loan) {
+  if (!loan?.disbursedAt || !loan.repayments?.length) return loan;
+  if (loan.repayments.every((r) => r.dueDate)) return loan;
+  return {
+    ...loan,
+    repayments: loan.repayments.map((row, i) =>
+      row.dueDate
+        ? row
+        : { ...row, dueDate: getDueDate(loan, i).toISOString() }
+    ),
+  };
+}
+
+/** Whole days an unpaid EMI is past its due date (0 when not overdue). */
+export function getDaysPastDue(loan, index, now = new Date()) {
+  const row = loan?.repayments?.[index];
+  const due = getDueDate(loan, index);
+  if (!row || row.paid || !due) return 0;
+  return Math.max(daysBetween(due, now), 0);
+}
+
+export function getEmiStatus(loan, index, now = new Date()) {
+  const row = loan?.repayments?.[index];
+  if (row?.paid) return EMI_STATUS.PAID;
+  const due = getDueDate(loan, index);
+  if (!due) return EMI_STATUS.UNSCHEDULED;
+  if (getDaysPastDue(loan, index, now) > 0) return EMI_STATUS.OVERDUE;
+  const daysLeft = daysBetween(now, due);
+  return daysLeft <= DUE_SOON_DAYS ? EMI_STATUS.DUE_SOON : EMI_STATUS.UPCOMING;
+}
+
+/** Unpaid EMIs past their due date, as `{ index, row, dueDate, daysPastDue }`. */
+export function getOverdueEmis(loan, now = new Date()) {
+  return (loan?.repayments || [])
+    .map((row, index) => ({
+      index,
+      row,
+      dueDate: getDueDate(loan, index),
+      daysPastDue: getDaysPastDue(loan, index, now),
+    }))
+    .filter((emi) => emi.daysPastDue > 0);
+}
+
+/**
+ * Overdue summary for a loan: how many EMIs, how much money and the
+ * oldest one's days past due (the loan's DPD).
+ */
+export function getDelinquency(loan, now = new Date()) {
+  const overdue = getOverdueEmis(loan, now);
+  return {
+    overdueCount: overdue.length,
+    overdueAmount: overdue.reduce((sum, e) => sum + getEmiBalance(e.row), 0),
+    daysPastDue: overdue.reduce((max, e) => Math.max(max, e.daysPastDue), 0),
+  };
+}
+
+/** The first unpaid EMI with a due date, or null. */
+export function getNextDueEmi(loan) {
+  const index = (loan?.repayments || []).findIndex((r) => !r.paid);
+  if (index === -1) return null;
+  const dueDate = getDueDate(loan, index);
+  return dueDate ? { index, row: loan.repayments[index], dueDate } : null;
+}
+
+/**
+ * Unpaid EMIs across `loans` falling due within the next `days` days,
+ * soonest first, as `{ loan, index, row, dueDate }`.
+ */
+export function getUpcomingEmis(loans, days = 30, now = new Date()) {
+  const from = startOfDay(now);
+  const until = new Date(from.getTime() + days * DAY_MS);
+  const upcoming = [];
+  for (const loan of loans) {
+    (loan.repayments || []).forEach((row, index) => {
+      if (row.paid) return;
+      const dueDate = getDueDate(loan, index);
+      if (dueDate && dueDate >= from && dueDate <= until) {
+        upcoming.push({ loan, index, row, dueDate });
+      }
+    });
+  }
+  return upcoming.sort((a, b) => a.dueDate - b.dueDate);
+}
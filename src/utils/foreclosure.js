@@ -0,0 +1,205 @@
+import { getLoanRate } from "./amortization.js";
+import { daysBetween, getDueDate } from "./dueDates.js";
+import { getEmiDue } from "./payments.js";
+import { getEmiPenalty } from "./penalties.js";
+
+/**
+ * Early closure (foreclosure) of a disbursed loan.
+ * A payoff quote for a date is made of
+ * - the outstanding principal on every unpaid EMI,
+ * - interest: unpaid interest on EMIs already due, plus interest accrued
+ *   on the remaining balance since the last due date that has passed
+ *   (never more than the current EMI's own interest); later EMIs'
+ *   interest is waived,
+ * - late charges still owed on overdue EMIs, and
+ * - a foreclosure charge of `chargePercent` % of the outstanding principal.
+ * Like the penalty policy, the charge is copied onto the loan at
+ * disbursement (`loan.foreclosurePolicy`).
+ * Accepting a quote settles every remaining EMI in one payment and records
+ * the quote on the loan as `loan.foreclosure`.
+ */
+
+export const DEFAULT_FORECLOSURE_POLICY = {
+  chargePercent: 2,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Checks admin input; returns `{ policy }` or `{ error }`. */
+export function validateForeclosurePolicy(input = {}) {
+  const chargePercent = Number(
+    input.chargePercent ?? DEFAULT_FORECLOSURE_POLICY.chargePercent
+  );
+  if (
+    !Number.isFinite(chargePercent) ||
+    chargePercent < 0 ||
+    chargePercent > 10
+  ) {
+    return { error: "Foreclosure charge must be between 0 and 10%." };
+  }
+  return { policy: { chargePercent } };
+}
+
+export function getForeclosurePolicy(loan) {
+  return { ...DEFAULT_FORECLOSURE_POLICY, ...loan?.foreclosurePolicy };
+}
+
+// The quote plus how the accrued interest was worked out, which settling
+// needs to allocate it: `{ quote, accruedIndex, accrued }` or `{ error }`
+function computeQuote(loan, asOf, now) {
+  if (!loan?.disbursedAt || !loan.repayments?.length) {
+    return { error: "Only disbursed loans can be closed early." };
+  }
+  if (loan.foreclosure) return { error: "This loan was already closed early." };
+  const date = new Date(asOf);
+  if (Number.isNaN(date.getTime())) return { error: "Pick a valid date." };
+  if (daysBetween(now, date) < 0) {
+    return { error: "A payoff quote cannot be for a past date." };
+  }
+
+  const rows = loan.repayments;
+  const firstFuture = rows.findIndex(
+    (row, index) => !row.paid && daysBetween(getDueDate(loan, index), date) < 0
+  );
+
+  let principal = 0;
+  let interest = 0;
+  let lateCharges = 0;
+  let interestWaived = 0;
+  let futureBalance = 0;
+  rows.forEach((row, index) => {
+    if (row.paid) return;
+    const due = getEmiDue(loan, index, date);
+    principal += due.principal;
+    if (firstFuture === -1 || index < firstFuture) {
+      interest += due.interest;
+      lateCharges += due.fees;
+    } else {
+      futureBalance += due.principal;
+      interestWaived += due.interest;
+    }
+  });
+
+  // Interest runs on the remaining balance from the last due date already
+  // passed (or the disbursement) up to the payoff date. EMIs paid ahead of
+  // their due date do not move that start forward.
+  let accrued = 0;
+  if (firstFuture !== -1) {
+    const lastPassed = rows
+      .slice(0, firstFuture)
+      .findLastIndex(
+        (_, index) => daysBetween(getDueDate(loan, index), date) >= 0
+      );
+    const from =
+      lastPassed === -1
+        ? new Date(loan.disbursedAt)
+        : getDueDate(loan, lastPassed);
+    const days = Math.max(daysBetween(from, date), 0);
+    const cap = getEmiDue(loan, firstFuture, date).interest;
+    accrued = Math.min(
+      round2((futureBalance * getLoanRate(loan) * days) / 100 / 365),
+      cap
+    );
+  }
+
+  const { chargePercent } = getForeclosurePolicy(loan);
+  principal = round2(principal);
+  const charge = round2((principal * chargePercent) / 100);
+  interest = round2(interest + accrued);
+  lateCharges = round2(lateCharges);
+  if (principal <= 0 && interest <= 0 && lateCharges <= 0) {
+    return { error: "Nothing is owed on this loan." };
+  }
+
+  return {
+    quote: {
+      asOf: date.toISOString(),
+      principal,
+      interest,
+      lateCharges,
+      charge,
+      chargePercent,
+      total: round2(principal + interest + lateCharges + charge),
+      interestWaived: round2(interestWaived - accrued),
+    },
+    accruedIndex: firstFuture,
+    accrued,
+  };
+}
+
+/**
+ * Payoff quote for settling the loan on `asOf` (today or later):
+ * `{ asOf, principal, interest, lateCharges, charge, chargePercent, total,
+ * interestWaived }`, or `{ error }` when the loan cannot be closed.
+ */
+export function getForeclosureQuote(loan, asOf = new Date(), now = new Date()) {
+  const result = computeQuote(loan, asOf, now);
+  return result.error ? result : result.quote;
+}
+
+/**
+ * Settles the loan at today's quote: every unpaid EMI is marked paid by one
+ * foreclosure payment. Returns `{ loan, quote, payment }` or `{ error }`;
+ * the caller completes the loan.
+ */
+export function applyForeclosure(
+  loan,
+  { paidAt = new Date().toISOString(), actor = null } = {}
+) {
+  const at = new Date(paidAt);
+  const result = computeQuote(loan, at, at);
+  if (result.error) return result;
+  const { quote, accruedIndex, accrued } = result;
+
+  const allocations = [];
+  const repayments = loan.repayments.map((row, index) => {
+    if (row.paid) return row;
+    const due = getEmiDue(loan, index, at);
+    const isDue = accruedIndex === -1 || index < accruedIndex;
+    const part = {
+      installment: index + 1,
+      fees: isDue ? due.fees : 0,
+      interest: isDue ? due.interest : index === accruedIndex ? accrued : 0,
+      principal: due.principal,
+    };
+    allocations.push(part);
+
+    const { lateFee, penalInterest } = getEmiPenalty(loan, index, at);
+    return {
+      ...row,
+      paid: true,
+      paidAt,
+      paidFees: round2(Number(row.paidFees || 0) + part.fees),
+      paidInterest: round2(Number(row.paidInterest || 0) + part.interest),
+      paidPrincipal: round2(Number(row.paidPrincipal || 0) + part.principal),
+      lateFee: isDue ? lateFee : 0,
+      penalInterest: isDue ? penalInterest : 0,
+    };
+  });
+
+  const payment = {
+    id: Date.now(),
+    type: "foreclosure",
+    amount: quote.total,
+    charge: quote.charge,
+    paidAt,
+    by: actor?.id ?? null,
+    byName: actor?.name ?? null,
+    allocations,
+  };
+  return {
+    loan: {
+      ...loan,
+      repayments,
+      payments: [...(loan.payments || []), payment],
+      foreclosure: {
+        ...quote,
+        settledAt: paidAt,
+        by: actor?.id ?? null,
+        byName: actor?.name ?? null,
+      },
+    },
+    quote,
+    payment,
+  };
+}
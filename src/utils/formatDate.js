@@ -1,6 +1,7 @@
 const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec']
 
 export default function formatDate(input) {
+  if (!input) return ''
   const d = new Date(input)
   if (isNaN(d)) return ''
   const dd = String(d.getDate()).padStart(2, '0')
@@ -8,11 +9,3 @@ export default function formatDate(input) {
   const yyyy = d.getFullYear()
   return `${dd}-${mmm}-${yyyy}`
 }
-export const formatDate = (date) => {
-  const d = new Date(date);
-  return d.toLocaleDateString("en-IN", {
-    day: "2-digit",
-    month: "short",
-    year: "numeric",
-  });
-};
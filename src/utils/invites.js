@@ -0,0 +1,98 @@
+/**
+ * Invitation codes for privileged sign-up.
+ * Public registration always creates a borrower; an admin-issued code is
+ * the only way to register as a lender, analyst or admin. Each code is for
+ * one role, can be redeemed once and expires after a set number of days.
+ * Shared by the localStorage adapter and the reference server.
+ */
+
+export const INVITE_ROLES = ["lender", "analyst", "admin"];
+export const DEFAULT_INVITE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// No 0/O or 1/I so codes can be read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+export function generateInviteCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+  return Array.from(
+    bytes,
+    (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]
+  ).join("");
+}
+
+export function normalizeInviteCode(code) {
+  return String(code || "").trim().toUpperCase().replace(/[\s-]/g, "");
+}
+
+/** "redeemed", "expired" or "active". */
+export function inviteStatus(invite, now = Date.now()) {
+  if (invite.redeemedAt) return "redeemed";
+  if (new Date(invite.expiresAt).getTime() <= now) return "expired";
+  return "active";
+}
+
+/**
+ * Builds a new invite record. Returns `{ invite }` or `{ error }` when the
+ * role or expiry is not allowed.
+ */
+export function buildInvite(
+  { role, expiresInDays = DEFAULT_INVITE_DAYS },
+  admin
+) {
+  if (!INVITE_ROLES.includes(role)) {
+    return { error: "Invites can only be issued for lender, analyst or admin." };
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > 90) {
+    return { error: "Invites must expire within 1 to 90 days." };
+  }
+
+  const now = Date.now();
+  return {
+    invite: {
+      code: generateInviteCode(),
+      role,
+      createdBy: admin?.id ?? null,
+      createdByName: admin?.name ?? null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + days * DAY_MS).toISOString(),
+      redeemedAt: null,
+      redeemedBy: null,
+      redeemedByEmail: null,
+    },
+  };
+}
+
+/**
+ * Decides the role for a new sign-up.
+ * Without a code the account is always a borrower; with one the invite's
+ * role is used. The first admin is seeded by the deployment, never by
+ * sign-up. Returns `{ role, invite }` or `{ error }`.
+ */
+export function resolveSignupRole(inviteCode, invites) {
+  const code = normalizeInviteCode(inviteCode);
+  if (!code) return { role: "borrower", invite: null };
+
+  const invite = invites.find((i) => i.code === code);
+  if (!invite) return { error: "Invitation code is not valid." };
+
+  const status = inviteStatus(invite);
+  if (status === "redeemed") {
+    return { error: "This invitation code has already been used." };
+  }
+  if (status === "expired") {
+    return { error: "This invitation code has expired." };
+  }
+  return { role: invite.role, invite };
+}
+
+/** Fields that mark `invite` as used by `user`. */
+export function redemptionPatch(user) {
+  return {
+    redeemedAt: new Date().toISOString(),
+    redeemedBy: user.id,
+    redeemedByEmail: user.email,
+  };
+}
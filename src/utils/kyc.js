@@ -0,0 +1,160 @@
+/**
+ * Borrower KYC: Aadhaar and PAN format checks, and masking for display.
+ * A borrower's KYC is kept once on their profile (`user.kyc`) and copied
+ * onto each loan they apply for.
+ * Shared by the localStorage adapter and the reference server.
+ */
+
+// Verhoeff checksum tables (dihedral group D5)
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+// The fourth character of a PAN says what kind of holder it belongs to
+export const PAN_HOLDER_TYPES = {
+  P: "Individual",
+  C: "Company",
+  H: "Hindu Undivided Family",
+  F: "Firm / LLP",
+  A: "Association of Persons",
+  T: "Trust",
+  B: "Body of Individuals",
+  L: "Local Authority",
+  J: "Artificial Juridical Person",
+  G: "Government",
+};
+
+const PAN_PATTERN = /^[A-Z]{3}([A-Z])[A-Z]\d{4}[A-Z]$/;
+
+/** True when the digit string passes the Verhoeff check. */
+export function isVerhoeffValid(digits) {
+  let check = 0;
+  [...digits].reverse().forEach((digit, i) => {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][Number(digit)]];
+  });
+  return check === 0;
+}
+
+// "2345 6789-0124" -> "234567890124"
+export function normalizeAadhaar(value) {
+  return String(value ?? "").replace(/[\s-]/g, "");
+}
+
+export function normalizePan(value) {
+  return String(value ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+/** Returns an error message, or null for a valid Aadhaar number. */
+export function checkAadhaar(value) {
+  const aadhaar = normalizeAadhaar(value);
+  if (!/^\d{12}$/.test(aadhaar)) return "Aadhaar numbers have 12 digits.";
+  if (/^[01]/.test(aadhaar)) return "Aadhaar numbers never start with 0 or 1.";
+  if (!isVerhoeffValid(aadhaar)) {
+    return "That Aadhaar number is not valid; check it for typos.";
+  }
+  return null;
+}
+
+/** Returns an error message, or null for a well-formed PAN. */
+export function checkPan(value) {
+  const match = PAN_PATTERN.exec(normalizePan(value));
+  if (!match) {
+    return "PANs look like ABCPE1234F: 5 letters, 4 digits, a letter.";
+  }
+  if (!PAN_HOLDER_TYPES[match[1]]) {
+    return `"${match[1]}" is not a PAN holder type; check the 4th character.`;
+  }
+  return null;
+}
+
+/**
+ * Checks a borrower's KYC details; returns `{ kyc }` with the numbers
+ * normalized, or `{ error }`. The PAN has to be a personal one.
+ */
+export function validateKyc(input = {}) {
+  const aadhaarError = checkAadhaar(input.aadhar);
+  if (aadhaarError) return { error: aadhaarError };
+
+  const pan = normalizePan(input.pan);
+  const panError = checkPan(pan);
+  if (panError) return { error: panError };
+  if (pan[3] !== "P") {
+    const holder = PAN_HOLDER_TYPES[pan[3]].toLowerCase();
+    return { error: `Use your personal PAN; this one belongs to a ${holder}.` };
+  }
+
+  const address = String(input.address ?? "").trim();
+  if (!address) return { error: "Please enter your address." };
+
+  return {
+    kyc: {
+      aadhar: normalizeAadhaar(input.aadhar),
+      pan,
+      address,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/** "XXXX XXXX 0124"; anything unexpected keeps only its last 4 characters. */
+export function maskAadhaar(value) {
+  const aadhaar = normalizeAadhaar(value);
+  if (!aadhaar) return "";
+  return `XXXX XXXX ${aadhaar.slice(-4)}`;
+}
+
+/** "XXXXXX234F" */
+export function maskPan(value) {
+  const pan = normalizePan(value);
+  if (!pan) return "";
+  return pan.slice(-4).padStart(pan.length, "X");
+}
+
+// Shown instead of an address to anyone who may not see it
+export const MASKED_ADDRESS = "Hidden";
+
+/** The record with its `aadhar`, `pan` and `address` masked. */
+export function maskKycFields(record) {
+  const masked = { ...record };
+  if (record.aadhar) masked.aadhar = maskAadhaar(record.aadhar);
+  if (record.pan) masked.pan = maskPan(record.pan);
+  if (record.address) masked.address = MASKED_ADDRESS;
+  return masked;
+}
+
+/** True when any of the record's KYC fields is readable as it stands. */
+export function hasClearKyc(record) {
+  const masked = maskKycFields(record);
+  return ["aadhar", "pan", "address"].some(
+    (field) => record[field] && record[field] !== masked[field]
+  );
+}
+
+/** Only admins and the borrower themself may see a borrower's KYC. */
+export function canViewKyc(actor, borrowerId) {
+  return (
+    actor?.role === "admin" ||
+    (actor?.role === "borrower" && actor.id === borrowerId)
+  );
+}
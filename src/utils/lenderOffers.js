@@ -0,0 +1,128 @@
+/**
+ * Lender offers.
+ * Assigning a lender to an approved loan offers it to them; the lender
+ * accepts or declines within OFFER_VALID_HOURS, and only accepting makes
+ * them the loan's lender. Every offer is kept, newest last:
+ *   loan.offers = [{ lenderId, lenderName, by, byName, at, expiresAt,
+ *                    status, respondedAt, note }]
+ * An offer still "pending" past its deadline counts as expired. Declined
+ * and expired offers leave the loan with the admins to assign again.
+ * The lifecycle (utils/loanLifecycle) checks offers through its
+ * `assignLender`, `acceptOffer` and `declineOffer` actions.
+ */
+
+export const OFFER_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+};
+
+export const OFFER_VALID_HOURS = 48;
+
+const MAX_NOTE_LENGTH = 500;
+
+export function getLatestOffer(loan) {
+  return loan.offers?.[loan.offers.length - 1] || null;
+}
+
+/** The offer's status, with pending offers past their deadline expired. */
+export function getOfferStatus(offer, now = new Date()) {
+  if (
+    offer.status === OFFER_STATUS.PENDING &&
+    new Date(offer.expiresAt) < now
+  ) {
+    return OFFER_STATUS.EXPIRED;
+  }
+  return offer.status;
+}
+
+/** The offer waiting for the lender's answer, if any. */
+export function getOpenOffer(loan, now = new Date()) {
+  const offer = getLatestOffer(loan);
+  return offer && getOfferStatus(offer, now) === OFFER_STATUS.PENDING
+    ? offer
+    : null;
+}
+
+/** Whether `loan` waits for `lenderId` to answer an offer. */
+export function isOfferedTo(loan, lenderId, now = new Date()) {
+  return getOpenOffer(loan, now)?.lenderId === lenderId;
+}
+
+/** Guard for offering `loan` to `lender`; returns an error message or null. */
+export function checkOffer(loan, lender, now = new Date()) {
+  if (loan.lenderId) return "This loan already has a lender.";
+  const open = getOpenOffer(loan, now);
+  if (open) return `Waiting for ${open.lenderName} to answer the offer.`;
+  if (!lender || lender.role !== "lender") {
+    return "Please select a valid lender.";
+  }
+  return null;
+}
+
+/** Guard for `actor` answering the open offer on `loan`. */
+export function checkOfferResponse(loan, actor, now = new Date()) {
+  const offer = getLatestOffer(loan);
+  if (!offer || offer.lenderId !== actor.id) {
+    return "This loan is not offered to you.";
+  }
+  const status = getOfferStatus(offer, now);
+  if (status === OFFER_STATUS.EXPIRED) return "This offer has expired.";
+  if (status !== OFFER_STATUS.PENDING) {
+    return `You already ${status} this offer.`;
+  }
+  return null;
+}
+
+/**
+ * Patch that offers `loan` to `lender` on behalf of `actor`. A pending
+ * offer past its deadline is marked expired on the way.
+ */
+export function makeOffer(loan, lender, actor, now = new Date()) {
+  const offers = (loan.offers || []).map((offer) =>
+    getOfferStatus(offer, now) === OFFER_STATUS.EXPIRED &&
+    offer.status === OFFER_STATUS.PENDING
+      ? { ...offer, status: OFFER_STATUS.EXPIRED }
+      : offer
+  );
+  const expiresAt = new Date(now.getTime() + OFFER_VALID_HOURS * 3600 * 1000);
+  return {
+    offers: [
+      ...offers,
+      {
+        lenderId: lender.id,
+        lenderName: lender.name,
+        by: actor.id,
+        byName: actor.name,
+        at: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        status: OFFER_STATUS.PENDING,
+      },
+    ],
+  };
+}
+
+/**
+ * Patch with the lender's answer to the open offer; accepting makes them
+ * the loan's lender. `note` is an optional reason for declining.
+ */
+export function answerOffer(
+  loan,
+  accepted,
+  actor,
+  note = "",
+  now = new Date()
+) {
+  const offers = [...(loan.offers || [])];
+  const reason = String(note || "").trim();
+  offers[offers.length - 1] = {
+    ...offers[offers.length - 1],
+    status: accepted ? OFFER_STATUS.ACCEPTED : OFFER_STATUS.DECLINED,
+    respondedAt: now.toISOString(),
+    note: reason.slice(0, MAX_NOTE_LENGTH),
+  };
+  return accepted
+    ? { offers, lenderId: actor.id, lenderName: actor.name }
+    : { offers };
+}
@@ -0,0 +1,170 @@
+import { OFFER_STATUS, getLatestOffer, getOpenOffer } from "./lenderOffers.js";
+import { getRejectionLabel } from "./rejection.js";
+
+/**
+ * Real-time loan events.
+ * Events are derived by comparing a loan before and after a write, so the
+ * reference server and the browser (when it is its own backend) describe
+ * every change the same way, whichever code path made it.
+ */
+
+export const LOAN_EVENT = "loan:event";
+
+export const LOAN_EVENTS = {
+  CREATED: "created",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  APPEALED: "appealed",
+  OFFERED: "offered",
+  OFFER_DECLINED: "offerDeclined",
+  ASSIGNED: "assigned",
+  DISBURSED: "disbursed",
+  EMI_PAID: "emiPaid",
+  FORECLOSED: "foreclosed",
+  HOLIDAY_REQUESTED: "holidayRequested",
+  HOLIDAY_GRANTED: "holidayGranted",
+  HOLIDAY_DECLINED: "holidayDeclined",
+  COMPLETED: "completed",
+};
+
+const STATUS_EVENTS = {
+  Approved: LOAN_EVENTS.APPROVED,
+  Rejected: LOAN_EVENTS.REJECTED,
+  "Funds Disbursed": LOAN_EVENTS.DISBURSED,
+  Completed: LOAN_EVENTS.COMPLETED,
+};
+
+/** Event types for a write that turned `before` (null if new) into `after`. */
+export function deriveLoanEvents(before, after) {
+  if (!after) return [];
+  if (!before) return [LOAN_EVENTS.CREATED];
+
+  const types = [];
+  // Offers to lenders; acceptance shows up as the assignment below
+  if ((after.offers?.length || 0) > (before.offers?.length || 0)) {
+    types.push(LOAN_EVENTS.OFFERED);
+  } else if (
+    getLatestOffer(after)?.status === OFFER_STATUS.DECLINED &&
+    getLatestOffer(before)?.status === OFFER_STATUS.PENDING
+  ) {
+    types.push(LOAN_EVENTS.OFFER_DECLINED);
+  }
+  if (after.lenderId && after.lenderId !== before.lenderId) {
+    types.push(LOAN_EVENTS.ASSIGNED);
+  }
+  // Assigning a lender used to approve a pending loan too; the assignment
+  // event covers both
+  if (
+    after.status !== before.status &&
+    STATUS_EVENTS[after.status] &&
+    !(types.length && after.status === "Approved")
+  ) {
+    types.push(STATUS_EVENTS[after.status]);
+  }
+  // Back to Pending: the borrower appealed a rejection
+  if (after.appeal && !before.appeal) types.push(LOAN_EVENTS.APPEALED);
+
+  // Payments are transactions; loans from before they were recorded only
+  // show up as EMIs flipping to paid. Closing early is its own event.
+  const paidBefore = (before.repayments || []).filter((r) => r.paid).length;
+  const paidAfter = (after.repayments || []).filter((r) => r.paid).length;
+  if (after.foreclosure && !before.foreclosure) {
+    types.push(LOAN_EVENTS.FORECLOSED);
+  } else if (
+    (after.payments?.length || 0) > (before.payments?.length || 0) ||
+    paidAfter > paidBefore
+  ) {
+    types.push(LOAN_EVENTS.EMI_PAID);
+  }
+
+  // Repayment holidays: a borrower's request and the admin's answer
+  const request = after.moratoriumRequest;
+  if (
+    request?.requestedAt &&
+    request.requestedAt !== before.moratoriumRequest?.requestedAt &&
+    request.status === "pending"
+  ) {
+    types.push(LOAN_EVENTS.HOLIDAY_REQUESTED);
+  } else if (
+    request?.status === "declined" &&
+    before.moratoriumRequest?.status === "pending"
+  ) {
+    types.push(LOAN_EVENTS.HOLIDAY_DECLINED);
+  }
+  if ((after.moratoria?.length || 0) > (before.moratoria?.length || 0)) {
+    types.push(LOAN_EVENTS.HOLIDAY_GRANTED);
+  }
+
+  // Payments come before the completion they caused
+  const completedAt = types.indexOf(LOAN_EVENTS.COMPLETED);
+  if (
+    completedAt !== -1 &&
+    (types.includes(LOAN_EVENTS.EMI_PAID) ||
+      types.includes(LOAN_EVENTS.FORECLOSED))
+  ) {
+    types.splice(completedAt, 1);
+    types.push(LOAN_EVENTS.COMPLETED);
+  }
+  return types;
+}
+
+export function buildLoanEvent(type, loan, actor) {
+  return {
+    type,
+    loan,
+    actor: actor ? { id: actor.id, name: actor.name, role: actor.role } : null,
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Socket.io rooms that should hear about `loan`: admins and analysts see
+ * everything, borrowers and lenders only their own loans, and a lender
+ * the loans offered to them.
+ */
+export function loanEventRooms(loan) {
+  const rooms = ["role:admin", "role:analyst", `user:${loan.borrowerId}`];
+  if (loan.lenderId) rooms.push(`user:${loan.lenderId}`);
+  const offer = getOpenOffer(loan);
+  if (offer && offer.lenderId !== loan.lenderId) {
+    rooms.push(`user:${offer.lenderId}`);
+  }
+  return rooms;
+}
+
+const MESSAGES = {
+  [LOAN_EVENTS.CREATED]: (l) => `New loan application from ${l.borrowerName}`,
+  [LOAN_EVENTS.APPROVED]: () => "approved",
+  [LOAN_EVENTS.REJECTED]: (l) =>
+    l.rejection
+      ? `rejected: ${getRejectionLabel(l.rejection.code)}`
+      : "rejected",
+  [LOAN_EVENTS.APPEALED]: () => "rejection appealed",
+  [LOAN_EVENTS.OFFERED]: (l) => `offered to ${getLatestOffer(l).lenderName}`,
+  [LOAN_EVENTS.OFFER_DECLINED]: (l) =>
+    `declined by ${getLatestOffer(l).lenderName}`,
+  [LOAN_EVENTS.ASSIGNED]: (l) => `assigned to ${l.lenderName}`,
+  [LOAN_EVENTS.DISBURSED]: () => "disbursed",
+  [LOAN_EVENTS.EMI_PAID]: (l) => {
+    const last = l.payments?.[l.payments.length - 1];
+    return last
+      ? `received a payment of ₹${Number(last.amount).toFixed(2)}`
+      : "received an EMI payment";
+  },
+  [LOAN_EVENTS.FORECLOSED]: (l) =>
+    `closed early for ₹${Number(l.foreclosure.total).toFixed(2)}`,
+  [LOAN_EVENTS.HOLIDAY_REQUESTED]: (l) =>
+    `has a repayment holiday request for ${l.moratoriumRequest.months} EMI(s)`,
+  [LOAN_EVENTS.HOLIDAY_GRANTED]: (l) =>
+    `given a repayment holiday of ${l.moratoria[l.moratoria.length - 1].months} EMI(s)`,
+  [LOAN_EVENTS.HOLIDAY_DECLINED]: () => "repayment holiday request declined",
+  [LOAN_EVENTS.COMPLETED]: () => "fully repaid",
+};
+
+/** One-line notification text, e.g. "Loan of ₹50000 approved". */
+export function describeLoanEvent({ type, loan }) {
+  const describe = MESSAGES[type];
+  if (!describe) return null;
+  if (type === LOAN_EVENTS.CREATED) return describe(loan);
+  return `Loan of ₹${loan.amount} ${describe(loan)}`;
+}
@@ -0,0 +1,208 @@
+import { checkApproval } from "./approvals.js";
+import { checkDocumentsVerified } from "./documents.js";
+import { checkOffer, checkOfferResponse } from "./lenderOffers.js";
+import { checkAppeal, checkRejection } from "./rejection.js";
+
+/**
+ * Loan lifecycle state machine.
+ * Every status change goes through here so that dashboards cannot move a
+ * loan into a state it is not allowed to reach (e.g. assigning a lender to
+ * a rejected loan). Each action declares the statuses it may start from,
+ * the status it leads to, the roles allowed to trigger it and an optional
+ * guard that returns an error message when extra conditions are not met.
+ */
+
+export const LOAN_STATUS = {
+  PENDING: "Pending",
+  APPROVED: "Approved",
+  ASSIGNED: "Assigned", // legacy: lender assigned before approval existed
+  DISBURSED: "Funds Disbursed",
+  COMPLETED: "Completed",
+  REJECTED: "Rejected",
+};
+
+const {
+  PENDING,
+  APPROVED,
+  ASSIGNED,
+  DISBURSED,
+  COMPLETED,
+  REJECTED,
+} = LOAN_STATUS;
+
+export const LOAN_ACTIONS = {
+  approve: {
+    label: "approve",
+    from: [PENDING],
+    to: APPROVED,
+    roles: ["admin"],
+    // The last approval the loan's tier needs (see utils/approvals)
+    guard: (loan, actor, { approval, approvalPolicy } = {}) =>
+      checkDocumentsVerified(loan) ||
+      checkApproval(loan, approval, actor, approvalPolicy, true),
+  },
+  // An approval that leaves others still to give; the status stays
+  addApproval: {
+    label: "approve",
+    from: [PENDING],
+    to: null,
+    roles: ["admin"],
+    guard: (loan, actor, { approval, approvalPolicy } = {}) =>
+      checkDocumentsVerified(loan) ||
+      checkApproval(loan, approval, actor, approvalPolicy, false),
+  },
+  reject: {
+    label: "reject",
+    from: [PENDING, APPROVED],
+    to: REJECTED,
+    roles: ["admin"],
+    guard: (loan, actor, { rejection } = {}) => checkRejection(rejection),
+  },
+  // A rejected application goes back to the admins, once
+  appeal: {
+    label: "appeal",
+    from: [REJECTED],
+    to: PENDING,
+    roles: ["borrower"],
+    guard: (loan, actor, { appeal } = {}) =>
+      loan.borrowerId !== actor.id
+        ? "You can only appeal your own loans."
+        : checkAppeal(loan, appeal),
+  },
+  assignLender: {
+    label: "assign a lender to",
+    // Only once approved, so assigning cannot skip the approval tiers.
+    // Offers the loan to the lender (see utils/lenderOffers); accepting
+    // makes them its lender
+    from: [APPROVED, ASSIGNED],
+    to: null,
+    roles: ["admin"],
+    guard: (loan, actor, { lender } = {}) => checkOffer(loan, lender),
+  },
+  acceptOffer: {
+    label: "accept an offer on",
+    from: [APPROVED, ASSIGNED],
+    to: null,
+    roles: ["lender"],
+    guard: (loan, actor) => checkOfferResponse(loan, actor),
+  },
+  declineOffer: {
+    label: "decline an offer on",
+    from: [APPROVED, ASSIGNED],
+    to: null,
+    roles: ["lender"],
+    guard: (loan, actor) => checkOfferResponse(loan, actor),
+  },
+  disburse: {
+    label: "disburse",
+    from: [APPROVED, ASSIGNED],
+    to: DISBURSED,
+    roles: ["lender"],
+    guard: (loan, actor) =>
+      loan.lenderId !== actor.id
+        ? "Only the assigned lender can disburse this loan."
+        : null,
+  },
+  repay: {
+    label: "make a payment on",
+    from: [DISBURSED],
+    to: null, // status is unchanged; completion is a separate step
+    roles: ["borrower"],
+    guard: (loan, actor) =>
+      loan.borrowerId !== actor.id ? "You can only repay your own loans." : null,
+  },
+  complete: {
+    label: "complete",
+    from: [DISBURSED],
+    to: COMPLETED,
+    roles: ["borrower", "admin"],
+    guard: (loan) =>
+      loan.repayments?.length && loan.repayments.every((r) => r.paid)
+        ? null
+        : "All EMIs must be paid before the loan can be completed.",
+  },
+};
+
+/**
+ * Returns an error message if `actor` may not perform `action` on `loan`,
+ * or null when the transition is legal.
+ */
+export function checkTransition(loan, action, actor, context = {}) {
+  const def = LOAN_ACTIONS[action];
+  if (!def) return `Unknown loan action "${action}".`;
+  if (!loan) return "Loan not found.";
+
+  const status = loan.status || PENDING;
+  if (!actor || !def.roles.includes(actor.role)) {
+    return `Only ${def.roles.join(" or ")} users can ${def.label} a loan.`;
+  }
+  if (!def.from.includes(status)) {
+    return `Cannot ${def.label} a loan that is ${status}.`;
+  }
+  return def.guard ? def.guard(loan, actor, context) : null;
+}
+
+/**
+ * Applies `action` to `loan`.
+ * Returns `{ loan }` with the updated loan (status changed, `patch` merged
+ * and the move recorded in `loan.history`), or `{ error }` when refused.
+ * `patch` may be an object or a function of the current loan.
+ */
+export function applyTransition(loan, action, actor, { patch = {}, context = {} } = {}) {
+  const error = checkTransition(loan, action, actor, context);
+  if (error) return { error };
+
+  const def = LOAN_ACTIONS[action];
+  const from = loan.status || PENDING;
+  const to = def.to || from;
+  const changes = typeof patch === "function" ? patch(loan) : patch;
+
+  return {
+    loan: {
+      ...loan,
+      ...changes,
+      status: to,
+      history: [
+        ...(loan.history || []),
+        {
+          action,
+          from,
+          to,
+          by: actor.id,
+          byName: actor.name,
+          role: actor.role,
+          at: new Date().toISOString(),
+        },
+      ],
+    },
+  };
+}
+
+/** Actions `actor` may currently perform on `loan` (guards included). */
+export function availableActions(loan, actor, context = {}) {
+  return Object.keys(LOAN_ACTIONS).filter(
+    (action) => !checkTransition(loan, action, actor, context)
+  );
+}
+
+/**
+ * Finds the action that moves `loan` to `targetStatus`, if `actor` can
+ * trigger one. Used where the UI offers a plain status picker.
+ */
+export function findActionForStatus(loan, targetStatus, actor, context = {}) {
+  return (
+    Object.keys(LOAN_ACTIONS).find(
+      (action) =>
+        LOAN_ACTIONS[action].to === targetStatus &&
+        !checkTransition(loan, action, actor, context)
+    ) || null
+  );
+}
+
+/** Statuses `actor` could move `loan` to right now (excluding its current one). */
+export function reachableStatuses(loan, actor, context = {}) {
+  const targets = availableActions(loan, actor, context)
+    .map((action) => LOAN_ACTIONS[action].to)
+    .filter((to) => to && to !== loan.status);
+  return [...new Set(targets)];
+}
@@ -0,0 +1,268 @@
+import { buildAmortizationSchedule, getLoanRate } from "./amortization.js";
+import { addMonths, daysBetween, getDueDate } from "./dueDates.js";
+import { getEmiReceived } from "./payments.js";
+
+/**
+ * Repayment holidays (moratoria).
+ * A borrower in hardship asks for a pause; an admin grants one of N
+ * installments starting at the next EMI that is not yet due. That EMI and
+ * every later one move N months out; EMIs already overdue stay where they
+ * are. Interest still runs on the outstanding principal during the pause
+ * and is either
+ * - capitalised: added to the principal, and the remaining EMIs are
+ *   recalculated over the same number of installments, or
+ * - accrued: kept apart from the principal and collected in equal parts
+ *   with the remaining EMIs (`row.deferredInterest`).
+ * Each grant is kept in `loan.moratoria`, including the due dates that were
+ * skipped, so schedules can show the paused months.
+ */
+
+export const INTEREST_TREATMENTS = {
+  CAPITALIZE: "capitalize",
+  ACCRUE: "accrue",
+};
+
+export const MAX_MORATORIUM_MONTHS = 6;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Index of the first EMI a pause can start from: unpaid, not yet due and
+ * not part-paid in advance. -1 when there is none.
+ */
+export function findMoratoriumStart(loan, now = new Date()) {
+  return (loan?.repayments || []).findIndex((row, index) => {
+    const due = getDueDate(loan, index);
+    return (
+      !row.paid && due && daysBetween(now, due) >= 0 && !getEmiReceived(row)
+    );
+  });
+}
+
+/** Returns an error message if the loan cannot be given a repayment holiday. */
+export function checkMoratorium(loan, now = new Date()) {
+  if (loan?.status !== "Funds Disbursed") {
+    return "Only disbursed loans can be given a repayment holiday.";
+  }
+  if (loan.foreclosure) return "This loan was closed early.";
+  if (findMoratoriumStart(loan, now) === -1) {
+    return "There are no upcoming EMIs to pause.";
+  }
+  return null;
+}
+
+function validateMonths(months) {
+  const count = Number(months);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_MORATORIUM_MONTHS) {
+    return {
+      error: `A repayment holiday can be 1-${MAX_MORATORIUM_MONTHS} installments.`,
+    };
+  }
+  return { count };
+}
+
+/** Borrower asks for a pause of `months` installments; needs a reason. */
+export function requestMoratorium(
+  loan,
+  { months, reason } = {},
+  { actor = null, now = new Date() } = {}
+) {
+  const refused = checkMoratorium(loan, now);
+  if (refused) return { error: refused };
+  if (loan.moratoriumRequest?.status === "pending") {
+    return { error: "A repayment holiday request is already pending." };
+  }
+  const { count, error } = validateMonths(months);
+  if (error) return { error };
+  if (!reason?.trim()) return { error: "Tell us why you need the holiday." };
+
+  return {
+    loan: {
+      ...loan,
+      moratoriumRequest: {
+        status: "pending",
+        months: count,
+        reason: reason.trim(),
+        requestedAt: now.toISOString(),
+        by: actor?.id ?? null,
+        byName: actor?.name ?? null,
+      },
+    },
+  };
+}
+
+/** Admin turns down the pending request, optionally with a note. */
+export function declineMoratorium(
+  loan,
+  { note = "", actor = null, now = new Date() } = {}
+) {
+  if (loan?.moratoriumRequest?.status !== "pending") {
+    return { error: "There is no pending repayment holiday request." };
+  }
+  return {
+    loan: {
+      ...loan,
+      moratoriumRequest: {
+        ...loan.moratoriumRequest,
+        status: "declined",
+        note: note.trim(),
+        decidedAt: now.toISOString(),
+        decidedBy: actor?.id ?? null,
+        decidedByName: actor?.name ?? null,
+      },
+    },
+  };
+}
+
+/**
+ * The loan with `months` installments paused, without recording the grant:
+ * `{ loan, startIndex, interest, pausedDueDates }` or `{ error }`.
+ */
+export function previewMoratorium(
+  loan,
+  { months, interestTreatment } = {},
+  now = new Date()
+) {
+  const refused = checkMoratorium(loan, now);
+  if (refused) return { error: refused };
+  const { count, error } = validateMonths(months);
+  if (error) return { error };
+  if (!Object.values(INTEREST_TREATMENTS).includes(interestTreatment)) {
+    return { error: "Choose whether interest is capitalised or accrued." };
+  }
+
+  const startIndex = findMoratoriumStart(loan, now);
+  const rows = loan.repayments;
+  const remaining = rows.slice(startIndex);
+  const firstDue = getDueDate(loan, startIndex);
+  const pausedDueDates = Array.from({ length: count }, (_, k) =>
+    addMonths(firstDue, k).toISOString()
+  );
+
+  // Interest on the principal still to be repaid, for the paused months
+  const rate = getLoanRate(loan);
+  const principal = remaining.reduce(
+    (sum, row) => sum + Number(row.principal ?? row.amount ?? 0),
+    0
+  );
+  const interest = round2((principal * rate * count) / 12 / 100);
+
+  const shifted = (index) => ({
+    dueDate: addMonths(getDueDate(loan, index), count).toISOString(),
+  });
+  let updated;
+  if (interestTreatment === INTEREST_TREATMENTS.CAPITALIZE) {
+    updated = buildAmortizationSchedule(
+      principal + interest,
+      rate,
+      remaining.length
+    ).map((row, k) => ({
+      ...row,
+      installment: remaining[k].installment ?? startIndex + k + 1,
+      month: remaining[k].month,
+      ...shifted(startIndex + k),
+    }));
+  } else {
+    const share = round2(interest / remaining.length);
+    updated = remaining.map((row, k) => {
+      const isLast = k === remaining.length - 1;
+      const part = isLast
+        ? round2(interest - share * (remaining.length - 1))
+        : share;
+      return {
+        ...row,
+        ...shifted(startIndex + k),
+        amount: round2(Number(row.amount || 0) + part),
+        interest: round2(Number(row.interest || 0) + part),
+        deferredInterest: round2(Number(row.deferredInterest || 0) + part),
+      };
+    });
+  }
+
+  return {
+    loan: { ...loan, repayments: [...rows.slice(0, startIndex), ...updated] },
+    startIndex,
+    interest,
+    pausedDueDates,
+  };
+}
+
+/**
+ * Grants a repayment holiday and files it in `loan.moratoria`; a pending
+ * request is marked approved, and an older answered one is cleared. Returns `{ loan, moratorium }` or
+ * `{ error }`.
+ */
+export function grantMoratorium(
+  loan,
+  terms,
+  { actor = null, now = new Date() } = {}
+) {
+  const preview = previewMoratorium(loan, terms, now);
+  if (preview.error) return preview;
+
+  const request =
+    loan.moratoriumRequest?.status === "pending"
+      ? loan.moratoriumRequest
+      : null;
+  const moratorium = {
+    id: Date.now(),
+    startInstallment:
+      loan.repayments[preview.startIndex].installment ?? preview.startIndex + 1,
+    months: Number(terms.months),
+    interestTreatment: terms.interestTreatment,
+    interest: preview.interest,
+    pausedDueDates: preview.pausedDueDates,
+    reason: request?.reason || terms.reason?.trim() || "",
+    requestedAt: request?.requestedAt ?? null,
+    grantedAt: now.toISOString(),
+    by: actor?.id ?? null,
+    byName: actor?.name ?? null,
+  };
+  return {
+    loan: {
+      ...preview.loan,
+      moratoria: [...(loan.moratoria || []), moratorium],
+      moratoriumRequest: request
+        ? {
+            ...request,
+            status: "approved",
+            decidedAt: moratorium.grantedAt,
+            decidedBy: moratorium.by,
+            decidedByName: moratorium.byName,
+          }
+        : null,
+    },
+    moratorium,
+  };
+}
+
+/** Paused months shown just before the EMI at `index`, oldest first. */
+export function getPausedMonthsBefore(loan, index) {
+  const installment = loan?.repayments?.[index]?.installment ?? index + 1;
+  return (loan?.moratoria || [])
+    .filter((m) => m.startInstallment === installment)
+    .flatMap((m) =>
+      m.pausedDueDates.map((dueDate) => ({ dueDate, moratorium: m }))
+    );
+}
+
+/** The holiday the loan is in on `now` (null when EMIs are running). */
+export function getActiveMoratorium(loan, now = new Date()) {
+  return (
+    (loan?.moratoria || []).find((m) => {
+      const last = m.pausedDueDates[m.pausedDueDates.length - 1];
+      return daysBetween(now, last) >= 0 && daysBetween(m.grantedAt, now) >= 0;
+    }) || null
+  );
+}
+
+/** "3 EMIs paused · interest ₹1234.00 capitalised" */
+export function describeMoratorium(moratorium) {
+  const treatment =
+    moratorium.interestTreatment === INTEREST_TREATMENTS.CAPITALIZE
+      ? "capitalised"
+      : "collected with later EMIs";
+  return `${moratorium.months} EMI${moratorium.months > 1 ? "s" : ""} paused · interest ₹${Number(
+    moratorium.interest
+  ).toFixed(2)} ${treatment}`;
+}
@@ -0,0 +1,81 @@
+/**
+ * Salted password hashing with WebCrypto PBKDF2 (SHA-256).
+ * Works in the browser and in Node 20+, so the local adapter and the
+ * reference server store credentials the same way:
+ *   passwordHash = "pbkdf2-sha256$<iterations>$<salt base64>$<hash base64>"
+ * Accounts created before hashing still carry a plaintext `password`;
+ * verifyPassword accepts those once and flags them for rehashing.
+ */
+
+const ALGORITHM = "pbkdf2-sha256";
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    HASH_BITS
+  );
+}
+
+// Compares without bailing out early, so timing does not leak the match length
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+  return `${ALGORITHM}$${ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Checks `password` against a stored user record.
+ * Resolves to `{ ok, needsRehash }`; `needsRehash` is true when the record
+ * still holds a legacy plaintext password that matched.
+ */
+export async function verifyPassword(password, user) {
+  if (!user || typeof password !== "string") return { ok: false };
+
+  if (!user.passwordHash) {
+    const ok =
+      typeof user.password === "string" && safeEqual(password, user.password);
+    return { ok, needsRehash: ok };
+  }
+
+  const [algorithm, iterations, salt, expected] = user.passwordHash.split("$");
+  if (algorithm !== ALGORITHM || !expected) return { ok: false };
+  const actual = toBase64(
+    await derive(password, fromBase64(salt), Number(iterations))
+  );
+  return { ok: safeEqual(actual, expected), needsRehash: false };
+}
+
+/** Replaces a plaintext `password` on a user record with its hash. */
+export async function withHashedPassword(user) {
+  const { password, ...rest } = user;
+  if (!password) return rest;
+  return { ...rest, passwordHash: await hashPassword(password) };
+}
+
+/** The user record without any credential fields, safe to hand to the UI. */
+export function withoutCredentials(user) {
+  if (!user) return user;
+  const { password: _password, passwordHash: _passwordHash, ...rest } = user;
+  return rest;
+}
@@ -0,0 +1,172 @@
+import { getEmiPenalty } from "./penalties.js";
+
+/**
+ * Borrower payments of any amount.
+ * Each payment is kept on the loan as a transaction (`loan.payments`) and
+ * allocated by a waterfall: EMIs are settled oldest first, and within an
+ * EMI the money goes to late charges, then interest, then principal.
+ * - A payment that falls short leaves the EMI part-paid; the rest stays due
+ *   (and keeps attracting late charges) until a later payment covers it.
+ * - Money beyond the oldest EMI flows on to the next ones, so an
+ *   overpayment pays future EMIs in advance.
+ * Rows track what they have received in `paidFees`, `paidInterest` and
+ * `paidPrincipal`; `paid` flips to true once nothing is left on them.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Amounts below half a paisa are rounding noise
+const EPSILON = 0.005;
+
+// Waterfall order within one EMI
+const ALLOCATION_ORDER = ["fees", "interest", "principal"];
+
+// Legacy rows without a principal/interest split count as all principal
+function scheduledParts(row) {
+  const interest = Number(row.interest || 0);
+  const principal =
+    row.principal !== undefined
+      ? Number(row.principal)
+      : Number(row.amount || 0) - interest;
+  return { interest, principal };
+}
+
+/**
+ * What is still owed on the EMI at `index` as of `at`:
+ * `{ fees, interest, principal, total }` (all zero once paid).
+ */
+export function getEmiDue(loan, index, at = new Date()) {
+  const row = loan?.repayments?.[index];
+  if (!row || row.paid) return { fees: 0, interest: 0, principal: 0, total: 0 };
+
+  const scheduled = scheduledParts(row);
+  const fees = Math.max(
+    round2(getEmiPenalty(loan, index, at).total - Number(row.paidFees || 0)),
+    0
+  );
+  const interest = Math.max(
+    round2(scheduled.interest - Number(row.paidInterest || 0)),
+    0
+  );
+  const principal = Math.max(
+    round2(scheduled.principal - Number(row.paidPrincipal || 0)),
+    0
+  );
+  return {
+    fees,
+    interest,
+    principal,
+    total: round2(fees + interest + principal),
+  };
+}
+
+/**
+ * Amount that settles every EMI up to and including `index` (the waterfall
+ * pays older EMIs first, so those have to be covered too).
+ */
+export function getDueThrough(loan, index, at = new Date()) {
+  let total = 0;
+  for (let i = 0; i <= index && i < (loan?.repayments?.length || 0); i++) {
+    total += getEmiDue(loan, i, at).total;
+  }
+  return round2(total);
+}
+
+/** Everything still owed on the loan, late charges included. */
+export function getTotalDue(loan, at = new Date()) {
+  return getDueThrough(loan, (loan?.repayments?.length || 0) - 1, at);
+}
+
+/** Late charges, interest and principal received on one EMI so far. */
+export function getEmiReceived(row) {
+  return round2(
+    Number(row?.paidFees || 0) +
+      Number(row?.paidInterest || 0) +
+      Number(row?.paidPrincipal || 0)
+  );
+}
+
+/** True when an unpaid EMI has received part of its money. */
+export function isPartlyPaid(row) {
+  return Boolean(row && !row.paid && getEmiReceived(row) > 0);
+}
+
+/**
+ * Applies a payment of `amount` through the waterfall.
+ * Returns `{ loan, payment }` with the updated rows and the new
+ * transaction appended to `loan.payments`, or `{ error }`.
+ */
+export function applyPayment(
+  loan,
+  amount,
+  { paidAt = new Date().toISOString(), actor = null } = {}
+) {
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: "Enter an amount greater than zero." };
+  }
+  const at = new Date(paidAt);
+  const totalDue = getTotalDue(loan, at);
+  if (totalDue <= 0) return { error: "Nothing is owed on this loan." };
+  if (value > totalDue + EPSILON) {
+    return {
+      error: `The most you can pay on this loan is ₹${totalDue.toFixed(2)}.`,
+    };
+  }
+
+  let remaining = value;
+  const allocations = [];
+  const repayments = loan.repayments.map((row, index) => {
+    if (row.paid || remaining <= 0) return row;
+    const due = getEmiDue(loan, index, at);
+    const part = { installment: index + 1, fees: 0, interest: 0, principal: 0 };
+    for (const key of ALLOCATION_ORDER) {
+      part[key] = round2(Math.min(remaining, due[key]));
+      remaining = round2(remaining - part[key]);
+    }
+    const applied = round2(part.fees + part.interest + part.principal);
+    if (applied <= 0) return row;
+    allocations.push(part);
+
+    const next = {
+      ...row,
+      paidFees: round2(Number(row.paidFees || 0) + part.fees),
+      paidInterest: round2(Number(row.paidInterest || 0) + part.interest),
+      paidPrincipal: round2(Number(row.paidPrincipal || 0) + part.principal),
+    };
+    if (due.total - applied > EPSILON) return next;
+
+    // Settled: fix the late charges at what they were on the day
+    const { lateFee, penalInterest } = getEmiPenalty(loan, index, at);
+    return { ...next, paid: true, paidAt, lateFee, penalInterest };
+  });
+
+  const payment = {
+    id: Date.now(),
+    amount: value,
+    paidAt,
+    by: actor?.id ?? null,
+    byName: actor?.name ?? null,
+    allocations,
+  };
+  return {
+    loan: {
+      ...loan,
+      repayments,
+      payments: [...(loan.payments || []), payment],
+    },
+    payment,
+  };
+}
+
+/** Totals of one payment's allocation: `{ fees, interest, principal }`. */
+export function summarizeAllocations(payment) {
+  return (payment?.allocations || []).reduce(
+    (sum, part) => ({
+      fees: round2(sum.fees + part.fees),
+      interest: round2(sum.interest + part.interest),
+      principal: round2(sum.principal + part.principal),
+    }),
+    { fees: 0, interest: 0, principal: 0 }
+  );
+}
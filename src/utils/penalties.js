@@ -0,0 +1,188 @@
+import { daysBetween, getDueDate } from "./dueDates.js";
+
+/**
+ * Late-payment charges on overdue EMIs.
+ * Once an EMI is more than `graceDays` late it attracts
+ * - a one-time late fee: a flat amount or a percentage of the EMI, and
+ * - penal interest at `penalRate` % a year on what is still owed on the
+ *   EMI, counted from the due date; a part payment lowers it from the day
+ *   it was made.
+ * The policy in force is copied onto the loan at disbursement
+ * (`loan.penaltyPolicy`), so later changes to the settings only affect new
+ * loans. Charges keep accruing until the EMI is settled; settling stamps
+ * the final figures on the row (`lateFee`, `penalInterest`, see
+ * utils/payments).
+ */
+
+export const LATE_FEE_TYPES = ["flat", "percent"];
+
+export const DEFAULT_PENALTY_POLICY = {
+  graceDays: 5,
+  lateFeeType: "flat",
+  lateFee: 500,
+  penalRate: 24,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Checks admin input; returns `{ policy }` or `{ error }`. */
+export function validatePenaltyPolicy(input = {}) {
+  const policy = { ...DEFAULT_PENALTY_POLICY, ...input };
+  const graceDays = Number(policy.graceDays);
+  const lateFee = Number(policy.lateFee);
+  const penalRate = Number(policy.penalRate);
+
+  if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > 90) {
+    return { error: "Grace period must be a whole number of days (0-90)." };
+  }
+  if (!LATE_FEE_TYPES.includes(policy.lateFeeType)) {
+    return { error: "Late fee must be flat or a percentage." };
+  }
+  if (!Number.isFinite(lateFee) || lateFee < 0) {
+    return { error: "Late fee cannot be negative." };
+  }
+  if (policy.lateFeeType === "percent" && lateFee > 100) {
+    return { error: "A percentage late fee cannot exceed 100%." };
+  }
+  if (!Number.isFinite(penalRate) || penalRate < 0 || penalRate > 100) {
+    return { error: "Penal interest must be between 0 and 100% a year." };
+  }
+  return {
+    policy: { graceDays, lateFeeType: policy.lateFeeType, lateFee, penalRate },
+  };
+}
+
+/** The loan's own policy, or the defaults for loans disbursed before one was recorded. */
+export function getPenaltyPolicy(loan) {
+  return { ...DEFAULT_PENALTY_POLICY, ...loan?.penaltyPolicy };
+}
+
+export function describePenaltyPolicy(policy) {
+  const fee =
+    policy.lateFeeType === "percent"
+      ? `${policy.lateFee}% of the EMI`
+      : `₹${policy.lateFee}`;
+  return `${policy.graceDays} grace days, then a ${fee} late fee and ${policy.penalRate}% p.a. penal interest`;
+}
+
+/**
+ * Days the EMI at `index` was (or is) late: up to its payment when paid,
+ * up to `now` otherwise.
+ */
+export function getDaysLate(loan, index, now = new Date()) {
+  const row = loan?.repayments?.[index];
+  const due = getDueDate(loan, index);
+  if (!row || !due) return 0;
+  if (row.paid && !row.paidAt) return 0;
+  return Math.max(daysBetween(due, row.paid ? row.paidAt : now), 0);
+}
+
+// Balance-days of the EMI at `index` from `due` to `end`: its amount,
+// less each part payment from the day it came in. Allocations from before
+// the last restructure belong to the replaced schedule.
+function getLateBalanceDays(loan, index, due, end) {
+  const since =
+    loan.scheduleVersions?.[loan.scheduleVersions.length - 1]?.replacedAt;
+  const parts = (loan.payments || [])
+    .filter((payment) => !since || payment.paidAt >= since)
+    .flatMap((payment) =>
+      (payment.allocations || [])
+        .filter((part) => part.installment === index + 1)
+        .map((part) => ({
+          at: new Date(payment.paidAt),
+          amount: Number(part.interest || 0) + Number(part.principal || 0),
+        }))
+    )
+    .filter((part) => part.at < end)
+    .sort((a, b) => a.at - b.at);
+
+  let balance = Number(loan.repayments[index].amount || 0);
+  let from = due;
+  let total = 0;
+  for (const part of parts) {
+    if (part.at > from) {
+      total += balance * Math.max(daysBetween(from, part.at), 0);
+      from = part.at;
+    }
+    balance = Math.max(balance - part.amount, 0);
+  }
+  return total + balance * Math.max(daysBetween(from, end), 0);
+}
+
+/**
+ * Late charges on one EMI as `{ daysLate, lateFee, penalInterest, total }`.
+ * Paid EMIs report what was charged at payment.
+ */
+export function getEmiPenalty(loan, index, now = new Date()) {
+  const row = loan?.repayments?.[index];
+  const daysLate = getDaysLate(loan, index, now);
+  if (row?.paid && (row.lateFee != null || row.penalInterest != null)) {
+    const lateFee = Number(row.lateFee || 0);
+    const penalInterest = Number(row.penalInterest || 0);
+    return {
+      daysLate,
+      lateFee,
+      penalInterest,
+      total: round2(lateFee + penalInterest),
+    };
+  }
+
+  const policy = getPenaltyPolicy(loan);
+  if (!row || daysLate <= policy.graceDays) {
+    return { daysLate, lateFee: 0, penalInterest: 0, total: 0 };
+  }
+  const amount = Number(row.amount || 0);
+  const lateFee = round2(
+    policy.lateFeeType === "percent"
+      ? (amount * policy.lateFee) / 100
+      : policy.lateFee
+  );
+  const end = row.paid ? new Date(row.paidAt) : now;
+  const balanceDays = getLateBalanceDays(
+    loan,
+    index,
+    getDueDate(loan, index),
+    end
+  );
+  const penalInterest = round2((balanceDays * (policy.penalRate / 100)) / 365);
+  return {
+    daysLate,
+    lateFee,
+    penalInterest,
+    total: round2(lateFee + penalInterest),
+  };
+}
+
+/**
+ * Late charges across the loan: `outstanding` still owed and `collected`
+ * so far, each `{ lateFee, penalInterest, total }`. Part payments on an
+ * unpaid EMI (`paidFees`) count towards its late fee first.
+ */
+export function getPenaltySummary(loan, now = new Date()) {
+  const empty = () => ({ lateFee: 0, penalInterest: 0, total: 0 });
+  const summary = { outstanding: empty(), collected: empty() };
+  const add = (bucket, lateFee, penalInterest) => {
+    bucket.lateFee = round2(bucket.lateFee + lateFee);
+    bucket.penalInterest = round2(bucket.penalInterest + penalInterest);
+    bucket.total = round2(bucket.lateFee + bucket.penalInterest);
+  };
+
+  (loan?.repayments || []).forEach((row, index) => {
+    const penalty = getEmiPenalty(loan, index, now);
+    if (!penalty.total) return;
+    if (row.paid) {
+      add(summary.collected, penalty.lateFee, penalty.penalInterest);
+      return;
+    }
+    const paidFees = Number(row.paidFees || 0);
+    const paidLateFee = Math.min(paidFees, penalty.lateFee);
+    const paidPenal = Math.min(paidFees - paidLateFee, penalty.penalInterest);
+    add(summary.collected, paidLateFee, paidPenal);
+    add(
+      summary.outstanding,
+      penalty.lateFee - paidLateFee,
+      penalty.penalInterest - paidPenal
+    );
+  });
+  return summary;
+}
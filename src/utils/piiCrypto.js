@@ -0,0 +1,160 @@
+/**
+ * WebCrypto building blocks for keeping borrower PII encrypted at rest.
+ * - Every borrower has a random AES-GCM data key that encrypts their PII.
+ * - A key derived from the user's password at login (PBKDF2) wraps the
+ *   keys they hold, so nothing that decrypts PII is stored in the clear.
+ * - Every admin has an RSA-OAEP key pair; borrowers' data keys are also
+ *   wrapped with each admin's public key so admins can read all PII.
+ * Encrypted values are stored as `{ iv, data }` in base64.
+ */
+
+const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const RSA = { name: "RSA-OAEP", hash: "SHA-256" };
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+function decryptBytes(key, { iv, data }) {
+  return crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    key,
+    fromBase64(data)
+  );
+}
+
+export function newSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/** The key a user's password unlocks; only ever kept in memory. */
+export async function deriveLoginKey(password, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: fromBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export function generateDataKey() {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+/** `{ keyId, publicKey, privateKey }`; `publicKey` is base64 SPKI. */
+export async function generateAdminKeys() {
+  const pair = await crypto.subtle.generateKey(
+    { ...RSA, modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+    true,
+    ["encrypt", "decrypt"]
+  );
+  return {
+    keyId: newSalt(),
+    publicKey: toBase64(await crypto.subtle.exportKey("spki", pair.publicKey)),
+    privateKey: pair.privateKey,
+  };
+}
+
+// Keys as base64 strings, for wrapping with a login key
+export async function exportDataKey(key) {
+  return toBase64(await crypto.subtle.exportKey("raw", key));
+}
+
+export function importDataKey(text) {
+  return crypto.subtle.importKey("raw", fromBase64(text), "AES-GCM", true, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+export async function exportPrivateKey(key) {
+  return toBase64(await crypto.subtle.exportKey("pkcs8", key));
+}
+
+export function importPrivateKey(text) {
+  return crypto.subtle.importKey("pkcs8", fromBase64(text), RSA, true, [
+    "decrypt",
+  ]);
+}
+
+/** Encrypts an exported key (see above) with a login key. */
+export function wrapWithLoginKey(exported, loginKey) {
+  return encryptBytes(loginKey, fromBase64(exported));
+}
+
+/** The exported key back; rejects when the login key is the wrong one. */
+export async function unwrapWithLoginKey(box, loginKey) {
+  return toBase64(await decryptBytes(loginKey, box));
+}
+
+/** A borrower's data key, encrypted for the admin owning `publicKey`. */
+export async function escrowDataKey(dataKey, publicKey) {
+  const adminKey = await crypto.subtle.importKey(
+    "spki",
+    fromBase64(publicKey),
+    RSA,
+    false,
+    ["encrypt"]
+  );
+  const raw = await crypto.subtle.exportKey("raw", dataKey);
+  return toBase64(await crypto.subtle.encrypt(RSA, adminKey, raw));
+}
+
+export async function recoverDataKey(escrowed, privateKey) {
+  const raw = await crypto.subtle.decrypt(
+    RSA,
+    privateKey,
+    fromBase64(escrowed)
+  );
+  return importDataKey(toBase64(raw));
+}
+
+export async function encryptJSON(key, value) {
+  return encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+}
+
+export async function decryptJSON(key, box) {
+  return JSON.parse(new TextDecoder().decode(await decryptBytes(key, box)));
+}
+
+/**
+ * Files are kept as binary rather than base64: `{ iv, data }` with a
+ * Uint8Array and an ArrayBuffer, ready for IndexedDB.
+ */
+export async function encryptBuffer(key, buffer) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    buffer
+  );
+  return { iv, data };
+}
+
+export function decryptBuffer(key, { iv, data }) {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, data);
+}
@@ -0,0 +1,182 @@
+import { getLoanRate } from "./amortization.js";
+
+/**
+ * Loan products an admin offers, and the limits a borrower's application
+ * has to fit. A product sets the amount range, the tenures on offer, the
+ * interest rate, a processing fee (a percentage of the amount) and the
+ * documents the borrower has to provide.
+ * When a loan is applied for, the product's terms are copied onto it, so
+ * later edits to the product do not change existing loans.
+ * Shared by the localStorage adapter and the reference server.
+ */
+
+export const DOCUMENT_TYPES = [
+  { id: "identity", label: "Identity proof" },
+  { id: "address", label: "Address proof" },
+  { id: "income", label: "Income proof (salary slips / ITR)" },
+  { id: "bankStatement", label: "Bank statements (6 months)" },
+  { id: "business", label: "Business registration" },
+  { id: "property", label: "Property documents" },
+];
+
+const MAX_RATE = 50;
+const MAX_FEE_PERCENT = 5;
+const MAX_TENURE = 360;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export function getDocumentLabel(id) {
+  return DOCUMENT_TYPES.find((type) => type.id === id)?.label || id;
+}
+
+// "6, 12,24" or [6, 12, 24] -> [6, 12, 24], sorted and without duplicates
+function parseTenures(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [
+    ...new Set(
+      list
+        .map((t) => String(t).trim())
+        .filter(Boolean)
+        .map(Number)
+    ),
+  ].sort((a, b) => a - b);
+}
+
+/** Checks admin input; returns `{ product }` or `{ error }`. */
+export function validateProduct(input = {}) {
+  const name = String(input.name ?? "").trim();
+  if (!name) return { error: "Give the product a name." };
+
+  const minAmount = Number(input.minAmount);
+  const maxAmount = Number(input.maxAmount);
+  if (!(minAmount > 0) || !(maxAmount >= minAmount)) {
+    return {
+      error: "Amounts must be positive, with the maximum at least the minimum.",
+    };
+  }
+
+  const tenures = parseTenures(input.tenures);
+  if (
+    tenures.length === 0 ||
+    tenures.some((t) => !Number.isInteger(t) || t < 1 || t > MAX_TENURE)
+  ) {
+    return {
+      error: `List the tenures on offer in months (1-${MAX_TENURE}), e.g. 6, 12, 24.`,
+    };
+  }
+
+  const interestRate = Number(input.interestRate);
+  if (
+    !Number.isFinite(interestRate) ||
+    interestRate < 0 ||
+    interestRate > MAX_RATE
+  ) {
+    return { error: `Interest rate must be between 0 and ${MAX_RATE}%.` };
+  }
+
+  const processingFeePercent = Number(input.processingFeePercent ?? 0);
+  if (
+    !Number.isFinite(processingFeePercent) ||
+    processingFeePercent < 0 ||
+    processingFeePercent > MAX_FEE_PERCENT
+  ) {
+    return {
+      error: `Processing fee must be between 0 and ${MAX_FEE_PERCENT}%.`,
+    };
+  }
+
+  const requiredDocuments = [...new Set(input.requiredDocuments || [])];
+  const unknown = requiredDocuments.find(
+    (id) => !DOCUMENT_TYPES.some((type) => type.id === id)
+  );
+  if (unknown) return { error: `Unknown document type "${unknown}".` };
+
+  return {
+    product: {
+      name,
+      description: String(input.description ?? "").trim(),
+      minAmount,
+      maxAmount,
+      tenures,
+      interestRate,
+      processingFeePercent,
+      requiredDocuments,
+      active: input.active !== false,
+    },
+  };
+}
+
+export function getProcessingFee(product, amount) {
+  return round2(
+    (Number(amount) * Number(product?.processingFeePercent || 0)) / 100
+  );
+}
+
+/** Returns an error message if the amount or tenure is outside the product. */
+export function checkProductLimits(product, { amount, duration }) {
+  if (!product) return "Choose a loan product.";
+  if (!product.active) return `${product.name} is no longer offered.`;
+  return checkAmountAndTenure(product, { amount, duration });
+}
+
+function checkAmountAndTenure(product, { amount, duration }) {
+  const value = Number(amount);
+  if (!(value >= product.minAmount && value <= product.maxAmount)) {
+    return `${product.name} loans are for ₹${product.minAmount} to ₹${product.maxAmount}.`;
+  }
+  if (!product.tenures.includes(Number(duration))) {
+    return `${product.name} is offered for ${product.tenures.join(", ")} months.`;
+  }
+  return null;
+}
+
+/**
+ * Returns an error message if an edit of `before` into `after` takes a
+ * product loan outside its `product`, as the product stands now. The rate
+ * is the product's and only a restructure changes it. Loans on a product
+ * that is no longer offered can still be corrected within its limits.
+ */
+export function checkProductEdit(before, after, product) {
+  if (!before.productId) return null;
+  if (getLoanRate(after) !== getLoanRate(before)) {
+    return `${before.productName} loans keep the product's rate; restructure the loan to change it.`;
+  }
+  const resized =
+    Number(after.amount) !== Number(before.amount) ||
+    Number(after.duration) !== Number(before.duration);
+  if (!resized) return null;
+  if (!product) {
+    return `${before.productName} no longer exists, so this loan's amount and tenure cannot change.`;
+  }
+  return checkAmountAndTenure(product, after);
+}
+
+/**
+ * The product's terms to copy onto a new loan: `{ terms }` or `{ error }`
+ * when the application does not fit the product.
+ */
+export function buildProductTerms(product, application) {
+  const error = checkProductLimits(product, application);
+  if (error) return { error };
+  return {
+    terms: {
+      productId: product.id,
+      productName: product.name,
+      interestRate: product.interestRate,
+      processingFee: getProcessingFee(product, application.amount),
+      requiredDocuments: product.requiredDocuments,
+    },
+  };
+}
+
+/** "₹10000-₹500000 · 6/12/24 months · 12% p.a. · 1% fee" */
+export function describeProduct(product) {
+  return [
+    `₹${product.minAmount}-₹${product.maxAmount}`,
+    `${product.tenures.join("/")} months`,
+    `${product.interestRate}% p.a.`,
+    product.processingFeePercent
+      ? `${product.processingFeePercent}% fee`
+      : "no fee",
+  ].join(" · ");
+}
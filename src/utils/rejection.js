@@ -0,0 +1,96 @@
+/**
+ * Why a loan was rejected, and the borrower's appeal.
+ * Rejecting takes a reason code and an optional note (required for
+ * "other"), stored as `loan.rejection`:
+ *   { code, note, by, byName, at }
+ * Rejecting also drops the loan's approvals and lender offers, which were
+ * given on the application being turned down.
+ * The borrower may appeal a rejection once, with a message. The appeal
+ * keeps the rejection it answers, so a loan rejected again after appeal
+ * still shows the whole story:
+ *   loan.appeal = { message, by, byName, at, rejection }
+ * The lifecycle (utils/loanLifecycle) checks both through its `reject` and
+ * `appeal` actions, which take `{ rejection }` / `{ appeal }` as context.
+ */
+
+export const REJECTION_REASONS = [
+  { code: "documents", label: "Documents missing or not valid" },
+  { code: "kyc", label: "KYC details could not be verified" },
+  { code: "income", label: "Income too low for the EMI" },
+  { code: "debt", label: "Too much existing debt" },
+  { code: "history", label: "Poor repayment history" },
+  { code: "policy", label: "Outside our lending policy" },
+  { code: "other", label: "Other" },
+];
+
+const MAX_NOTE_LENGTH = 500;
+
+export function getRejectionLabel(code) {
+  return REJECTION_REASONS.find((r) => r.code === code)?.label || code;
+}
+
+/** Returns an error message unless `rejection` has a usable reason. */
+export function checkRejection(rejection) {
+  if (!REJECTION_REASONS.some((r) => r.code === rejection?.code)) {
+    return "Pick a reason for the rejection.";
+  }
+  const note = String(rejection.note || "").trim();
+  if (rejection.code === "other" && !note) {
+    return "Explain the rejection in the note.";
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    return `Keep the note under ${MAX_NOTE_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/** `{ rejection }` to record for `actor`, or `{ error }`. */
+export function buildRejection({ code, note = "" }, actor) {
+  const rejection = {
+    code,
+    note: String(note).trim(),
+    by: actor.id,
+    byName: actor.name,
+    at: new Date().toISOString(),
+  };
+  const error = checkRejection(rejection);
+  return error ? { error } : { rejection };
+}
+
+/**
+ * Patch that records `rejection`. An appealed loan is approved and offered
+ * to a lender afresh, so nothing from the earlier review carries over.
+ */
+export function rejectionPatch(rejection) {
+  return {
+    rejection,
+    approvals: [],
+    offers: [],
+    lenderId: null,
+    lenderName: null,
+  };
+}
+
+/** Returns an error message unless `appeal` may be filed against `loan`. */
+export function checkAppeal(loan, appeal) {
+  if (loan.appeal) return "This rejection was already appealed.";
+  const message = String(appeal?.message || "").trim();
+  if (!message) return "Tell us why the decision should change.";
+  if (message.length > MAX_NOTE_LENGTH * 2) {
+    return `Keep the appeal under ${MAX_NOTE_LENGTH * 2} characters.`;
+  }
+  return null;
+}
+
+/** `{ appeal }` for the borrower to file against `loan`, or `{ error }`. */
+export function buildAppeal(loan, { message = "" }, actor) {
+  const appeal = {
+    message: String(message).trim(),
+    by: actor.id,
+    byName: actor.name,
+    at: new Date().toISOString(),
+    rejection: loan.rejection || null,
+  };
+  const error = checkAppeal(loan, appeal);
+  return error ? { error } : { appeal };
+}
@@ -0,0 +1,236 @@
+import { buildAmortizationSchedule, getLoanRate } from "./amortization.js";
+import { addMonths, daysBetween, getDueDate } from "./dueDates.js";
+import { getEmiDue, getEmiReceived } from "./payments.js";
+
+/**
+ * Restructuring: an admin replaces the unpaid part of a loan's schedule.
+ * - Paid EMIs are kept as they are. A part-paid EMI is closed at what it
+ *   received, and the rest of it joins the balance.
+ * - Interest and late charges already overdue are capitalised, so the new
+ *   schedule starts from the outstanding principal plus those.
+ * - The remainder is re-amortised at a new rate, either over a new number of
+ *   installments or at (at most) a target EMI.
+ * The replaced schedule is kept in `loan.scheduleVersions` with the reason
+ * and a before/after summary.
+ */
+
+export const RESTRUCTURE_MODES = {
+  TENURE: "tenure", // number of new installments
+  EMI: "emi", // target EMI amount
+};
+
+const MAX_INSTALLMENTS = 360;
+const MAX_RATE = 50;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Returns an error message if the loan's schedule cannot be restructured. */
+export function checkRestructure(loan) {
+  if (!["Approved", "Funds Disbursed"].includes(loan?.status)) {
+    return "Only approved or disbursed loans can be restructured.";
+  }
+  if (loan.foreclosure) return "This loan was closed early.";
+  if (!loan.repayments?.some((r) => !r.paid)) {
+    return "Every EMI on this loan is already paid.";
+  }
+  return null;
+}
+
+/**
+ * Where the unpaid part of the schedule stands on `at`:
+ * `{ interestRate, installmentsLeft, emi, outstandingPrincipal,
+ * remainingInterest, totalPayable, finalDueDate }`.
+ */
+export function summarizeSchedule(loan, at = new Date()) {
+  const rows = loan?.repayments || [];
+  const summary = {
+    interestRate: getLoanRate(loan),
+    installmentsLeft: 0,
+    emi: 0,
+    outstandingPrincipal: 0,
+    remainingInterest: 0,
+    totalPayable: 0,
+    finalDueDate: null,
+  };
+  rows.forEach((row, index) => {
+    if (row.paid) return;
+    const due = getEmiDue(loan, index, at);
+    if (!summary.installmentsLeft) summary.emi = Number(row.amount || 0);
+    summary.installmentsLeft += 1;
+    summary.outstandingPrincipal += due.principal;
+    summary.remainingInterest += due.interest;
+    summary.totalPayable += due.total;
+  });
+  const lastDue = rows.length ? getDueDate(loan, rows.length - 1) : null;
+  return {
+    ...summary,
+    outstandingPrincipal: round2(summary.outstandingPrincipal),
+    remainingInterest: round2(summary.remainingInterest),
+    totalPayable: round2(summary.totalPayable),
+    finalDueDate: lastDue ? lastDue.toISOString() : null,
+  };
+}
+
+// Installments needed to repay `principal` at `rate` % with EMIs of at
+// most `emi`; returns `{ count }` or `{ error }`
+function installmentsForEmi(principal, rate, emi) {
+  const r = rate / 12 / 100;
+  let count;
+  if (r <= 0) {
+    count = Math.ceil(principal / emi);
+  } else {
+    const monthlyInterest = principal * r;
+    if (emi <= monthlyInterest) {
+      return {
+        error: `The EMI must be more than ₹${monthlyInterest.toFixed(2)}, the monthly interest on the balance.`,
+      };
+    }
+    count = Math.ceil(-Math.log(1 - monthlyInterest / emi) / Math.log(1 + r));
+  }
+  if (count > MAX_INSTALLMENTS) {
+    return { error: "That EMI would take more than 30 years to repay." };
+  }
+  return { count: Math.max(count, 1) };
+}
+
+/**
+ * The loan as it would look after restructuring with `terms`
+ * (`{ mode, interestRate, tenure, emi }`), without recording anything:
+ * `{ loan, before, after, capitalized }` or `{ error }`.
+ */
+export function previewRestructure(loan, terms = {}, at = new Date()) {
+  const refused = checkRestructure(loan);
+  if (refused) return { error: refused };
+
+  const rate =
+    terms.interestRate === undefined || terms.interestRate === ""
+      ? getLoanRate(loan)
+      : Number(terms.interestRate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > MAX_RATE) {
+    return { error: `Interest rate must be between 0 and ${MAX_RATE}%.` };
+  }
+
+  // Keep the paid history; collect what is left to re-amortise
+  const kept = [];
+  let principal = 0;
+  let capitalized = 0;
+  let firstUnpaidDue = null;
+  const stamp = (index) => {
+    const dueDate = getDueDate(loan, index);
+    return dueDate ? { dueDate: dueDate.toISOString() } : {};
+  };
+  loan.repayments.forEach((row, index) => {
+    if (row.paid) {
+      kept.push({ ...row, ...stamp(index) });
+      return;
+    }
+    const due = getEmiDue(loan, index, at);
+    const dueDate = getDueDate(loan, index);
+    if (!firstUnpaidDue && dueDate) firstUnpaidDue = dueDate;
+    principal += due.principal;
+    if (dueDate && daysBetween(dueDate, at) > 0) {
+      capitalized += due.interest + due.fees;
+    }
+    if (getEmiReceived(row) > 0) {
+      kept.push({
+        ...row,
+        ...stamp(index),
+        amount: round2(
+          Number(row.paidInterest || 0) + Number(row.paidPrincipal || 0)
+        ),
+        principal: Number(row.paidPrincipal || 0),
+        interest: Number(row.paidInterest || 0),
+        paid: true,
+        paidAt: at.toISOString(),
+        lateFee: Number(row.paidFees || 0),
+        penalInterest: 0,
+        closedByRestructure: true,
+      });
+    }
+  });
+  capitalized = round2(capitalized);
+  const balance = round2(principal + capitalized);
+  if (balance <= 0) return { error: "Nothing is left to restructure." };
+
+  let count;
+  if (terms.mode === RESTRUCTURE_MODES.EMI) {
+    const emi = Number(terms.emi);
+    if (!Number.isFinite(emi) || emi <= 0) {
+      return { error: "Enter the new EMI amount." };
+    }
+    const result = installmentsForEmi(balance, rate, emi);
+    if (result.error) return result;
+    count = result.count;
+  } else {
+    count = Number(terms.tenure);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_INSTALLMENTS) {
+      return {
+        error: `The new tenure must be 1-${MAX_INSTALLMENTS} installments.`,
+      };
+    }
+  }
+
+  // The first new EMI keeps the next due date if it is still ahead,
+  // otherwise it falls a month after the restructure
+  const firstDue =
+    firstUnpaidDue && daysBetween(at, firstUnpaidDue) > 0
+      ? firstUnpaidDue
+      : addMonths(at, 1);
+  const fresh = buildAmortizationSchedule(balance, rate, count).map(
+    (row, i) => ({
+      ...row,
+      installment: kept.length + i + 1,
+      month: `Month ${kept.length + i + 1}`,
+      ...(loan.disbursedAt
+        ? { dueDate: addMonths(firstDue, i).toISOString() }
+        : {}),
+    })
+  );
+
+  const next = {
+    ...loan,
+    interestRate: rate,
+    duration: kept.length + fresh.length,
+    repayments: [...kept, ...fresh],
+  };
+  return {
+    loan: next,
+    before: summarizeSchedule(loan, at),
+    after: summarizeSchedule(next, at),
+    capitalized,
+  };
+}
+
+/**
+ * Restructures the loan and files the replaced schedule as a version.
+ * Returns `{ loan, version }` or `{ error }`; a reason is required.
+ */
+export function restructureLoan(
+  loan,
+  terms,
+  { reason, actor = null, at = new Date() } = {}
+) {
+  if (!reason?.trim()) return { error: "Give a reason for the restructure." };
+  const preview = previewRestructure(loan, terms, at);
+  if (preview.error) return preview;
+
+  const versions = loan.scheduleVersions || [];
+  const version = {
+    version: versions.length + 1,
+    interestRate: getLoanRate(loan),
+    duration: loan.duration,
+    repayments: loan.repayments,
+    replacedAt: at.toISOString(),
+    reason: reason.trim(),
+    mode: terms.mode === RESTRUCTURE_MODES.EMI ? "emi" : "tenure",
+    before: preview.before,
+    after: preview.after,
+    capitalized: preview.capitalized,
+    by: actor?.id ?? null,
+    byName: actor?.name ?? null,
+  };
+  return {
+    loan: { ...preview.loan, scheduleVersions: [...versions, version] },
+    version,
+  };
+}
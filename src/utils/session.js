@@ -0,0 +1,56 @@
+/**
+ * Session tokens and their timeouts, shared by the frontend and the
+ * reference server. A session ends at whichever comes first:
+ * - the absolute limit, counted from login, or
+ * - the idle limit, counted from the last recorded activity.
+ * Times are epoch milliseconds.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// localStorage key holding the browser's current session
+export const SESSION_STORAGE_KEY = "session";
+
+export const SESSION_TIMEOUTS = {
+  absoluteMs: 8 * 60 * MINUTE_MS,
+  idleMs: 15 * MINUTE_MS,
+  // How long before an automatic logout the warning is shown
+  warningMs: 60 * 1000,
+};
+
+export function generateSessionToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function createSession(userId, now = Date.now()) {
+  return {
+    token: generateSessionToken(),
+    userId,
+    issuedAt: now,
+    expiresAt: now + SESSION_TIMEOUTS.absoluteMs,
+    lastActivityAt: now,
+  };
+}
+
+/** When the session will end if nothing else happens. */
+export function sessionEndsAt(session) {
+  return Math.min(
+    session.expiresAt,
+    session.lastActivityAt + SESSION_TIMEOUTS.idleMs
+  );
+}
+
+/** "expired" (absolute limit), "idle" or null while the session is valid. */
+export function sessionEndReason(session, now = Date.now()) {
+  if (!session?.token) return "expired";
+  if (now >= session.expiresAt) return "expired";
+  if (now >= session.lastActivityAt + SESSION_TIMEOUTS.idleMs) return "idle";
+  return null;
+}
+
+export const SESSION_END_MESSAGES = {
+  expired: "Your session has expired. Please log in again.",
+  idle: "You were logged out after a period of inactivity.",
+  locked: "Please log in again to unlock KYC details in this tab.",
+};
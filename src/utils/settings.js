@@ -0,0 +1,60 @@
+import {
+  DEFAULT_APPROVAL_POLICY,
+  validateApprovalPolicy,
+} from "./approvals.js";
+import {
+  DEFAULT_SCORING_POLICY,
+  validateScoringPolicy,
+} from "./creditScore.js";
+import {
+  DEFAULT_FORECLOSURE_POLICY,
+  validateForeclosurePolicy,
+} from "./foreclosure.js";
+import { DEFAULT_PENALTY_POLICY, validatePenaltyPolicy } from "./penalties.js";
+
+/**
+ * Lending settings an admin can change, one section per concern.
+ * Shared by the browser adapter and the reference server so both accept
+ * and reject the same input.
+ */
+
+export const DEFAULT_SETTINGS = {
+  penalties: DEFAULT_PENALTY_POLICY,
+  foreclosure: DEFAULT_FORECLOSURE_POLICY,
+  scoring: DEFAULT_SCORING_POLICY,
+  approvals: DEFAULT_APPROVAL_POLICY,
+};
+
+// Section name -> validator returning `{ policy }` or `{ error }`
+const VALIDATORS = {
+  penalties: validatePenaltyPolicy,
+  foreclosure: validateForeclosurePolicy,
+  scoring: validateScoringPolicy,
+  approvals: validateApprovalPolicy,
+};
+
+/** Stored settings with defaults filled in for anything missing. */
+export function withDefaultSettings(stored = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([section, defaults]) => [
+      section,
+      { ...defaults, ...stored?.[section] },
+    ])
+  );
+}
+
+/**
+ * Applies `changes` (a partial settings object) to `current`.
+ * Returns `{ settings }` or `{ error }`; unknown sections are refused.
+ */
+export function mergeSettings(current, changes = {}) {
+  const settings = withDefaultSettings(current);
+  for (const [section, value] of Object.entries(changes)) {
+    const validate = VALIDATORS[section];
+    if (!validate) return { error: `Unknown settings section "${section}".` };
+    const { policy, error } = validate({ ...settings[section], ...value });
+    if (error) return { error };
+    settings[section] = policy;
+  }
+  return { settings };
+}
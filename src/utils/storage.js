@@ -0,0 +1,21 @@
+/**
+ * Safe JSON parser for localStorage values.
+ * Falls back when the key is missing, malformed, or (for array fallbacks)
+ * does not hold an array.
+ */
+export function safeParseJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    const data = JSON.parse(raw);
+    if (Array.isArray(fallback) && !Array.isArray(data)) return fallback;
+    return data ?? fallback;
+  } catch (err) {
+    console.error(`Failed to parse ${key} from localStorage`, err);
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
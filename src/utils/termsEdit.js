@@ -0,0 +1,34 @@
+import { buildAmortizationSchedule, getLoanRate } from "./amortization.js";
+import { withDueDates } from "./dueDates.js";
+import { getEmiReceived } from "./payments.js";
+
+/**
+ * `after`, an edit of `before`'s amount, duration or rate, with the
+ * schedule rebuilt for the new terms. Returns `{ loan }`, or `{ error }`
+ * once any payment has been made; from then on terms change through a
+ * restructure (utils/restructure).
+ */
+export function applyTermsEdit(before, after) {
+  const termsChanged =
+    Number(after.amount) !== Number(before.amount) ||
+    Number(after.duration) !== Number(before.duration) ||
+    getLoanRate(after) !== getLoanRate(before);
+  if (!termsChanged || !before.repayments?.length) return { loan: after };
+  if (before.repayments.some((r) => r.paid || getEmiReceived(r) > 0)) {
+    return {
+      error:
+        "Payments have been made on this loan. Use Restructure to change its terms.",
+    };
+  }
+  // A disbursed loan keeps its EMI calendar
+  return {
+    loan: withDueDates({
+      ...after,
+      repayments: buildAmortizationSchedule(
+        Number(after.amount),
+        getLoanRate(after),
+        Number(after.duration)
+      ),
+    }),
+  };
+}